@@ -0,0 +1,293 @@
+const { app } = require('electron');
+const platforms = require('./platforms');
+const postArchive = require('./post-archive');
+const { slugify } = require('./bundles');
+
+/**
+ * Configuration backup and restore.
+ *
+ * A backup is one JSON document:
+ *
+ *   { format: 'unsocial-backup', version, exportedAt, appVersion,
+ *     settings: { ... }, feeds: [...], bundles: [...], feedTokens: [...],
+ *     webhooks: [...], archives?: { <feedKey>: { profile, items } } }
+ *
+ * Feed entries are copied as stored, so custom selectors, scroll settings,
+ * aliases, boosts and filters travel with them, and webhooks keep their
+ * secrets. Chromium profile data (logins, caches) and the webhook delivery
+ * log are deliberately not part of it.
+ */
+
+const BACKUP_FORMAT = 'unsocial-backup';
+const BACKUP_VERSION = 1;
+
+// Store keys carried in `settings`. Window placement stays per machine.
+const SETTINGS_KEYS = [
+  'serverPort',
+  'checkIntervalMinutes',
+  'tunnelProvider',
+  'tunnelDomain',
+  'tunnelName',
+  'tunnelAutoStart',
+  'feedPublicBaseUrl',
+  'archiveRetention',
+  'mediaCacheEnabled',
+  'mediaCacheVideoPosters',
+  'quietHours',
+  'adaptiveRefresh',
+  'scrapeLimits',
+];
+
+function feedIdentity(feed) {
+  return `${feed.platform || 'instagram'}:${feed.username}`;
+}
+
+/** @param {{ includeArchives?: boolean }} options */
+function createBackup(store, { includeArchives = false } = {}) {
+  const settings = {};
+  for (const key of SETTINGS_KEYS) settings[key] = store.get(key);
+
+  const feeds = store.get('feeds');
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: app.getVersion(),
+    settings,
+    feeds,
+    bundles: store.get('bundles') || [],
+    feedTokens: store.get('feedTokens') || [],
+    webhooks: store.get('webhooks') || [],
+  };
+
+  if (includeArchives) {
+    backup.archives = {};
+    for (const feed of feeds) {
+      const archive = postArchive.loadArchive(platforms.feedKeyOf(feed));
+      if (archive.items.length) backup.archives[platforms.feedKeyOf(feed)] = archive;
+    }
+  }
+  return backup;
+}
+
+/**
+ * Check a parsed backup against the current configuration without changing
+ * anything. `errors` make the backup unusable; `warnings` list entries that
+ * will be skipped; `conflicts` are feeds present on both sides, matched by
+ * platform + username.
+ */
+function validateBackup(store, data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    return { errors: ['Not an UnSocial backup file'], warnings, conflicts: [], summary: null };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('Backup has no valid version number');
+  } else if (data.version > BACKUP_VERSION) {
+    errors.push(`Backup version ${data.version} was made by a newer UnSocial — update before restoring it`);
+  }
+  if (!Array.isArray(data.feeds)) errors.push('Backup has no feeds list');
+  if (errors.length) return { errors, warnings, conflicts: [], summary: null };
+
+  const feeds = validFeeds(data.feeds, warnings);
+  const current = new Map(store.get('feeds').map((f) => [feedIdentity(f), f]));
+  const conflicts = feeds
+    .filter((f) => current.has(feedIdentity(f)))
+    .map((f) => ({
+      platform: f.platform || 'instagram',
+      username: f.username,
+      currentAlias: current.get(feedIdentity(f)).alias || f.username,
+      backupAlias: f.alias || f.username,
+    }));
+
+  const archives = data.archives && typeof data.archives === 'object' ? data.archives : null;
+  return {
+    errors,
+    warnings,
+    conflicts,
+    summary: {
+      exportedAt: data.exportedAt || null,
+      appVersion: data.appVersion || null,
+      feeds: feeds.length,
+      bundles: Array.isArray(data.bundles) ? data.bundles.length : 0,
+      feedTokens: Array.isArray(data.feedTokens) ? data.feedTokens.length : 0,
+      // null for backups made before webhooks were included
+      webhooks: Array.isArray(data.webhooks) ? data.webhooks.length : null,
+      archives: archives ? Object.keys(archives).length : 0,
+      hasSettings: !!data.settings,
+      currentFeeds: current.size,
+    },
+  };
+}
+
+/** Feeds with a username and a platform this build knows; the rest become warnings. */
+function validFeeds(list, warnings) {
+  const seen = new Set();
+  return list.filter((f) => {
+    if (!f || typeof f.username !== 'string' || !f.username) {
+      warnings.push('Skipped a feed entry without a username');
+      return false;
+    }
+    if (!platforms.hasPlatform(f.platform || 'instagram')) {
+      warnings.push(`Skipped @${f.username}: unknown platform "${f.platform}"`);
+      return false;
+    }
+    if (seen.has(feedIdentity(f))) {
+      warnings.push(`Skipped duplicate entry for @${f.username} on ${f.platform || 'instagram'}`);
+      return false;
+    }
+    seen.add(feedIdentity(f));
+    return true;
+  });
+}
+
+/**
+ * Apply a backup that passed validateBackup.
+ *
+ * `mode` 'replace' swaps in the backup's feeds, bundles, tokens, webhooks and
+ * settings (webhooks are kept when the backup predates them).
+ * `mode` 'merge' keeps the current settings and adds what's missing;
+ * conflicting feeds and webhooks (same id) keep the current entry unless
+ * `overwriteConflicts` is set.
+ * Archives are only written when `includeArchives` is set, and only for feeds
+ * that were taken from the backup.
+ * @returns {{ feeds: object[], imported: object[], skipped: number, settingsChanged: boolean }}
+ */
+function applyBackup(store, data, { mode = 'merge', overwriteConflicts = false, includeArchives = false } = {}) {
+  const incoming = validFeeds(data.feeds, []);
+  let feeds;
+  let imported;
+  let skipped = 0;
+
+  if (mode === 'replace') {
+    feeds = incoming;
+    imported = incoming;
+  } else {
+    feeds = [...store.get('feeds')];
+    imported = [];
+    for (const feed of incoming) {
+      const idx = feeds.findIndex((f) => feedIdentity(f) === feedIdentity(feed));
+      if (idx === -1) {
+        feeds.push(feed);
+        imported.push(feed);
+      } else if (overwriteConflicts) {
+        feeds[idx] = feed;
+        imported.push(feed);
+      } else {
+        skipped++;
+      }
+    }
+  }
+
+  const feedKeys = new Set(feeds.map(platforms.feedKeyOf));
+  const bundles = mergeBundles(
+    mode === 'replace' ? [] : store.get('bundles') || [],
+    Array.isArray(data.bundles) ? data.bundles : [],
+    { feeds, feedKeys, overwrite: mode === 'replace' || overwriteConflicts }
+  );
+  const tokens = mergeTokens(
+    mode === 'replace' ? [] : store.get('feedTokens') || [],
+    Array.isArray(data.feedTokens) ? data.feedTokens : []
+  );
+  const hasWebhooks = Array.isArray(data.webhooks);
+  const hooks = mergeWebhooks(
+    mode === 'replace' && hasWebhooks ? [] : store.get('webhooks') || [],
+    hasWebhooks ? data.webhooks : [],
+    { feeds, overwrite: mode === 'replace' || overwriteConflicts }
+  );
+
+  let settingsChanged = false;
+  if (mode === 'replace' && data.settings) {
+    for (const key of SETTINGS_KEYS) {
+      if (data.settings[key] === undefined) continue;
+      if (JSON.stringify(store.get(key)) !== JSON.stringify(data.settings[key])) settingsChanged = true;
+      store.set(key, data.settings[key]);
+    }
+  }
+
+  store.set('feeds', feeds);
+  store.set('bundles', bundles);
+  store.set('feedTokens', tokens);
+  store.set('webhooks', hooks);
+
+  if (includeArchives && data.archives) {
+    for (const feed of imported) {
+      const archive = data.archives[platforms.feedKeyOf(feed)];
+      if (archive && Array.isArray(archive.items)) {
+        postArchive.saveArchive(platforms.feedKeyOf(feed), { profile: archive.profile || {}, items: archive.items });
+      }
+    }
+  }
+
+  return { feeds, imported, skipped, settingsChanged };
+}
+
+/** Keep bundles whose slug is free, dropping members that don't exist here. */
+function mergeBundles(current, incoming, { feeds, feedKeys, overwrite }) {
+  const result = [...current];
+  const identities = new Set(feeds.map(feedIdentity));
+  for (const raw of incoming) {
+    if (!raw || !Array.isArray(raw.feeds)) continue;
+    const slug = raw.slug || slugify(raw.name);
+    if (!slug || feedKeys.has(slug)) continue;
+    const members = raw.feeds
+      .map((m) => ({ username: m.username, platform: m.platform || 'instagram' }))
+      .filter((m) => identities.has(feedIdentity(m)));
+    if (members.length === 0) continue;
+    const bundle = { name: raw.name || slug, slug, feeds: members };
+    const idx = result.findIndex((b) => b.slug === slug);
+    if (idx === -1) {
+      result.push(bundle);
+    } else if (overwrite) {
+      result[idx] = bundle;
+    }
+  }
+  return result;
+}
+
+/**
+ * Union by id. Feed-limited webhooks only keep members that exist here, the
+ * same way removeFeed trims them.
+ */
+function mergeWebhooks(current, incoming, { feeds, overwrite }) {
+  const identities = new Set(feeds.map(feedIdentity));
+  const trimScope = (w) => (Array.isArray(w.scope)
+    ? { ...w, scope: w.scope.filter((m) => identities.has(feedIdentity(m))) }
+    : w);
+  const result = current.map(trimScope);
+  for (const raw of incoming) {
+    if (!raw || !raw.id || !/^https?:\/\//.test(raw.url || '')) continue;
+    const hook = trimScope({
+      id: raw.id,
+      label: raw.label || raw.url,
+      url: raw.url,
+      secret: raw.secret || '',
+      scope: Array.isArray(raw.scope)
+        ? raw.scope.map((m) => ({ username: m.username, platform: m.platform || 'instagram' }))
+        : 'all',
+      enabled: raw.enabled !== false,
+    });
+    const idx = result.findIndex((w) => w.id === hook.id);
+    if (idx === -1) {
+      result.push(hook);
+    } else if (overwrite) {
+      result[idx] = hook;
+    }
+  }
+  return result;
+}
+
+/** Union by token value, so restoring twice doesn't duplicate tokens. */
+function mergeTokens(current, incoming) {
+  const result = [...current];
+  for (const t of incoming) {
+    if (!t || typeof t.token !== 'string' || !t.id) continue;
+    if (result.some((r) => r.token === t.token || r.id === t.id)) continue;
+    result.push(t);
+  }
+  return result;
+}
+
+module.exports = { BACKUP_VERSION, createBackup, validateBackup, applyBackup };
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const { Feed } = require('feed');
+const { buildFeedItem, buildJsonFeed, getMediaBase } = require('./rss-generator');
+const { loadArchive, getArchivePath } = require('./post-archive');
+const { applyFilters } = require('./feed-filters');
+const { getFeedMeta, feedKeyOf } = require('./platforms');
+const { resolveFeedBaseUrl } = require('./feed-url-base');
+
+/**
+ * Bundle feeds: a named mix of existing feeds served as one URL.
+ *
+ * Bundles live in the store as `bundles: [{ name, slug, feeds: [{ username, platform }] }]`
+ * and are rendered on request from the member feeds' post archives — they
+ * never trigger scrapes. Per-feed filters still apply to each member.
+ */
+
+const DEFAULT_BUNDLE_ITEMS = 200;
+
+// slug → { signature, modified, rss, atom, json }; re-rendered when a member archive changes
+const renderCache = new Map();
+
+function slugify(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function findBundle(store, slug) {
+  return (store.get('bundles') || []).find((b) => b.slug === slug) || null;
+}
+
+/** Resolve bundle members to their current store entries, skipping removed feeds. */
+function getMemberFeeds(store, bundle) {
+  const feeds = store.get('feeds');
+  return bundle.feeds
+    .map((m) => feeds.find((f) => f.username === m.username &&
+      (f.platform || 'instagram') === (m.platform || 'instagram')))
+    .filter(Boolean);
+}
+
+function archiveMtime(feedKey) {
+  try {
+    return fs.statSync(getArchivePath(feedKey)).mtimeMs;
+  } catch (_) {
+    return 0;
+  }
+}
+
+/**
+ * Render a bundle as RSS 2.0, Atom or JSON Feed.
+ * `modified` only moves when the rendered documents actually change.
+ * @param {'rss'|'atom'|'json'} format
+ * @returns {{ body: string, modified: Date }|null} null when no bundle has this slug
+ */
+function renderBundle(store, slug, format) {
+  const bundle = findBundle(store, slug);
+  if (!bundle) return null;
+
+  const members = getMemberFeeds(store, bundle);
+  const feedBase = resolveFeedBaseUrl(store);
+  const signature = JSON.stringify([
+    bundle,
+    feedBase,
+    store.get('mediaCacheEnabled'),
+    members.map((f) => [feedKeyOf(f), f.alias, f.filters, archiveMtime(feedKeyOf(f))]),
+  ]);
+  let cached = renderCache.get(slug);
+  if (!cached || cached.signature !== signature) {
+    const docs = buildBundleDocuments(bundle, members, store, feedBase);
+    const unchanged = cached && cached.rss === docs.rss && cached.atom === docs.atom && cached.json === docs.json;
+    cached = { signature, modified: unchanged ? cached.modified : new Date(), ...docs };
+    renderCache.set(slug, cached);
+  }
+  return { body: cached[format], modified: cached.modified };
+}
+
+function buildBundleDocuments(bundle, members, store, feedBase) {
+  const limit = store.get('archiveRetention') || DEFAULT_BUNDLE_ITEMS;
+  const entries = [];
+
+  for (const member of members) {
+    const platform = member.platform || 'instagram';
+    const archive = loadArchive(feedKeyOf(member));
+    const meta = getFeedMeta(platform, member.username, archive.profile, member);
+    const source = {
+      name: member.alias || archive.profile.fullName || member.username,
+      link: meta.siteUrl,
+    };
+    for (const post of applyFilters(archive.items, member.filters)) {
+      entries.push({ post, source });
+    }
+  }
+
+  // Interleave all members newest first
+  entries.sort((a, b) => itemTime(b.post) - itemTime(a.post));
+  const items = entries.slice(0, limit);
+
+  const selfUrl = `${feedBase}/feed/${bundle.slug}`;
+  const feed = new Feed({
+    title: `${bundle.name} – UnSocial bundle`,
+    description: `${bundle.name}: ${members.map((m) => m.alias || m.username).join(', ')}`,
+    id: selfUrl,
+    link: selfUrl,
+    language: 'en',
+    updated: items.length ? new Date(itemTime(items[0].post)) : new Date(),
+    feedLinks: {
+      rss: selfUrl,
+      atom: `${selfUrl}?format=atom`,
+      json: `${selfUrl}?format=json`,
+    },
+    author: { name: bundle.name, link: selfUrl },
+  });
+
+  const mediaBase = getMediaBase(store);
+  const built = items.map(({ post, source }) => ({ post, item: buildFeedItem(post, source, { source, mediaBase }) }));
+  for (const { item } of built) {
+    feed.addItem(item);
+  }
+
+  return { rss: feed.rss2(), atom: feed.atom1(), json: buildJsonFeed(feed.options, built) };
+}
+
+function itemTime(post) {
+  const t = new Date(post.timestamp || post.firstSeen).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/**
+ * Validate and normalise a bundle coming from the renderer.
+ * `previousSlug` is the slug being edited (null when creating).
+ */
+function normalizeBundle(store, raw, previousSlug) {
+  const name = String((raw && raw.name) || '').trim();
+  const slug = slugify(name);
+  if (!slug) throw new Error('Bundle name must contain letters or digits');
+
+  const feeds = store.get('feeds');
+  if (feeds.some((f) => feedKeyOf(f) === slug)) {
+    throw new Error(`"${slug}" is already used by a feed — pick another name`);
+  }
+  const bundles = store.get('bundles') || [];
+  if (bundles.some((b) => b.slug === slug && b.slug !== previousSlug)) {
+    throw new Error(`A bundle named "${slug}" already exists`);
+  }
+
+  const members = ((raw && raw.feeds) || [])
+    .map((m) => ({ username: m.username, platform: m.platform || 'instagram' }))
+    .filter((m) => feeds.some((f) => f.username === m.username &&
+      (f.platform || 'instagram') === m.platform));
+  if (members.length === 0) throw new Error('Pick at least one feed for the bundle');
+
+  return { name, slug, feeds: members };
+}
+
+module.exports = { slugify, findBundle, renderBundle, normalizeBundle };
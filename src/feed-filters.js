@@ -0,0 +1,140 @@
+/**
+ * Per-feed include/exclude rules, stored on the feed entry as `filters`:
+ *
+ *   {
+ *     includeKeywords: ['launch'],   // post must mention at least one
+ *     excludeKeywords: ['giveaway'], // post must mention none
+ *     includeRegex: ['v\\d+\\.\\d+'], // post must match at least one
+ *     excludeRegex: [],              // post must match none
+ *     hasImage: 'require' | 'exclude' | '',
+ *     isVideo: 'require' | 'exclude' | '',
+ *     minLikes: 0,
+ *     excludeShorts: false,          // drop posts marked isShort (YouTube)
+ *     excludeUpcoming: false,        // drop posts marked isUpcoming (YouTube)
+ *     includeFlairs: ['News'],       // post flair must be one of these (Reddit)
+ *     excludeFlairs: ['Meme'],       // post flair must be none of these (Reddit)
+ *   }
+ *
+ * Reddit posts carry their score as `likes`, so `minLikes` is the minimum score.
+ *
+ * Keywords match case-insensitively against the caption. Regexes are either a
+ * bare pattern (case-insensitive) or `/pattern/flags`.
+ */
+
+const MEDIA_RULES = ['require', 'exclude'];
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(/[\n,]/).map((v) => v.trim()).filter(Boolean);
+  return [];
+}
+
+function compileRegex(source) {
+  const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source, 'i');
+  } catch (err) {
+    throw new Error(`Invalid regex ${source}: ${err.message}`);
+  }
+}
+
+/**
+ * Clean up filters coming from the renderer. Throws on invalid regexes so the
+ * editor can show the error instead of silently dropping the rule.
+ * Returns null when no rule is set.
+ */
+function normalizeFilters(raw) {
+  if (!raw) return null;
+  // Regex lists are newline-separated only — commas are valid regex syntax
+  const regexList = (value) => (typeof value === 'string'
+    ? value.split('\n').map((v) => v.trim()).filter(Boolean)
+    : toList(value));
+  const filters = {
+    includeKeywords: toList(raw.includeKeywords),
+    excludeKeywords: toList(raw.excludeKeywords),
+    includeRegex: regexList(raw.includeRegex),
+    excludeRegex: regexList(raw.excludeRegex),
+    hasImage: MEDIA_RULES.includes(raw.hasImage) ? raw.hasImage : '',
+    isVideo: MEDIA_RULES.includes(raw.isVideo) ? raw.isVideo : '',
+    minLikes: Math.max(0, parseInt(raw.minLikes, 10) || 0),
+    excludeShorts: raw.excludeShorts === true,
+    excludeUpcoming: raw.excludeUpcoming === true,
+    includeFlairs: toList(raw.includeFlairs),
+    excludeFlairs: toList(raw.excludeFlairs),
+  };
+  [...filters.includeRegex, ...filters.excludeRegex].forEach(compileRegex);
+  return hasFilters(filters) ? filters : null;
+}
+
+function hasFilters(filters) {
+  if (!filters) return false;
+  return !!(
+    toList(filters.includeKeywords).length ||
+    toList(filters.excludeKeywords).length ||
+    toList(filters.includeRegex).length ||
+    toList(filters.excludeRegex).length ||
+    filters.hasImage ||
+    filters.isVideo ||
+    filters.minLikes > 0 ||
+    filters.excludeShorts ||
+    filters.excludeUpcoming ||
+    toList(filters.includeFlairs).length ||
+    toList(filters.excludeFlairs).length
+  );
+}
+
+/**
+ * Check a post against a feed's filters.
+ * @returns {{ pass: boolean, reason: string }} reason names the first failing rule
+ */
+function evaluatePost(post, filters) {
+  if (!hasFilters(filters)) return { pass: true, reason: '' };
+  const caption = post.caption || '';
+  const text = caption.toLowerCase();
+  const hasImage = !!post.imageUrl;
+  const isVideo = !!post.isVideo;
+
+  const includeKeywords = toList(filters.includeKeywords);
+  if (includeKeywords.length && !includeKeywords.some((k) => text.includes(k.toLowerCase()))) {
+    return { pass: false, reason: 'No include keyword' };
+  }
+  const excluded = toList(filters.excludeKeywords).find((k) => text.includes(k.toLowerCase()));
+  if (excluded) {
+    return { pass: false, reason: `Excluded keyword "${excluded}"` };
+  }
+  const includeRegex = toList(filters.includeRegex);
+  if (includeRegex.length && !includeRegex.some((r) => compileRegex(r).test(caption))) {
+    return { pass: false, reason: 'No include regex match' };
+  }
+  const excludedRegex = toList(filters.excludeRegex).find((r) => compileRegex(r).test(caption));
+  if (excludedRegex) {
+    return { pass: false, reason: `Excluded by ${excludedRegex}` };
+  }
+  if (filters.hasImage === 'require' && !hasImage) return { pass: false, reason: 'No image' };
+  if (filters.hasImage === 'exclude' && hasImage) return { pass: false, reason: 'Has image' };
+  if (filters.isVideo === 'require' && !isVideo) return { pass: false, reason: 'Not a video' };
+  if (filters.isVideo === 'exclude' && isVideo) return { pass: false, reason: 'Is a video' };
+  if (filters.minLikes > 0 && (Number(post.likes) || 0) < filters.minLikes) {
+    const reason = post.score !== undefined ? `Score below ${filters.minLikes}` : `Fewer than ${filters.minLikes} likes`;
+    return { pass: false, reason };
+  }
+  if (filters.excludeShorts && post.isShort) return { pass: false, reason: 'Short' };
+  if (filters.excludeUpcoming && post.isUpcoming) return { pass: false, reason: 'Upcoming stream' };
+  // Flairs match whole and case-insensitively
+  const flair = (post.flair || '').toLowerCase();
+  const includeFlairs = toList(filters.includeFlairs);
+  if (includeFlairs.length && !includeFlairs.some((f) => f.toLowerCase() === flair)) {
+    return { pass: false, reason: post.flair ? `Flair "${post.flair}" not included` : 'No flair' };
+  }
+  if (flair && toList(filters.excludeFlairs).some((f) => f.toLowerCase() === flair)) {
+    return { pass: false, reason: `Excluded flair "${post.flair}"` };
+  }
+  return { pass: true, reason: '' };
+}
+
+function applyFilters(posts, filters) {
+  if (!hasFilters(filters)) return posts;
+  return posts.filter((post) => evaluatePost(post, filters).pass);
+}
+
+module.exports = { normalizeFilters, hasFilters, evaluatePost, applyFilters };
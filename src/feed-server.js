@@ -1,16 +1,33 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { getFeedDir } = require('./rss-generator');
 const { resolveFeedBaseUrl } = require('./feed-url-base');
+const { renderBundle, findBundle } = require('./bundles');
+const { resolveMediaFile } = require('./media-cache');
+const feedTokens = require('./feed-tokens');
+const { createManagementRouter } = require('./management-api');
+const { createMonitoringRouter, countFeedRequest } = require('./monitoring');
+const { feedKeyOf } = require('./platforms');
 
 let server = null;
 
+// ?format=<key> → file extension written by generateFeed and response type
+const FEED_FORMATS = {
+  rss: { ext: 'rss.xml', contentType: 'application/rss+xml' },
+  atom: { ext: 'atom.xml', contentType: 'application/atom+xml' },
+  json: { ext: 'json', contentType: 'application/feed+json' },
+};
+
 /**
  * Start a local Express server that serves the generated RSS/Atom feed files.
  * Any RSS reader can subscribe to:  http://localhost:<port>/feed/<username>
+ * `actions` backs the /api/v1 management API (see management-api.js) and
+ * the /metrics and /healthz monitoring routes (see monitoring.js).
  */
-function startFeedServer(store) {
+function startFeedServer(store, actions) {
   const port = store.get('serverPort');
   const app = express();
 
@@ -20,38 +37,88 @@ function startFeedServer(store) {
     next();
   });
 
-  // Token authentication — protects all routes when a token is configured.
+  // Management API — uses its own admin token, so it sits before feed-token auth
+  if (actions) {
+    app.use('/api/v1', createManagementRouter(store, actions));
+    // Scraped by monitoring systems, which authenticate with the admin token
+    app.use(createMonitoringRouter(store, actions));
+  }
+
+  // Token authentication — protects all routes when any token is configured.
   // Accepts ?token=<value> query param  OR  Authorization: Bearer <value> header.
+  // Per-token feed scopes are checked by the routes themselves.
   app.use((req, res, next) => {
-    const expectedToken = store.get('feedToken');
-    if (!expectedToken) return next();
+    if (!feedTokens.isAuthEnabled(store)) return next();
 
     const queryToken = req.query.token;
     const headerToken = (req.headers.authorization || '').startsWith('Bearer ')
       ? req.headers.authorization.slice(7)
       : null;
 
-    if (queryToken === expectedToken || headerToken === expectedToken) {
+    const entry = feedTokens.findToken(store, queryToken) || feedTokens.findToken(store, headerToken);
+    if (entry) {
+      // Remembered so scopes can be checked and media links carry the same token
+      res.locals.tokenEntry = entry;
+      res.locals.token = entry.token;
+      feedTokens.touchToken(store, entry);
       return next();
     }
 
     res.status(401).json({ error: 'Unauthorized — valid token required' });
   });
 
+  const canRead = (res, key) => !res.locals.tokenEntry || feedTokens.inScope(res.locals.tokenEntry, key);
+
   // RSS feed endpoint
   app.get('/feed/:username', (req, res) => {
     const { username } = req.params;
-    const format = req.query.format === 'atom' ? 'atom' : 'rss';
-    const ext = format === 'atom' ? 'atom.xml' : 'rss.xml';
-    const filePath = path.join(getFeedDir(), `${username}.${ext}`);
+    const format = Object.prototype.hasOwnProperty.call(FEED_FORMATS, req.query.format)
+      ? req.query.format
+      : 'rss';
+    const { ext, contentType } = FEED_FORMATS[format];
+
+    if (!canRead(res, username)) {
+      return res.status(403).json({ error: 'Forbidden — token does not cover this feed' });
+    }
 
-    if (!fs.existsSync(filePath)) {
+    // Only tracked feeds and bundles are served. Express decodes %2F in the
+    // param, so anything else could name a file outside the feed directory.
+    const isFeed = store.get('feeds').some((f) => feedKeyOf(f) === username);
+    if (!isFeed && !findBundle(store, username)) {
+      return res.status(404).send(`Feed not found for @${username}`);
+    }
+    const feedDir = path.resolve(getFeedDir());
+    const filePath = path.resolve(feedDir, `${username}.${ext}`);
+    if (path.dirname(filePath) !== feedDir) {
       return res.status(404).send(`Feed not found for @${username}`);
     }
 
-    const contentType =
-      format === 'atom' ? 'application/atom+xml' : 'application/rss+xml';
+    let body;
+    let modified;
+    if (isFeed && fs.existsSync(filePath)) {
+      body = fs.readFileSync(filePath, 'utf-8');
+      modified = fs.statSync(filePath).mtime;
+    } else {
+      // Bundles share the /feed/ namespace and are rendered from archives
+      const bundle = renderBundle(store, username, format);
+      if (!bundle) {
+        return res.status(404).send(`Feed not found for @${username}`);
+      }
+      ({ body, modified } = bundle);
+    }
+
+    countFeedRequest(username, res.locals.tokenEntry);
     res.header('Content-Type', `${contentType}; charset=utf-8`);
+    sendConditional(req, res, withMediaToken(body, res.locals.token), modified);
+  });
+
+  // Cached post images (see media-cache.js)
+  app.get('/media/:file', (req, res) => {
+    const filePath = resolveMediaFile(req.params.file);
+    if (!filePath) {
+      return res.status(404).send('Media not found');
+    }
+    res.header('Cache-Control', 'max-age=31536000, immutable');
     res.sendFile(filePath);
   });
 
@@ -65,18 +132,28 @@ function startFeedServer(store) {
     const files = fs
       .readdirSync(feedDir)
       .filter((f) => f.endsWith('.rss.xml'))
-      .map((f) => f.replace('.rss.xml', ''));
+      .map((f) => f.replace('.rss.xml', ''))
+      .filter((key) => store.get('feeds').some((f) => feedKeyOf(f) === key))
+      .filter((key) => canRead(res, key));
 
     const feedBase = resolveFeedBaseUrl(store);
-    const token = store.get('feedToken');
-    const tokenSuffix = token || '';
+    const tokenSuffix = res.locals.token || '';
     const feeds = files.map((username) => ({
       username,
       rss: `${feedBase}/feed/${username}` + (tokenSuffix ? `?token=${tokenSuffix}` : ''),
       atom: `${feedBase}/feed/${username}?format=atom` + (tokenSuffix ? `&token=${tokenSuffix}` : ''),
+      json: `${feedBase}/feed/${username}?format=json` + (tokenSuffix ? `&token=${tokenSuffix}` : ''),
+    }));
+
+    const bundles = (store.get('bundles') || []).filter((b) => canRead(res, b.slug)).map((b) => ({
+      name: b.name,
+      slug: b.slug,
+      rss: `${feedBase}/feed/${b.slug}` + (tokenSuffix ? `?token=${tokenSuffix}` : ''),
+      atom: `${feedBase}/feed/${b.slug}?format=atom` + (tokenSuffix ? `&token=${tokenSuffix}` : ''),
+      json: `${feedBase}/feed/${b.slug}?format=json` + (tokenSuffix ? `&token=${tokenSuffix}` : ''),
     }));
 
-    res.json({ feeds });
+    res.json({ feeds, bundles });
   });
 
   server = app.listen(port, '127.0.0.1', () => {
@@ -86,6 +163,101 @@ function startFeedServer(store) {
   server.on('error', (err) => {
     console.error('Feed server error:', err.message);
   });
+  return server;
+}
+
+// ── Conditional GET & compression ────────────────────────────────────────
+
+const ENCODINGS = {
+  br: { suffix: 'br', compress: (buf) => zlib.brotliCompressSync(buf) },
+  gzip: { suffix: 'gz', compress: (buf) => zlib.gzipSync(buf) },
+};
+
+// ETag → compressed body, so frequent polls don't recompress unchanged feeds
+const compressedCache = new Map();
+const COMPRESSED_CACHE_MAX = 100;
+
+/**
+ * Send a feed body with a strong ETag (hash of the exact bytes, so it changes
+ * only when the item set or feed metadata does), Last-Modified, 304 handling
+ * and gzip/brotli compression negotiated from Accept-Encoding.
+ */
+function sendConditional(req, res, body, modified) {
+  const encoding = pickEncoding(req.headers['accept-encoding']);
+  const hash = crypto.createHash('sha256').update(body).digest('base64url').slice(0, 32);
+  // Each encoding is a different representation, so it gets its own strong ETag
+  const etag = `"${hash}${encoding ? `-${ENCODINGS[encoding].suffix}` : ''}"`;
+
+  res.header('ETag', etag);
+  res.header('Last-Modified', modified.toUTCString());
+  res.header('Vary', 'Accept-Encoding');
+  res.header('Cache-Control', 'no-cache');
+
+  if (isNotModified(req, etag, modified)) {
+    return res.status(304).end();
+  }
+  if (!encoding) {
+    return res.send(body);
+  }
+
+  let compressed = compressedCache.get(etag);
+  if (!compressed) {
+    compressed = ENCODINGS[encoding].compress(Buffer.from(body, 'utf-8'));
+    if (compressedCache.size >= COMPRESSED_CACHE_MAX) {
+      compressedCache.delete(compressedCache.keys().next().value);
+    }
+    compressedCache.set(etag, compressed);
+  }
+  res.header('Content-Encoding', encoding);
+  res.send(compressed);
+}
+
+/** Pick br or gzip from an Accept-Encoding header (honouring q=0), else null. */
+function pickEncoding(header) {
+  if (!header) return null;
+  const accepted = {};
+  for (const part of String(header).split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+    accepted[name] = q ? parseFloat(q.slice(2)) : 1;
+  }
+  for (const name of Object.keys(ENCODINGS)) {
+    const q = accepted[name] !== undefined ? accepted[name] : accepted['*'];
+    if (q > 0) return name;
+  }
+  return null;
+}
+
+/**
+ * If-None-Match wins over If-Modified-Since (RFC 9110 §13.2.2); Last-Modified
+ * has one-second resolution, so compare whole seconds.
+ */
+function isNotModified(req, etag, modified) {
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((tag) => {
+      const t = tag.trim().replace(/^W\//, '');
+      return t === '*' || t === etag;
+    });
+  }
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+  if (!isNaN(ifModifiedSince)) {
+    return Math.floor(modified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+}
+
+/**
+ * Feed files link cached images as `<base>/media/<file>` without credentials;
+ * when the feed is token-protected, append the caller's token so readers can
+ * load the images too.
+ */
+function withMediaToken(body, token) {
+  if (!token) return body;
+  return body.replace(
+    /(\/media\/[a-f0-9]{32}\.[a-z0-9]+)(?![?\w])/g,
+    `$1?token=${encodeURIComponent(token)}`
+  );
 }
 
 function stopFeedServer() {
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+/**
+ * Named feed access tokens.
+ *
+ * Stored in the store as `feedTokens`:
+ *
+ *   [{ id, label, token, createdAt, expiresAt, lastUsedAt, scope }]
+ *
+ * `scope` is 'all' or an array of feed keys / bundle slugs the token may read;
+ * renaming a feed moves its key in every scope (see renameScopeKey).
+ * `expiresAt` and `lastUsedAt` are ISO strings or null. While the list is
+ * empty the feed server is public, exactly like the old single `feedToken`.
+ */
+
+// Persist lastUsedAt at most this often per token — readers poll constantly
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+const lastUsedWrites = new Map(); // token id → ms of last persisted write
+
+function getTokens(store) {
+  return store.get('feedTokens') || [];
+}
+
+function isAuthEnabled(store) {
+  return getTokens(store).length > 0;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return !!entry.expiresAt && new Date(entry.expiresAt).getTime() <= now;
+}
+
+function inScope(entry, key) {
+  return entry.scope === 'all' || (Array.isArray(entry.scope) && entry.scope.includes(key));
+}
+
+/** Find the live (non-expired) token entry for a presented token string. */
+function findToken(store, presented) {
+  if (!presented) return null;
+  const entry = getTokens(store).find((t) => safeEqual(t.token, presented));
+  return entry && !isExpired(entry) ? entry : null;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/** Record a successful use, writing to the store at most once a minute per token. */
+function touchToken(store, entry) {
+  const now = Date.now();
+  if (now - (lastUsedWrites.get(entry.id) || 0) < LAST_USED_WRITE_INTERVAL_MS) return;
+  lastUsedWrites.set(entry.id, now);
+  const tokens = getTokens(store);
+  const idx = tokens.findIndex((t) => t.id === entry.id);
+  if (idx === -1) return;
+  tokens[idx].lastUsedAt = new Date(now).toISOString();
+  store.set('feedTokens', tokens);
+}
+
+/** Point limited tokens at a feed's new key after it's renamed. */
+function renameScopeKey(store, oldKey, newKey) {
+  if (oldKey === newKey) return;
+  const covers = (t) => Array.isArray(t.scope) && t.scope.includes(oldKey);
+  const tokens = getTokens(store);
+  if (!tokens.some(covers)) return;
+  store.set('feedTokens', tokens.map((t) => (covers(t)
+    ? { ...t, scope: [...new Set(t.scope.map((k) => (k === oldKey ? newKey : k)))] }
+    : t)));
+}
+
+function normalizeScope(scope) {
+  if (!Array.isArray(scope)) return 'all';
+  const keys = [...new Set(scope.map((k) => String(k).trim()).filter(Boolean))];
+  if (keys.length === 0) throw new Error('Pick at least one feed for a limited token');
+  return keys;
+}
+
+function createToken(store, { label, expiresAt, scope } = {}) {
+  let expires = null;
+  if (expiresAt) {
+    const ms = new Date(expiresAt).getTime();
+    if (isNaN(ms)) throw new Error('Invalid expiry date');
+    if (ms <= Date.now()) throw new Error('Expiry must be in the future');
+    expires = new Date(ms).toISOString();
+  }
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    label: String(label || '').trim() || 'Untitled token',
+    token: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    expiresAt: expires,
+    lastUsedAt: null,
+    scope: normalizeScope(scope),
+  };
+  store.set('feedTokens', [...getTokens(store), entry]);
+  return entry;
+}
+
+function revokeToken(store, id) {
+  lastUsedWrites.delete(id);
+  const tokens = getTokens(store).filter((t) => t.id !== id);
+  store.set('feedTokens', tokens);
+  return tokens;
+}
+
+/**
+ * One-time upgrade from the single global `feedToken` setting: keep existing
+ * subscriptions working by turning it into an all-feeds token.
+ */
+function migrateLegacyToken(store) {
+  const legacy = store.get('feedToken');
+  if (!legacy) return;
+  if (!getTokens(store).some((t) => t.token === legacy)) {
+    store.set('feedTokens', [...getTokens(store), {
+      id: crypto.randomBytes(8).toString('hex'),
+      label: 'Default',
+      token: legacy,
+      createdAt: new Date().toISOString(),
+      expiresAt: null,
+      lastUsedAt: null,
+      scope: 'all',
+    }]);
+  }
+  store.delete('feedToken');
+}
+
+module.exports = {
+  getTokens,
+  isAuthEnabled,
+  isExpired,
+  inScope,
+  findToken,
+  touchToken,
+  createToken,
+  revokeToken,
+  renameScopeKey,
+  migrateLegacyToken,
+};
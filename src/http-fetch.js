@@ -0,0 +1,160 @@
+const { net } = require('electron');
+
+/**
+ * Small HTTP helpers on top of Electron's net module, so requests go through
+ * Chromium's network stack (proxy settings, and session cookies when asked).
+ */
+
+// ── Text ──────────────────────────────────────────────────────────────────
+
+/**
+ * GET a URL as text. `headers` are extra request headers (e.g. a consent
+ * cookie for pages that would otherwise redirect to an interstitial).
+ */
+function fetchText(url, { headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timeout fetching ${url}`)), 15000);
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+
+    try {
+      const request = net.request(url);
+      for (const [name, value] of Object.entries(headers)) {
+        request.setHeader(name, value);
+      }
+      const chunks = [];
+
+      request.on('response', (response) => {
+        // Follow redirects are handled automatically by net.request
+        if (response.statusCode >= 400) {
+          fail(new Error(`HTTP ${response.statusCode} fetching ${url}`));
+          return;
+        }
+        response.on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+        // Decode once at the end so multi-byte characters split across chunks survive
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve(Buffer.concat(chunks).toString('utf-8'));
+        });
+        response.on('error', fail);
+      });
+
+      request.on('error', (err) => fail(new Error(`Network error fetching ${url}: ${err.message}`)));
+      request.end();
+    } catch (err) {
+      fail(err);
+    }
+  });
+}
+
+// ── Binary ────────────────────────────────────────────────────────────────
+
+/**
+ * Download a URL into memory.
+ * `useSessionCookies` sends the default session's cookies, so CDN links that
+ * need the logged-in session (Facebook, Instagram) still resolve.
+ * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+ */
+function fetchBuffer(url, { useSessionCookies = false, timeoutMs = 20000, maxBytes = 15 * 1024 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let request;
+    const timer = setTimeout(() => {
+      if (request) request.abort();
+      reject(new Error(`Timeout fetching ${url}`));
+    }, timeoutMs);
+    const fail = (err) => {
+      clearTimeout(timer);
+      reject(err);
+    };
+
+    try {
+      request = net.request({ url, useSessionCookies });
+      const chunks = [];
+      let size = 0;
+
+      request.on('response', (response) => {
+        if (response.statusCode >= 400) {
+          fail(new Error(`HTTP ${response.statusCode} fetching ${url}`));
+          return;
+        }
+        const header = response.headers['content-type'];
+        const contentType = String(Array.isArray(header) ? header[0] : header || '').split(';')[0].trim();
+
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > maxBytes) {
+            request.abort();
+            fail(new Error(`Response too large fetching ${url}`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve({ buffer: Buffer.concat(chunks), contentType });
+        });
+        response.on('error', fail);
+      });
+
+      request.on('error', (err) => fail(new Error(`Network error fetching ${url}: ${err.message}`)));
+      request.end();
+    } catch (err) {
+      fail(err);
+    }
+  });
+}
+
+// ── POST ──────────────────────────────────────────────────────────────────
+
+/**
+ * POST a string body (no session cookies) and collect the response.
+ * Resolves for any HTTP status; only network errors and timeouts reject.
+ * @returns {Promise<{ statusCode: number, body: string }>}
+ */
+function postText(url, body, { headers = {}, timeoutMs = 15000, maxBytes = 64 * 1024 } = {}) {
+  return new Promise((resolve, reject) => {
+    let request;
+    const timer = setTimeout(() => {
+      if (request) request.abort();
+      reject(new Error(`Timeout posting to ${url}`));
+    }, timeoutMs);
+
+    try {
+      request = net.request({ url, method: 'POST', useSessionCookies: false, redirect: 'error' });
+      for (const [name, value] of Object.entries(headers)) {
+        request.setHeader(name, value);
+      }
+      let text = '';
+
+      request.on('response', (response) => {
+        response.on('data', (chunk) => {
+          // Only a snippet of the reply is kept for the delivery log
+          if (text.length < maxBytes) text += chunk.toString('utf-8');
+        });
+        response.on('end', () => {
+          clearTimeout(timer);
+          resolve({ statusCode: response.statusCode, body: text.slice(0, maxBytes) });
+        });
+        response.on('error', (err) => {
+          clearTimeout(timer);
+          reject(err);
+        });
+      });
+
+      request.on('error', (err) => {
+        clearTimeout(timer);
+        reject(new Error(`Network error posting to ${url}: ${err.message}`));
+      });
+      request.end(body);
+    } catch (err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+  });
+}
+
+module.exports = { fetchText, fetchBuffer, postText };
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+/**
+ * File logging for headless mode.
+ *
+ * Mirrors console output into `<dir>/unsocial.log` with a timestamp per line,
+ * while still writing to stdout/stderr. When the file passes `maxBytes` it is
+ * rotated to `unsocial.1.log`, `unsocial.2.log`, … keeping `maxFiles` old files.
+ */
+
+const LOG_NAME = 'unsocial';
+
+function rotatedPath(dir, n) {
+  return path.join(dir, n === 0 ? `${LOG_NAME}.log` : `${LOG_NAME}.${n}.log`);
+}
+
+function rotate(dir, maxFiles) {
+  const oldest = rotatedPath(dir, maxFiles);
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+  for (let n = maxFiles - 1; n >= 0; n--) {
+    const from = rotatedPath(dir, n);
+    if (fs.existsSync(from)) fs.renameSync(from, rotatedPath(dir, n + 1));
+  }
+}
+
+/**
+ * Patch console.log/info/warn/error to also append to the log file.
+ * @returns {string} path of the active log file
+ */
+function setupFileLogging(dir, { maxBytes = 5 * 1024 * 1024, maxFiles = 3 } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = rotatedPath(dir, 0);
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  const write = (level, args) => {
+    const line = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} ${util.format(...args)}\n`;
+    try {
+      if (size + line.length > maxBytes && size > 0) {
+        rotate(dir, maxFiles);
+        size = 0;
+      }
+      fs.appendFileSync(file, line);
+      size += Buffer.byteLength(line);
+    } catch (_) {
+      // Never let a full disk or permissions problem take the daemon down
+    }
+  };
+
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    const original = console[level].bind(console);
+    console[level] = (...args) => {
+      original(...args);
+      write(level === 'log' ? 'info' : level, args);
+    };
+  }
+  return file;
+}
+
+module.exports = { setupFileLogging };
@@ -1,8 +1,9 @@
-const { app, BrowserWindow, ipcMain, session, shell, Tray, Menu, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, session, shell, Tray, Menu, nativeImage, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const Store = require('electron-store');
 const { startFeedServer, stopFeedServer } = require('./feed-server');
+const { setupFileLogging } = require('./logger');
 
 // Force a consistent userData path so data persists across exe replacements.
 // For portable builds, electron-builder sets PORTABLE_EXECUTABLE_DIR.
@@ -81,18 +82,37 @@ if (!gotTheLock) {
   app.quit();
 }
 
-const { scrapeInstagramProfile } = require('./scraper');
-const { scrapeTwitterProfile } = require('./scraper-twitter');
-const { scrapeFacebookProfile } = require('./scraper-facebook');
-const { scrapeLinkedInProfile } = require('./scraper-linkedin');
-const { scrapeTxtFile } = require('./scraper-txt');
-const { startCustomWizard, scrapeCustomSiteHeadless } = require('./scraper-custom');
-const { generateFeed } = require('./rss-generator');
+// ── Headless Mode ──────────────────────────────────────────────────────────
+// `--headless` runs the feed server, scheduler, stale-feed monitor and tunnel
+// without a window or tray (e.g. as a service on an always-on box). Console
+// output is mirrored to userData/logs/unsocial.log.
+const HEADLESS = process.argv.includes('--headless');
+if (HEADLESS) {
+  const logFile = setupFileLogging(path.join(app.getPath('userData'), 'logs'));
+  console.log(`[Headless] Starting without GUI, logging to ${logFile}`);
+  app.disableHardwareAcceleration();
+  if (app.dock) app.dock.hide();
+}
+
+const platforms = require('./platforms');
+const { startCustomWizard } = require('./scraper-custom');
+const { generateFeed, rebuildFeed, deleteFeedFiles } = require('./rss-generator');
+const feedFilters = require('./feed-filters');
+const bundles = require('./bundles');
+const mediaCache = require('./media-cache');
+const feedTokens = require('./feed-tokens');
+const opmlImport = require('./opml-import');
+const backup = require('./backup');
+const { generateApiToken } = require('./management-api');
+const webhooks = require('./webhooks');
+const refreshSchedule = require('./refresh-schedule');
+const scrapeQueue = require('./scrape-queue');
+const refreshHistory = require('./refresh-history');
+const notifications = require('./notifications');
+const postArchive = require('./post-archive');
 const { normalizeFeedPublicBaseUrlInput, resolveFeedBaseUrl } = require('./feed-url-base');
 const tunnel = require('./tunnel');
 
-const crypto = require('crypto');
-
 const store = new Store({
   defaults: {
     feeds: [],       // Array of { url, username, alias, lastChecked }
@@ -102,8 +122,18 @@ const store = new Store({
     tunnelDomain: '',
     tunnelName: 'unsocial-tunnel',
     tunnelAutoStart: false,
-    feedToken: '',   // When non-empty, all feed-server requests require this token
+    feedTokens: [],  // Named access tokens (see feed-tokens.js); when non-empty, feed-server requests require one
     feedPublicBaseUrl: '', // Optional origin for RSS/Atom self-links (LAN / port proxy); empty = localhost
+    archiveRetention: 200, // Max archived posts kept (and published) per feed
+    bundles: [],     // Array of { name, slug, feeds: [{ username, platform }] }
+    mediaCacheEnabled: false,      // Download post images into userData/media and serve via /media
+    mediaCacheVideoPosters: false, // Also cache poster images of video posts
+    apiToken: '',    // Admin token for the /api/v1 management API; empty = API disabled
+    apiAllowRemote: false, // Serve the management API to non-loopback / proxied requests
+    quietHours: refreshSchedule.DEFAULT_QUIET_HOURS, // Local-time window with no automatic scraping
+    adaptiveRefresh: refreshSchedule.DEFAULT_ADAPTIVE_REFRESH, // Opt-in: derive intervals from posting cadence, within bounds
+    scrapeLimits: {}, // Per-platform overrides of { concurrency, perHour, perDay }; see scrape-queue.js
+    webhooks: [],    // Array of { id, label, url, secret, scope: 'all' | [{ username, platform }], enabled }
     windowState: {
       width: 960,
       height: 700,
@@ -115,6 +145,9 @@ const store = new Store({
   }
 });
 
+// Upgrade the old single feedToken setting to the named token list
+feedTokens.migrateLegacyToken(store);
+
 let mainWindow = null;
 let loginWindow = null;
 let tray = null;
@@ -122,76 +155,26 @@ let isQuitting = false;
 let autoRefreshInterval = null;
 
 // ── Notification / Error Log ───────────────────────────────────────────────
+// The log itself lives in notifications.js (persisted, structured entries);
+// every change is pushed to the renderer and re-evaluates the tray icon.
 
-const notificationLog = [];  // { id, timestamp, type, message, resolved }
-let notifIdCounter = 0;
+const { addNotification } = notifications;
 let hasActiveErrors = false; // tracks whether tray should show error icon
 
-function addNotification(type, message) {
-  const entry = {
-    id: ++notifIdCounter,
-    timestamp: new Date().toISOString(),
-    type,       // 'error' | 'warning' | 'info'
-    message,
-    resolved: false,
-  };
-  notificationLog.unshift(entry); // newest first
-  // Cap at 100 entries
-  if (notificationLog.length > 100) notificationLog.pop();
-  console.log(`[Notification] ${type}: ${message}`);
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
-  return entry.id;
-}
-
-function resolveNotification(id) {
-  const n = notificationLog.find(n => n.id === id);
-  if (n) n.resolved = true;
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
-}
-
-function resolveNotificationsByType(type) {
-  for (const n of notificationLog) {
-    if (n.type === type && !n.resolved) n.resolved = true;
-  }
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
-}
-
-function resolveNotificationsBySubstring(substr) {
-  for (const n of notificationLog) {
-    if (!n.resolved && n.message.includes(substr)) n.resolved = true;
-  }
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
-}
-
-function removeNotificationsBySubstring(substr) {
-  for (let i = notificationLog.length - 1; i >= 0; i--) {
-    if (notificationLog[i].message.includes(substr)) {
-      notificationLog.splice(i, 1);
-    }
-  }
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
+function removeStaleNotificationsForFeed(feed) {
+  notifications.removeNotifications({ category: 'stale', ...notifications.feedRef(feed) });
 }
 
-function removeStaleNotificationsForFeed(username) {
-  for (let i = notificationLog.length - 1; i >= 0; i--) {
-    const n = notificationLog[i];
-    if (n.message.includes(`@${username}`) && n.message.includes('stale')) {
-      notificationLog.splice(i, 1);
-    }
-  }
-  sendNotificationsToRenderer();
-  recalcTrayIcon();
+// A good scrape clears the feed's earlier scrape errors and stale warnings
+function resolveFeedNotifications(feed) {
+  notifications.resolveNotifications({ category: 'scrape-error', ...notifications.feedRef(feed) });
+  removeStaleNotificationsForFeed(feed);
 }
 
 function sendNotificationsToRenderer() {
   try {
     if (mainWindow && !mainWindow.isDestroyed() && mainWindow.webContents) {
-      mainWindow.webContents.send('notifications-updated', notificationLog);
+      mainWindow.webContents.send('notifications-updated', notifications.getNotifications());
     }
   } catch (err) {
     console.error('[sendNotificationsToRenderer] Error:', err.message);
@@ -205,7 +188,7 @@ let lastTunnelStatus = 'stopped';
 function recalcTrayIcon() {
   try {
     const tunnelOk = lastTunnelStatus === 'running';
-    const unresolvedErrors = notificationLog.some(n => !n.resolved && n.type === 'error');
+    const unresolvedErrors = notifications.hasUnresolved({ type: 'error' });
     hasActiveErrors = unresolvedErrors;
     updateTrayIcon(tunnelOk && !unresolvedErrors);
   } catch (err) {
@@ -234,14 +217,16 @@ async function checkInternetConnectivity() {
 }
 
 function startInternetMonitor() {
+  // A loss logged before the last restart is cleared by the first good check
+  internetDown = notifications.hasUnresolved({ category: 'internet' });
   internetCheckInterval = setInterval(async () => {
     const online = await checkInternetConnectivity();
     if (!online && !internetDown) {
       internetDown = true;
-      addNotification('error', 'Internet connection lost');
+      addNotification('error', 'Internet connection lost', { category: 'internet' });
     } else if (online && internetDown) {
       internetDown = false;
-      removeNotificationsBySubstring('Internet connection');
+      notifications.removeNotifications({ category: 'internet' });
     }
   }, 30000); // check every 30s
 }
@@ -250,33 +235,23 @@ function startInternetMonitor() {
 
 let staleFeedCheckInterval = null;
 
-const MAX_STALE_MS = 6 * 60 * 60 * 1000; // 6 hours hard cap
-const BOOST_MAX_STALE_MS = 2 * 60 * 60 * 1000; // 2 hours for boosted feeds
-const BOOST_PRIORITY_MS = 45 * 60 * 1000; // boosted feeds sort ~45 min older
-
-function getMaxStaleMs(feed) {
-  return feed.boosted ? BOOST_MAX_STALE_MS : MAX_STALE_MS;
-}
-
 function checkStaleFeedsNotifications() {
   try {
     const feeds = store.get('feeds');
+    const settings = refreshSchedule.getScheduleSettings(store);
     const now = Date.now();
     for (const feed of feeds) {
       const lastChecked = feed.lastChecked ? new Date(feed.lastChecked).getTime() : 0;
       const age = now - lastChecked;
-      if (age > getMaxStaleMs(feed)) {
+      if (age > refreshSchedule.getStaleThresholdMs(feed, settings)) {
         // Only add notification if there isn't already an unresolved one for this feed about staleness
-        const existing = notificationLog.find(n =>
-          !n.resolved && n.message.includes(`@${feed.username}`) && n.message.includes('stale')
-        );
-        if (!existing) {
+        if (!notifications.hasUnresolved({ category: 'stale', ...notifications.feedRef(feed) })) {
           const hoursAgo = Math.floor(age / (60 * 60 * 1000));
-          addNotification('warning', `@${feed.username} feed is stale (last updated ${hoursAgo}h ago)`);
+          addNotification('warning', `@${feed.username} feed is stale (last updated ${hoursAgo}h ago)`, { category: 'stale', feed });
         }
       } else {
         // Feed is no longer stale — remove stale-only notifications for it.
-        removeStaleNotificationsForFeed(feed.username);
+        removeStaleNotificationsForFeed(feed);
       }
     }
   } catch (err) {
@@ -292,41 +267,130 @@ function startStaleFeedMonitor() {
 // ── Smart Staggered Feed Refresher ─────────────────────────────────────────
 
 let refreshTimeout = null;
-let isRefreshing = false;
-
-const SCRAPE_TIMEOUT_MS = 180_000; // 3-minute hard cap per scrape
-
-function withTimeout(promise, ms, label) {
-  let timer;
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => {
-      timer = setTimeout(() => reject(new Error(`${label} timed out after ${Math.round(ms / 1000)}s`)), ms);
-    }),
-  ]).finally(() => clearTimeout(timer));
+
+// ── Scrape Bookkeeping ─────────────────────────────────────────────────────
+
+function findFeed(username, platform) {
+  const plat = platform || 'instagram';
+  return store.get('feeds').find((f) => f.username === username && (f.platform || 'instagram') === plat);
+}
+
+// The key names the archive, the feed files and /feed/<key>, so it can't be
+// shared with another feed (`feeds` leaves out the one being renamed) or a bundle.
+function assertFeedKeyAvailable(feedKey, feeds) {
+  const owner = feeds.find((f) => platforms.feedKeyOf(f) === feedKey);
+  if (owner) {
+    throw new Error(`/feed/${feedKey} is already used by @${owner.username} on ${owner.platform || 'instagram'}`);
+  }
+  if (bundles.findBundle(store, feedKey)) {
+    throw new Error(`/feed/${feedKey} is already used by a bundle`);
+  }
+}
+
+// Newest post date, preferring real timestamps over estimated ones.
+function getLatestPostDate(posts) {
+  const realPosts = posts.filter(p => !p.timestampEstimated && p.timestamp);
+  const postsWithTs = realPosts.length > 0 ? realPosts : posts.filter(p => p.timestamp);
+  return postsWithTs.length > 0
+    ? new Date(Math.max(...postsWithTs.map(p => new Date(p.timestamp).getTime()))).toISOString()
+    : null;
+}
+
+/**
+ * Stamp a successful scrape onto the stored feed entry. Re-reads the store
+ * and updates only this entry to avoid overwriting concurrent additions.
+ */
+function recordScrapeResult(feed, profileData) {
+  const platform = feed.platform || 'instagram';
+  const currentFeeds = store.get('feeds');
+  const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === platform);
+  if (idx === -1) return null;
+  currentFeeds[idx].lastChecked = new Date().toISOString();
+  currentFeeds[idx].postCount = profileData.posts.length;
+  currentFeeds[idx].latestPostDate = getLatestPostDate(profileData.posts) || currentFeeds[idx].latestPostDate || null;
+  // Posting cadence for adaptive refresh, from the archive this scrape was just merged into
+  const cadence = refreshSchedule.estimatePostingIntervalMinutes(postArchive.loadArchive(platforms.feedKeyOf(currentFeeds[idx])).items);
+  if (cadence) {
+    currentFeeds[idx].postingIntervalMinutes = cadence;
+  } else {
+    delete currentFeeds[idx].postingIntervalMinutes;
+  }
+  store.set('feeds', currentFeeds);
+  return currentFeeds[idx];
+}
+
+/**
+ * Scrape a tracked feed through the queue, publish the result and log the
+ * attempt to the feed's refresh history. `trigger` names what asked for it
+ * (see refresh-history.js).
+ * @returns {Promise<{ profileData: object, newItems: object[], feed: object|null }>}
+ */
+async function scrapeAndPublish(feed, trigger) {
+  const platform = feed.platform || 'instagram';
+  const attempt = { trigger, startedAt: null, finishedAt: null };
+  try {
+    const profileData = await scrapeQueue.scrape(feed, { onStart: () => { attempt.startedAt = Date.now(); } });
+    attempt.finishedAt = Date.now();
+    const { newItems, seeded } = await generateFeed(platforms.feedKeyOf(feed), profileData, store, platform, feed);
+    const updated = recordScrapeResult(feed, profileData);
+    // An empty archive (deleted, or restored from a backup without archives) makes
+    // every post new; don't replay them all
+    if (!seeded) webhooks.dispatchNewPosts(store, feed, newItems);
+    resolveFeedNotifications(feed);
+    refreshHistory.recordAttempt(feed, {
+      ...attempt,
+      postCount: profileData.posts.length,
+      newItemCount: newItems.length,
+      extractionPath: profileData.extractionPath,
+    });
+    return { profileData, newItems, feed: updated };
+  } catch (err) {
+    // Budget refusals never left the queue, so there's no attempt to log
+    if (attempt.startedAt) {
+      refreshHistory.recordAttempt(feed, { ...attempt, finishedAt: attempt.finishedAt || Date.now(), error: err.message });
+    }
+    throw err;
+  }
+}
+
+// Remove cached images that no archived post references any more (pruned by
+// archive retention, or the feed was removed and removeFeed deleted its archive).
+// Runs at startup and after each removal.
+function pruneMediaCache() {
+  try {
+    const referenced = new Set();
+    for (const feedKey of postArchive.listArchiveKeys()) {
+      for (const item of postArchive.loadArchive(feedKey).items) {
+        if (item.cachedImage) referenced.add(item.cachedImage);
+      }
+    }
+    const removed = mediaCache.pruneMedia(referenced);
+    if (removed) console.log(`[Media cache] Pruned ${removed} unreferenced file(s)`);
+  } catch (err) {
+    console.error('[Media cache] Prune failed:', err.message);
+  }
 }
 
 function getFeedLastCheckedMs(feed) {
   return feed.lastChecked ? new Date(feed.lastChecked).getTime() : 0;
 }
 
-function getEffectiveLastCheckedMs(feed) {
-  const base = getFeedLastCheckedMs(feed);
-  return feed.boosted ? base - BOOST_PRIORITY_MS : base;
+function sortFeedsByRefreshPriority(feeds, settings) {
+  return [...feeds].sort((a, b) => refreshSchedule.getDueAtMs(a, settings) - refreshSchedule.getDueAtMs(b, settings));
 }
 
-function sortFeedsByRefreshPriority(feeds) {
-  return [...feeds].sort((a, b) => getEffectiveLastCheckedMs(a) - getEffectiveLastCheckedMs(b));
+function getRotationFeeds(feeds, settings) {
+  return feeds.filter((f) => refreshSchedule.isRotationFeed(f, settings));
 }
 
 function getRandomInterval(forBoosted = false) {
-  const feeds = store.get('feeds');
+  const feeds = getRotationFeeds(store.get('feeds'), refreshSchedule.getScheduleSettings(store));
   const feedCount = Math.max(feeds.length, 1);
 
   // If any feed is boosted, the whole queue must cycle within the tighter
   // boosted threshold (2 h) since we refresh one feed at a time.
   const hasBoosted = feeds.some(f => f.boosted);
-  const tightestStaleMs = hasBoosted ? BOOST_MAX_STALE_MS : MAX_STALE_MS;
+  const tightestStaleMs = hasBoosted ? refreshSchedule.BOOST_MAX_STALE_MS : refreshSchedule.MAX_STALE_MS;
   const maxSafeMinutes = (tightestStaleMs / 60000) / feedCount * 0.7;
 
   const baseMax = forBoosted ? 20 : 65;
@@ -344,13 +408,15 @@ function scheduleNextRefresh() {
 
   try {
     const feeds = store.get('feeds');
-    if (feeds.length > 0) {
-      const nextFeed = sortFeedsByRefreshPriority(feeds)[0];
+    const settings = refreshSchedule.getScheduleSettings(store);
+    const rotation = getRotationFeeds(feeds, settings).filter((f) => !scrapeQueue.isInFlight(f));
+    if (rotation.length > 0) {
+      const nextFeed = sortFeedsByRefreshPriority(rotation, settings)[0];
       interval = getRandomInterval(!!nextFeed.boosted);
 
       const oldestTime = getFeedLastCheckedMs(nextFeed);
       const age = Date.now() - oldestTime;
-      const timeUntilStale = getMaxStaleMs(nextFeed) - age;
+      const timeUntilStale = refreshSchedule.getMaxStaleMs(nextFeed, settings) - age;
 
       if (timeUntilStale <= 0) {
         interval = 5 * 1000;
@@ -358,108 +424,164 @@ function scheduleNextRefresh() {
         interval = Math.max(timeUntilStale - 2 * 60 * 1000, 5 * 1000);
       }
     }
+
+    // Wake up in time for the next interval feed, or once its platform's
+    // request budget frees up. Feeds that are already due (first start, after
+    // sleep or quiet hours) go 1–2 minutes apart, not in a burst.
+    const now = Date.now();
+    const dueTimes = feeds
+      .filter((f) => !refreshSchedule.isRotationFeed(f, settings) && !scrapeQueue.isInFlight(f))
+      .map((f) => Math.max(
+        refreshSchedule.getDueAtMs(f, settings),
+        now + scrapeQueue.getBudgetWaitMs(f.platform || 'instagram', now)
+      ));
+    if (dueTimes.length > 0) {
+      const spacing = 60 * 1000 + Math.round(Math.random() * 60 * 1000);
+      interval = Math.min(interval, Math.max(Math.min(...dueTimes) - Date.now(), spacing));
+    }
+
+    // Nothing is scraped during quiet hours; resume a few minutes after they end
+    const { quietHours } = settings;
+    const fireAt = new Date(Date.now() + interval);
+    if (refreshSchedule.isQuietTime(quietHours, fireAt)) {
+      const resumeAt = refreshSchedule.getQuietHoursEnd(quietHours, fireAt).getTime();
+      interval = resumeAt - Date.now() + Math.round(Math.random() * 5 * 60 * 1000);
+      console.log(`[Smart-refresh] Quiet hours until ${quietHours.end}`);
+    }
   } catch (err) {
     console.error('[Smart-refresh] Error computing staleness cap:', err.message);
   }
 
   const mins = (interval / 60000).toFixed(1);
   console.log(`[Smart-refresh] Next feed refresh in ${mins} minutes`);
-  refreshTimeout = setTimeout(() => refreshOldestFeed(), interval);
+  refreshTimeout = setTimeout(() => refreshDueFeeds(), interval);
 }
 
-async function refreshOldestFeed() {
-  if (isRefreshing) {
+/**
+ * Scheduler tick: hand due feeds to the scrape queue without waiting for
+ * them. The rotation advances one feed per tick; interval feeds start as
+ * soon as their platform has a free slot and budget left. Each finished
+ * scrape reschedules the next tick.
+ */
+function refreshDueFeeds() {
+  try {
+    // Timers can fire late (sleep/resume), so re-check quiet hours here
+    if (refreshSchedule.isQuietTime(store.get('quietHours'))) return;
+
+    const settings = refreshSchedule.getScheduleSettings(store);
+    const now = Date.now();
+    let rotationStarted = false;
+    for (const feed of sortFeedsByRefreshPriority(store.get('feeds'), settings)) {
+      if (scrapeQueue.isInFlight(feed) || !refreshSchedule.isFeedDue(feed, settings, now)) continue;
+      const rotation = refreshSchedule.isRotationFeed(feed, settings);
+      if (rotation && rotationStarted) continue;
+      if (!scrapeQueue.canStart(feed.platform || 'instagram')) continue;
+      if (rotation) rotationStarted = true;
+      autoRefreshFeed(feed);
+    }
+  } catch (err) {
+    console.error('[Smart-refresh] Error picking feeds:', err.message);
+  } finally {
     scheduleNextRefresh();
-    return;
   }
-  isRefreshing = true;
+}
 
+async function autoRefreshFeed(feed) {
+  const platform = feed.platform || 'instagram';
   try {
-    const feeds = store.get('feeds');
-    if (feeds.length === 0) {
-      scheduleNextRefresh();
-      isRefreshing = false;
-      return;
-    }
-
-    const feed = sortFeedsByRefreshPriority(feeds)[0];
-    const platform = feed.platform || 'instagram';
     console.log(`[Smart-refresh] Refreshing @${feed.username} (${platform}), last checked: ${feed.lastChecked || 'never'}`);
-
-    let profileData;
-    const scrapeLabel = `Auto-refresh @${feed.username}`;
-    if (platform === 'twitter') profileData = await withTimeout(scrapeTwitterProfile(feed.username), SCRAPE_TIMEOUT_MS, scrapeLabel);
-    else if (platform === 'facebook') profileData = await withTimeout(scrapeFacebookProfile(feed.username, feed.subTab, feed.fullUrl), SCRAPE_TIMEOUT_MS, scrapeLabel);
-    else if (platform === 'linkedin') profileData = await withTimeout(scrapeLinkedInProfile(feed.username), SCRAPE_TIMEOUT_MS, scrapeLabel);
-    else if (platform === 'txt') profileData = await withTimeout(scrapeTxtFile(feed.fullUrl || feed.url), SCRAPE_TIMEOUT_MS, scrapeLabel);
-    else if (platform === 'custom') profileData = await withTimeout(scrapeCustomSiteHeadless(feed.fullUrl, feed.selector, feed.alias || feed.username, feed.scrollSelector, feed.scrollCount), SCRAPE_TIMEOUT_MS, scrapeLabel);
-    else profileData = await withTimeout(scrapeInstagramProfile(feed.username), SCRAPE_TIMEOUT_MS, scrapeLabel);
-
-    const feedKey = (feed.feedKey || feed.username).replace(/\//g, '-');
-    await generateFeed(feedKey, profileData, store, platform);
-
-    // Update only this entry
-    const currentFeeds = store.get('feeds');
-    const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === platform);
-    if (idx !== -1) {
-      currentFeeds[idx].lastChecked = new Date().toISOString();
-      currentFeeds[idx].postCount = profileData.posts.length;
-      const realPosts = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-      const postsWithTs = realPosts.length > 0 ? realPosts : profileData.posts.filter(p => p.timestamp);
-      currentFeeds[idx].latestPostDate = postsWithTs.length > 0
-        ? new Date(Math.max(...postsWithTs.map(p => new Date(p.timestamp).getTime()))).toISOString()
-        : currentFeeds[idx].latestPostDate || null;
-      store.set('feeds', currentFeeds);
-    }
-
-    // Resolve any previous error for this feed
-    resolveNotificationsBySubstring(`@${feed.username}`);
-    removeStaleNotificationsForFeed(feed.username);
+    const { profileData } = await scrapeAndPublish(feed, 'auto');
 
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('feeds-updated');
     }
     console.log(`[Smart-refresh] @${feed.username} done (${profileData.posts.length} posts)`);
   } catch (err) {
-    const feed = sortFeedsByRefreshPriority(store.get('feeds'))[0];
-    const msg = `Failed to refresh @${feed?.username || 'unknown'}: ${err.message}`;
+    // Out of budget isn't the feed's fault; it runs again once the budget frees up
+    if (err.code === 'SCRAPE_BUDGET') {
+      console.log(`[Smart-refresh] @${feed.username} deferred: ${err.message}`);
+      return;
+    }
+    const msg = `Failed to refresh @${feed.username}: ${err.message}`;
     console.error('[Smart-refresh]', msg);
-    addNotification('error', msg);
+    addNotification('error', msg, { category: 'scrape-error', feed });
 
     // Move the failing feed to the back of the queue so other feeds get
     // their turn.  Setting lastChecked to "now" means this feed won't be
     // retried until every other feed has been refreshed first.
-    if (feed) {
-      try {
-        const currentFeeds = store.get('feeds');
-        const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === (feed.platform || 'instagram'));
-        if (idx !== -1) {
-          currentFeeds[idx].lastChecked = new Date().toISOString();
-          store.set('feeds', currentFeeds);
-          console.log(`[Smart-refresh] Moved @${feed.username} to back of queue after failure`);
-        }
-      } catch (e) {
-        console.error('[Smart-refresh] Failed to bump lastChecked:', e.message);
+    try {
+      const currentFeeds = store.get('feeds');
+      const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === platform);
+      if (idx !== -1) {
+        currentFeeds[idx].lastChecked = new Date().toISOString();
+        store.set('feeds', currentFeeds);
+        console.log(`[Smart-refresh] Moved @${feed.username} to back of queue after failure`);
       }
+    } catch (e) {
+      console.error('[Smart-refresh] Failed to bump lastChecked:', e.message);
     }
   } finally {
-    isRefreshing = false;
     scheduleNextRefresh();
   }
 }
 
+/**
+ * Refresh a batch of feeds at once. Everything goes into the scrape queue
+ * together and the per-platform limits decide how many run side by side.
+ * Feeds whose platform is out of budget are marked `deferred` and summed up
+ * in one warning instead of an error each.
+ */
+async function refreshFeedsNow(feeds, trigger, failurePrefix) {
+  const results = await Promise.all(feeds.map(async (feed) => {
+    try {
+      await scrapeAndPublish(feed, trigger);
+      return { username: feed.username, success: true };
+    } catch (err) {
+      if (err.code === 'SCRAPE_BUDGET') {
+        return { username: feed.username, success: false, deferred: true, error: err.message };
+      }
+      addNotification('error', `${failurePrefix} @${feed.username}: ${err.message}`, { category: 'scrape-error', feed });
+      return { username: feed.username, success: false, error: err.message };
+    }
+  }));
+
+  const deferred = results.filter((r) => r.deferred).length;
+  if (deferred) {
+    addNotification('warning', `${deferred} feed(s) skipped — request budget used up; the scheduler will refresh them once it frees up`, { category: 'budget' });
+  }
+  return results;
+}
+
 // ── App Lifecycle ──────────────────────────────────────────────────────────
 
 app.whenReady().then(async () => {
   // Persist cookies across restarts
   const ses = session.defaultSession;
 
-  createMainWindow();
-  createTray();
-  startFeedServer(store);
+  if (!HEADLESS) {
+    createMainWindow();
+    createTray();
+  }
+  notifications.initNotifications({
+    onChange: () => {
+      sendNotificationsToRenderer();
+      recalcTrayIcon();
+    },
+  });
+  recalcTrayIcon();
+  scrapeQueue.initScrapeQueue(store);
+  startFeedServer(store, managementActions);
   startInternetMonitor();
   startStaleFeedMonitor();
   scheduleNextRefresh();
+  pruneMediaCache();
+  webhooks.initWebhooks(store, {
+    onChange: () => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('webhook-deliveries-updated');
+      }
+    },
+  });
 
   // Forward tunnel status changes to the renderer + update tray icon
   tunnel.onTunnelStatusChange((data) => {
@@ -473,17 +595,19 @@ app.whenReady().then(async () => {
         mainWindow.webContents.send('tunnel-status', data);
       }
       if (data.status === 'error') {
-        addNotification('error', 'Tunnel disconnected: ' + (data.message || 'unknown error'));
+        addNotification('error', 'Tunnel disconnected: ' + (data.message || 'unknown error'), { category: 'tunnel' });
         if (data.message) {
           const match = data.message.match(/https:\/\/login\.tailscale\.com\/f\/[^\s]+/);
-          if (match) {
+          if (match && HEADLESS) {
+            console.log(`[Tunnel] Approve this node in a browser: ${match[0]}`);
+          } else if (match) {
             shell.openExternal(match[0]).catch((err) => {
               console.error('[Tunnel] Failed to open external URL:', err.message);
             });
           }
         }
       } else if (data.status === 'running') {
-        resolveNotificationsBySubstring('Tunnel');
+        notifications.resolveNotifications({ category: 'tunnel' });
       }
       recalcTrayIcon();
     } catch (err) {
@@ -518,6 +642,10 @@ app.whenReady().then(async () => {
       if (providerId === 'cloudflare') {
         // Check authentication (cert.pem)
         if (!(await tunnel.checkAuthenticated(store))) {
+          if (HEADLESS) {
+            console.log('[Tunnel] cloudflared not authenticated — run `cloudflared tunnel login` or set up the tunnel from the GUI once');
+            return;
+          }
           sendStatus('Not authenticated — opening login...');
           const loginResult = await tunnel.runWizardStep(store, 'login');
           if (!loginResult.success) {
@@ -566,40 +694,12 @@ app.whenReady().then(async () => {
         const tState = await tunnel.getTunnelState(store);
         if (tState.status === 'running') {
           clearInterval(tunnelPollInterval);
-          console.log('[Tunnel] Connected — refreshing all feeds');
-          const feedsSnapshot = store.get('feeds');
-          for (const feed of feedsSnapshot) {
-            try {
-              const plat = feed.platform || 'instagram';
-              let profileData;
-              if (plat === 'twitter') profileData = await scrapeTwitterProfile(feed.username);
-              else if (plat === 'facebook') profileData = await scrapeFacebookProfile(feed.username, feed.subTab, feed.fullUrl);
-              else if (plat === 'linkedin') profileData = await scrapeLinkedInProfile(feed.username);
-              else if (plat === 'txt') profileData = await scrapeTxtFile(feed.fullUrl || feed.url);
-              else if (plat === 'custom') profileData = await scrapeCustomSiteHeadless(feed.fullUrl, feed.selector, feed.alias || feed.username, feed.scrollSelector, feed.scrollCount);
-              else profileData = await scrapeInstagramProfile(feed.username);
-              const fk = (feed.feedKey || feed.username).replace(/\//g, '-');
-              await generateFeed(fk, profileData, store, plat);
-
-              // Re-read store and update only this entry to avoid overwriting concurrent additions
-              const currentFeeds = store.get('feeds');
-              const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === (plat));
-              if (idx !== -1) {
-                currentFeeds[idx].lastChecked = new Date().toISOString();
-                currentFeeds[idx].postCount = profileData.posts.length;
-                const realPostsT = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-                const postsWithTsT = realPostsT.length > 0 ? realPostsT : profileData.posts.filter(p => p.timestamp);
-                currentFeeds[idx].latestPostDate = postsWithTsT.length > 0
-                  ? new Date(Math.max(...postsWithTsT.map(p => new Date(p.timestamp).getTime()))).toISOString()
-                  : currentFeeds[idx].latestPostDate || null;
-                store.set('feeds', currentFeeds);
-              }
-
-            } catch (err) {
-              console.error('[Post-tunnel refresh] Failed @' + feed.username + ':', err.message);
-              addNotification('error', 'Post-tunnel refresh failed @' + feed.username + ': ' + err.message);
-            }
+          if (refreshSchedule.isQuietTime(store.get('quietHours'))) {
+            console.log('[Tunnel] Connected — quiet hours, leaving feeds to the scheduler');
+            return;
           }
+          console.log('[Tunnel] Connected — refreshing all feeds');
+          await refreshFeedsNow(store.get('feeds'), 'tunnel', 'Post-tunnel refresh failed');
           if (mainWindow && !mainWindow.isDestroyed()) {
             mainWindow.webContents.send('feeds-updated');
           }
@@ -626,13 +726,33 @@ app.on('before-quit', () => {
 });
 
 app.on('window-all-closed', () => {
+  // Headless runs only ever have hidden scraper windows; closing the last
+  // one must not end the daemon.
+  if (HEADLESS && !isQuitting) return;
+  shutdown();
+});
+
+function shutdown() {
+  isQuitting = true;
   if (refreshTimeout) clearTimeout(refreshTimeout);
   if (internetCheckInterval) clearInterval(internetCheckInterval);
   if (staleFeedCheckInterval) clearInterval(staleFeedCheckInterval);
+  webhooks.stopWebhooks();
+  scrapeQueue.stopScrapeQueue();
   Promise.resolve(tunnel.stopTunnel(store)).catch(() => {});
   stopFeedServer();
   app.quit();
-});
+}
+
+// Service managers (systemd, Docker, launchd) stop the app with SIGTERM
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    console.log(`[Lifecycle] Received ${signal}, shutting down`);
+    shutdown();
+    // Don't let a stuck scraper window or tunnel child keep the process alive
+    setTimeout(() => app.exit(0), 10 * 1000).unref();
+  });
+}
 
 // ── Main Window ────────────────────────────────────────────────────────────
 
@@ -1006,13 +1126,13 @@ async function checkLoginStatus() {
       mainWindow.webContents.send('login-status', { platform: 'instagram', loggedIn });
     }
     if (!loggedIn) {
-      // Only notify if there are Instagram feeds
+      // Only notify if there are Instagram (or Threads, same login) feeds
       const feeds = store.get('feeds');
-      if (feeds.some(f => (f.platform || 'instagram') === 'instagram')) {
-        addNotification('warning', 'Instagram session expired — please log in again');
+      if (feeds.some(f => (platforms.getPlatform(f.platform).loginPlatform || f.platform || 'instagram') === 'instagram')) {
+        addNotification('warning', 'Instagram session expired — please log in again', { category: 'session', platform: 'instagram' });
       }
     } else {
-      resolveNotificationsBySubstring('Instagram session');
+      notifications.resolveNotifications({ category: 'session', platform: 'instagram' });
     }
     return loggedIn;
   } catch {
@@ -1032,10 +1152,10 @@ async function checkTwitterLoginStatus() {
     if (!loggedIn) {
       const feeds = store.get('feeds');
       if (feeds.some(f => f.platform === 'twitter')) {
-        addNotification('warning', 'Twitter/X session expired — please log in again');
+        addNotification('warning', 'Twitter/X session expired — please log in again', { category: 'session', platform: 'twitter' });
       }
     } else {
-      resolveNotificationsBySubstring('Twitter/X session');
+      notifications.resolveNotifications({ category: 'session', platform: 'twitter' });
     }
     return loggedIn;
   } catch {
@@ -1056,10 +1176,10 @@ async function checkFacebookLoginStatus() {
     if (!loggedIn) {
       const feeds = store.get('feeds');
       if (feeds.some(f => f.platform === 'facebook')) {
-        addNotification('warning', 'Facebook session expired — please log in again');
+        addNotification('warning', 'Facebook session expired — please log in again', { category: 'session', platform: 'facebook' });
       }
     } else {
-      resolveNotificationsBySubstring('Facebook session');
+      notifications.resolveNotifications({ category: 'session', platform: 'facebook' });
     }
     return loggedIn;
   } catch {
@@ -1079,10 +1199,10 @@ async function checkLinkedInLoginStatus() {
     if (!loggedIn) {
       const feeds = store.get('feeds');
       if (feeds.some(f => f.platform === 'linkedin')) {
-        addNotification('warning', 'LinkedIn session expired — please log in again');
+        addNotification('warning', 'LinkedIn session expired — please log in again', { category: 'session', platform: 'linkedin' });
       }
     } else {
-      resolveNotificationsBySubstring('LinkedIn session');
+      notifications.resolveNotifications({ category: 'session', platform: 'linkedin' });
     }
     return loggedIn;
   } catch {
@@ -1097,8 +1217,9 @@ ipcMain.handle('get-app-version', () => app.getVersion());
 ipcMain.handle('open-login', () => openLoginWindow());
 ipcMain.handle('check-login', () => checkLoginStatus());
 ipcMain.handle('logout', async () => {
+  // Threads signs in with Instagram, so this logs out of both
   await session.defaultSession.clearStorageData({
-    origins: ['https://www.instagram.com', 'https://instagram.com'],
+    origins: ['https://www.instagram.com', 'https://instagram.com', 'https://www.threads.net', 'https://www.threads.com'],
   });
   mainWindow.webContents.send('login-status', { platform: 'instagram', loggedIn: false });
 });
@@ -1135,14 +1256,12 @@ ipcMain.handle('logout-linkedin', async () => {
 
 // Force reset: clear ALL cookies + storage for a platform (nuclear option)
 ipcMain.handle('force-reset-platform', async (_e, platform) => {
-  const domainMap = {
-    instagram: ['https://www.instagram.com', 'https://instagram.com'],
-    twitter: ['https://x.com', 'https://twitter.com', 'https://api.twitter.com'],
-    facebook: ['https://www.facebook.com', 'https://facebook.com'],
-    linkedin: ['https://www.linkedin.com', 'https://linkedin.com'],
-  };
-  const origins = domainMap[platform];
-  if (!origins) return;
+  if (!platforms.hasPlatform(platform)) return;
+  // Platforms that sign in through this one (Threads via Instagram) are reset with it
+  const targets = platforms.listPlatforms().filter((p) => p.id === platform || p.loginPlatform === platform);
+  const origins = targets.flatMap((p) => p.resetOrigins || []);
+  const resetCookieDomains = targets.flatMap((p) => p.resetCookieDomains || []);
+  if (!origins.length) return;
 
   // Clear all storage types for these origins
   for (const origin of origins) {
@@ -1150,13 +1269,7 @@ ipcMain.handle('force-reset-platform', async (_e, platform) => {
   }
 
   // Also nuke cookies by domain (catches subdomains the origin-based clear might miss)
-  const domainParts = {
-    instagram: ['instagram.com'],
-    twitter: ['x.com', 'twitter.com'],
-    facebook: ['facebook.com'],
-    linkedin: ['linkedin.com'],
-  };
-  for (const domain of (domainParts[platform] || [])) {
+  for (const domain of resetCookieDomains) {
     const cookies = await session.defaultSession.cookies.get({ domain });
     for (const cookie of cookies) {
       const url = `https://${cookie.domain.replace(/^\./, '')}${cookie.path}`;
@@ -1172,17 +1285,38 @@ ipcMain.handle('get-feeds', () => {
   return store.get('feeds');
 });
 
-ipcMain.handle('add-feed', async (_e, url) => {
-  const parsed = parseProfileInput(url);
-  if (!parsed) throw new Error('Invalid URL or username. Supported: Instagram, Twitter/X, Facebook, LinkedIn, any website URL, or .txt URLs');
+ipcMain.handle('get-platforms', () => {
+  return platforms.describePlatforms();
+});
 
-  const { username, platform } = parsed;
+ipcMain.handle('add-feed', async (_e, url) => {
+  const parsed = await parseFeedInput(url);
 
   // Custom websites get routed to the wizard flow
-  if (platform === 'custom') {
+  if (parsed.platform === 'custom') {
     return await handleAddCustomFeed(parsed);
   }
 
+  return await addParsedFeed(parsed, url);
+});
+
+async function parseFeedInput(url) {
+  const parsed = await platforms.resolveProfileInput(String(url || ''));
+  if (!parsed) {
+    const hints = platforms.listPlatforms().map((p) => p.inputHint);
+    throw new Error(`Invalid URL or username. Supported: ${hints.slice(0, -1).join(', ')}, or ${hints[hints.length - 1]}`);
+  }
+  return parsed;
+}
+
+/**
+ * Scrape a parsed profile once and start tracking it. Shared by the add box
+ * and the OPML import queue; the import passes `waitForBudget` so it queues
+ * behind a spent request budget instead of failing, and `trigger: 'import'`
+ * for the refresh history.
+ */
+async function addParsedFeed(parsed, url, { waitForBudget = false, trigger = 'add' } = {}) {
+  const { username, platform } = parsed;
   const feeds = store.get('feeds');
 
   // Use platform+username as unique key so same username on different platforms is allowed
@@ -1190,18 +1324,14 @@ ipcMain.handle('add-feed', async (_e, url) => {
     throw new Error(`Already tracking @${username} on ${platform}`);
   }
 
-  let profileData;
-  if (platform === 'twitter') {
-    profileData = await scrapeTwitterProfile(username);
-  } else if (platform === 'facebook') {
-    profileData = await scrapeFacebookProfile(username, parsed.subTab, parsed.fullUrl);
-  } else if (platform === 'linkedin') {
-    profileData = await scrapeLinkedInProfile(username);
-  } else if (platform === 'txt') {
-    profileData = await scrapeTxtFile(parsed.fullUrl);
-  } else {
-    profileData = await scrapeInstagramProfile(username);
-  }
+  // For group/event identifiers with slashes, use a sanitized key for the feed filename
+  const { feedKeyPrefix } = platforms.getPlatform(platform);
+  const feedKey = (feedKeyPrefix ? `${feedKeyPrefix}-${username}` : username).replace(/\//g, '-');
+  assertFeedKeyAvailable(feedKey, feeds);
+
+  let startedAt = null;
+  const profileData = await scrapeQueue.scrape(parsed, { waitForBudget, onStart: () => { startedAt = Date.now(); } });
+  const finishedAt = Date.now();
 
   if (profileData.posts.length < 1) {
     throw new Error(
@@ -1215,26 +1345,8 @@ ipcMain.handle('add-feed', async (_e, url) => {
   // Re-focus main window after hidden scraper window was destroyed
   if (mainWindow && !mainWindow.isDestroyed()) mainWindow.focus();
 
-  const isOrg = username.startsWith('company/') || username.startsWith('showcase/') || username.startsWith('school/');
-  const profileUrls = {
-    twitter: `https://x.com/${username}`,
-    facebook: `https://www.facebook.com/${username}`,
-    instagram: `https://www.instagram.com/${username}/`,
-    linkedin: isOrg ? `https://www.linkedin.com/${username}` : `https://www.linkedin.com/in/${username}`,
-    txt: parsed.fullUrl || url,
-  };
-
-  // For group/event identifiers with slashes, use a sanitized key for the feed filename
-  const feedKey = username.replace(/\//g, '-');
-
-  const realPostsAdd = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-  const postsWithTsAdd = realPostsAdd.length > 0 ? realPostsAdd : profileData.posts.filter(p => p.timestamp);
-  const latestPostDate = postsWithTsAdd.length > 0
-    ? new Date(Math.max(...postsWithTsAdd.map(p => new Date(p.timestamp).getTime()))).toISOString()
-    : null;
-
   const entry = {
-    url: profileUrls[platform] || profileUrls.instagram,
+    url: platforms.getProfileUrl(parsed) || url,
     username,
     feedKey,
     platform,
@@ -1243,15 +1355,28 @@ ipcMain.handle('add-feed', async (_e, url) => {
     alias: username,
     lastChecked: new Date().toISOString(),
     postCount: profileData.posts.length,
-    latestPostDate,
+    latestPostDate: getLatestPostDate(profileData.posts),
   };
-
-  feeds.push(entry);
-  store.set('feeds', feeds);
-
-  await generateFeed(feedKey, profileData, store, platform);
+  const cadence = refreshSchedule.estimatePostingIntervalMinutes(profileData.posts);
+  if (cadence) entry.postingIntervalMinutes = cadence;
+
+  // Re-read: other feeds may have been added while this one was scraping
+  const currentFeeds = store.get('feeds');
+  currentFeeds.push(entry);
+  store.set('feeds', currentFeeds);
+
+  const { newItems } = await generateFeed(feedKey, profileData, store, platform, entry);
+  // Failed adds have no feed to show a history under, so only the first good scrape is logged
+  refreshHistory.recordAttempt(entry, {
+    trigger,
+    startedAt,
+    finishedAt,
+    postCount: profileData.posts.length,
+    newItemCount: newItems.length,
+    extractionPath: profileData.extractionPath,
+  });
   return entry;
-});
+}
 
 // ── Custom Website Feed (wizard-based) ─────────────────────────────────────
 
@@ -1283,12 +1408,6 @@ async function handleAddCustomFeed(parsed) {
 
   const feedKey = username.replace(/\//g, '-');
 
-  const realPostsAdd = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-  const postsWithTsAdd = realPostsAdd.length > 0 ? realPostsAdd : profileData.posts.filter(p => p.timestamp);
-  const latestPostDate = postsWithTsAdd.length > 0
-    ? new Date(Math.max(...postsWithTsAdd.map(p => new Date(p.timestamp).getTime()))).toISOString()
-    : null;
-
   const entry = {
     url: pageUrl,
     username,
@@ -1302,13 +1421,13 @@ async function handleAddCustomFeed(parsed) {
     alias: feedName || username,
     lastChecked: new Date().toISOString(),
     postCount: profileData.posts.length,
-    latestPostDate,
+    latestPostDate: getLatestPostDate(profileData.posts),
   };
 
   feeds.push(entry);
   store.set('feeds', feeds);
 
-  await generateFeed(feedKey, profileData, store, 'custom');
+  await generateFeed(feedKey, profileData, store, 'custom', entry);
   return entry;
 }
 
@@ -1359,12 +1478,12 @@ function ensureUniqueCustomUsername(baseUsername, feeds, uniquenessSeed) {
 }
 
 ipcMain.handle('start-custom-feed', async (_e, url) => {
-  const parsed = parseProfileInput(url);
+  const parsed = await platforms.resolveProfileInput(url);
   if (!parsed) throw new Error('Invalid URL');
   return await handleAddCustomFeed(parsed);
 });
 
-ipcMain.handle('toggle-feed-boost', (_e, username, platform) => {
+function toggleFeedBoost(username, platform) {
   const plat = platform || 'instagram';
   const feeds = store.get('feeds');
   const idx = feeds.findIndex((f) => f.username === username && (f.platform || 'instagram') === plat);
@@ -1373,146 +1492,202 @@ ipcMain.handle('toggle-feed-boost', (_e, username, platform) => {
   store.set('feeds', feeds);
   scheduleNextRefresh();
   return feeds[idx];
+}
+
+ipcMain.handle('toggle-feed-boost', (_e, username, platform) => toggleFeedBoost(username, platform));
+
+ipcMain.handle('set-feed-refresh-interval', (_e, username, platform, minutes) => {
+  const plat = platform || 'instagram';
+  const interval = refreshSchedule.normalizeRefreshInterval(minutes);
+  const feeds = store.get('feeds');
+  const idx = feeds.findIndex((f) => f.username === username && (f.platform || 'instagram') === plat);
+  if (idx === -1) throw new Error('Feed not found');
+  if (interval) {
+    feeds[idx].refreshIntervalMinutes = interval;
+  } else {
+    delete feeds[idx].refreshIntervalMinutes;
+  }
+  store.set('feeds', feeds);
+  scheduleNextRefresh();
+  return feeds[idx];
+});
+
+ipcMain.handle('set-feed-filters', (_e, username, platform, rawFilters) => {
+  const plat = platform || 'instagram';
+  const filters = feedFilters.normalizeFilters(rawFilters);
+  const feeds = store.get('feeds');
+  const idx = feeds.findIndex((f) => f.username === username && (f.platform || 'instagram') === plat);
+  if (idx === -1) throw new Error('Feed not found');
+  if (filters) {
+    feeds[idx].filters = filters;
+  } else {
+    delete feeds[idx].filters;
+  }
+  store.set('feeds', feeds);
+  // Re-render from the archive so the change shows up without a scrape
+  rebuildFeed(platforms.feedKeyOf(feeds[idx]), store, plat, feeds[idx]);
+  return feeds[idx];
 });
 
-ipcMain.handle('rename-feed', (_e, username, platform, newAlias) => {
+// Dry-run filters against the feed's most recent archived posts
+ipcMain.handle('preview-feed-filters', (_e, username, platform, rawFilters) => {
+  const feed = findFeed(username, platform);
+  if (!feed) throw new Error('Feed not found');
+  const filters = feedFilters.normalizeFilters(rawFilters);
+  return postArchive.loadArchive(platforms.feedKeyOf(feed)).items.slice(0, 20).map((post) => ({
+    caption: post.caption || '',
+    permalink: post.permalink || '',
+    timestamp: post.timestamp,
+    imageUrl: post.imageUrl || '',
+    isVideo: !!post.isVideo,
+    likes: post.likes || 0,
+    ...feedFilters.evaluatePost(post, filters),
+  }));
+});
+
+function renameFeed(username, platform, newAlias) {
   const fs = require('fs');
   const feedDir = require('./rss-generator').getFeedDir();
+  const isRenamed = (f) => f.username === username && (f.platform || 'instagram') === (platform || 'instagram');
+  // Sanitize alias to create a URL-safe feed key
+  const newFeedKey = bundles.slugify(newAlias);
+  if (!newFeedKey) {
+    throw new Error('Feed name needs at least one letter or number');
+  }
+  assertFeedKeyAvailable(newFeedKey, store.get('feeds').filter((f) => !isRenamed(f)));
+
   const feeds = store.get('feeds').map((f) => {
-    if (f.username === username && (f.platform || 'instagram') === (platform || 'instagram')) {
-      const oldFeedKey = (f.feedKey || f.username).replace(/\//g, '-');
-      // Sanitize alias to create a URL-safe feed key
-      const newFeedKey = newAlias.trim()
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '');
-      // Rename existing RSS/Atom files on disk
+    if (isRenamed(f)) {
+      const oldFeedKey = platforms.feedKeyOf(f);
+      // Move the archive first: if that fails the feed keeps its old key
+      postArchive.renameArchive(oldFeedKey, newFeedKey);
+      // Rename existing RSS/Atom/JSON files on disk
       const oldRss = path.join(feedDir, `${oldFeedKey}.rss.xml`);
       const oldAtom = path.join(feedDir, `${oldFeedKey}.atom.xml`);
+      const oldJson = path.join(feedDir, `${oldFeedKey}.json`);
       const newRss = path.join(feedDir, `${newFeedKey}.rss.xml`);
       const newAtom = path.join(feedDir, `${newFeedKey}.atom.xml`);
+      const newJson = path.join(feedDir, `${newFeedKey}.json`);
       try { if (fs.existsSync(oldRss)) fs.renameSync(oldRss, newRss); } catch (_) {}
       try { if (fs.existsSync(oldAtom)) fs.renameSync(oldAtom, newAtom); } catch (_) {}
+      try { if (fs.existsSync(oldJson)) fs.renameSync(oldJson, newJson); } catch (_) {}
+      notifications.renameFeedKey(f, newFeedKey);
+      feedTokens.renameScopeKey(store, oldFeedKey, newFeedKey);
       return { ...f, alias: newAlias, feedKey: newFeedKey };
     }
     return f;
   });
   store.set('feeds', feeds);
   return feeds;
-});
+}
 
-ipcMain.handle('remove-feed', (_e, username, platform) => {
-  const feeds = store.get('feeds').filter((f) =>
-    !(f.username === username && (f.platform || 'instagram') === (platform || 'instagram'))
-  );
-  store.set('feeds', feeds);
-  return feeds;
-});
+ipcMain.handle('rename-feed', (_e, username, platform, newAlias) => renameFeed(username, platform, newAlias));
 
-ipcMain.handle('refresh-feed', async (_e, username, platform) => {
-  platform = platform || 'instagram';
-  let profileData;
-  try {
-    if (platform === 'twitter') {
-      profileData = await scrapeTwitterProfile(username);
-    } else if (platform === 'facebook') {
-      const feedEntry = store.get('feeds').find((f) => f.username === username && f.platform === 'facebook');
-      profileData = await scrapeFacebookProfile(username, feedEntry?.subTab, feedEntry?.fullUrl);
-    } else if (platform === 'linkedin') {
-      profileData = await scrapeLinkedInProfile(username);
-    } else if (platform === 'txt') {
-      const feedEntry = store.get('feeds').find((f) => f.username === username && f.platform === 'txt');
-      profileData = await scrapeTxtFile(feedEntry?.fullUrl || feedEntry?.url);
-    } else if (platform === 'custom') {
-      const feedEntry = store.get('feeds').find((f) => f.username === username && f.platform === 'custom');
-      profileData = await scrapeCustomSiteHeadless(feedEntry?.fullUrl, feedEntry?.selector, feedEntry?.alias || username, feedEntry?.scrollSelector, feedEntry?.scrollCount);
-    } else {
-      profileData = await scrapeInstagramProfile(username);
+function removeFeed(username, platform) {
+  const isRemoved = (f) =>
+    f.username === username && (f.platform || 'instagram') === (platform || 'instagram');
+  const removed = store.get('feeds').find(isRemoved);
+  const feeds = store.get('feeds').filter((f) => !isRemoved(f));
+  store.set('feeds', feeds);
+  // Re-adding the profile later starts from a clean archive, and /feed/<key> stops answering
+  if (removed) {
+    try {
+      postArchive.deleteArchive(platforms.feedKeyOf(removed));
+      deleteFeedFiles(platforms.feedKeyOf(removed));
+    } catch (err) {
+      console.error(`[Feeds] Failed to delete files for @${username}:`, err.message);
     }
-  } catch (err) {
-    addNotification('error', `Failed to refresh @${username}: ${err.message}`);
-    throw err;
+    pruneMediaCache();
   }
+  // Drop the feed from any bundles it belonged to
+  store.set('bundles', store.get('bundles').map((b) => ({
+    ...b,
+    feeds: b.feeds.filter((m) => !isRemoved(m)),
+  })));
+  // …and from webhooks limited to selected feeds
+  store.set('webhooks', store.get('webhooks').map((w) => (
+    Array.isArray(w.scope) ? { ...w, scope: w.scope.filter((m) => !isRemoved(m)) } : w
+  )));
+  refreshHistory.deleteHistory({ username, platform });
+  notifications.removeNotifications(notifications.feedRef({ username, platform }));
+  return feeds;
+}
 
-  const storedFeed = store.get('feeds').find((f) => f.username === username && (f.platform || 'instagram') === platform);
-  const feedKey = (storedFeed?.feedKey || username).replace(/\//g, '-');
-  await generateFeed(feedKey, profileData, store, platform);
-
-  // Re-focus main window after hidden scraper window was destroyed
-  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.focus();
+ipcMain.handle('remove-feed', (_e, username, platform) => removeFeed(username, platform));
 
-  // Resolve any previous errors for this feed
-  resolveNotificationsBySubstring(`@${username}`);
-  removeStaleNotificationsForFeed(username);
+// ── Refresh History IPC Handlers ──────────────────────────────────────────
 
-  const realPostsRefresh = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-  const postsWithTsRefresh = realPostsRefresh.length > 0 ? realPostsRefresh : profileData.posts.filter(p => p.timestamp);
-  const latestPostDate = postsWithTsRefresh.length > 0
-    ? new Date(Math.max(...postsWithTsRefresh.map(p => new Date(p.timestamp).getTime()))).toISOString()
-    : null;
+ipcMain.handle('get-refresh-history', (_e, username, platform) => {
+  const feed = findFeed(username, platform);
+  if (!feed) throw new Error('Feed not found');
+  const entries = refreshHistory.loadHistory(feed);
+  return { entries, summary: refreshHistory.summarizeHistory(entries) };
+});
 
-  const feeds = store.get('feeds').map((f) => {
-    if (f.username === username && (f.platform || 'instagram') === platform) {
-      return {
-        ...f,
-        lastChecked: new Date().toISOString(),
-        postCount: profileData.posts.length,
-        latestPostDate: latestPostDate || f.latestPostDate || null,
-      };
-    }
-    return f;
+ipcMain.handle('export-refresh-history', async (_e, username, platform) => {
+  const feed = findFeed(username, platform);
+  if (!feed) throw new Error('Feed not found');
+  const stamp = new Date().toISOString().slice(0, 10);
+  const name = `${feed.platform || 'instagram'}-${platforms.feedKeyOf(feed)}`;
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: `Export refresh history for @${feed.username}`,
+    defaultPath: path.join(app.getPath('downloads'), `unsocial-history-${name}-${stamp}.json`),
+    filters: [{ name: 'JSON', extensions: ['json'] }],
   });
-  store.set('feeds', feeds);
-  return feeds.find((f) => f.username === username && (f.platform || 'instagram') === platform);
+  if (canceled || !filePath) return { success: false, canceled: true };
+
+  fs.writeFileSync(filePath, JSON.stringify(refreshHistory.exportHistory(feed), null, 2), 'utf-8');
+  return { success: true, filePath };
 });
 
-ipcMain.handle('refresh-all', async () => {
-  const feedsSnapshot = store.get('feeds');
-  const results = [];
+// ── Bundle IPC Handlers ───────────────────────────────────────────────────
 
-  for (const feed of feedsSnapshot) {
-    try {
-      const platform = feed.platform || 'instagram';
-      let profileData;
-      if (platform === 'twitter') {
-        profileData = await scrapeTwitterProfile(feed.username);
-      } else if (platform === 'facebook') {
-        profileData = await scrapeFacebookProfile(feed.username, feed.subTab, feed.fullUrl);
-      } else if (platform === 'linkedin') {
-        profileData = await scrapeLinkedInProfile(feed.username);
-      } else if (platform === 'txt') {
-        profileData = await scrapeTxtFile(feed.fullUrl || feed.url);
-      } else if (platform === 'custom') {
-        profileData = await scrapeCustomSiteHeadless(feed.fullUrl, feed.selector, feed.alias || feed.username, feed.scrollSelector, feed.scrollCount);
-      } else {
-        profileData = await scrapeInstagramProfile(feed.username);
-      }
-      await generateFeed((feed.feedKey || feed.username).replace(/\//g, '-'), profileData, store, platform);
+ipcMain.handle('get-bundles', () => {
+  return store.get('bundles');
+});
 
-      // Re-read store and update only this entry to avoid overwriting concurrent additions
-      const currentFeeds = store.get('feeds');
-      const idx = currentFeeds.findIndex(f => f.username === feed.username && (f.platform || 'instagram') === platform);
-      if (idx !== -1) {
-        currentFeeds[idx].lastChecked = new Date().toISOString();
-        currentFeeds[idx].postCount = profileData.posts.length;
-        const realPostsRA = profileData.posts.filter(p => !p.timestampEstimated && p.timestamp);
-        const postsWithTsRA = realPostsRA.length > 0 ? realPostsRA : profileData.posts.filter(p => p.timestamp);
-        currentFeeds[idx].latestPostDate = postsWithTsRA.length > 0
-          ? new Date(Math.max(...postsWithTsRA.map(p => new Date(p.timestamp).getTime()))).toISOString()
-          : currentFeeds[idx].latestPostDate || null;
-        store.set('feeds', currentFeeds);
-      }
-      removeStaleNotificationsForFeed(feed.username);
-      results.push({ username: feed.username, success: true });
-    } catch (err) {
-      results.push({ username: feed.username, success: false, error: err.message });
-      addNotification('error', `Refresh failed @${feed.username}: ${err.message}`);
-    }
+ipcMain.handle('save-bundle', (_e, rawBundle, previousSlug) => {
+  const bundle = bundles.normalizeBundle(store, rawBundle, previousSlug || null);
+  const list = store.get('bundles');
+  const idx = previousSlug ? list.findIndex((b) => b.slug === previousSlug) : -1;
+  if (idx === -1) {
+    list.push(bundle);
+  } else {
+    list[idx] = bundle;
   }
+  store.set('bundles', list);
+  return list;
+});
 
-  return results;
+ipcMain.handle('delete-bundle', (_e, slug) => {
+  const list = store.get('bundles').filter((b) => b.slug !== slug);
+  store.set('bundles', list);
+  return list;
 });
 
+async function refreshFeed(username, platform, trigger = 'manual') {
+  platform = platform || 'instagram';
+  const storedFeed = findFeed(username, platform) || { username, platform };
+  let updated;
+  try {
+    ({ feed: updated } = await scrapeAndPublish(storedFeed, trigger));
+  } catch (err) {
+    if (err.code !== 'SCRAPE_BUDGET') {
+      addNotification('error', `Failed to refresh @${username}: ${err.message}`, { category: 'scrape-error', feed: storedFeed });
+    }
+    throw err;
+  }
+
+  // Re-focus main window after hidden scraper window was destroyed
+  if (mainWindow && !mainWindow.isDestroyed()) mainWindow.focus();
+
+  return updated;
+}
+
+ipcMain.handle('refresh-feed', (_e, username, platform) => refreshFeed(username, platform));
+
+ipcMain.handle('refresh-all', () => refreshFeedsNow(store.get('feeds'), 'refresh-all', 'Refresh failed'));
+
 ipcMain.handle('get-server-port', () => {
   return store.get('serverPort');
 });
@@ -1546,7 +1721,7 @@ ipcMain.handle('open-custom-login', (_e, url) => {
   });
 });
 
-ipcMain.handle('export-opml', (_e, groups, tunnelDomain) => {
+ipcMain.handle('export-opml', (_e, groups, tunnelDomain, tokenId) => {
   try {
     // Determine export directory: beside the exe for portable, or Downloads folder
     let exportDir = process.env.PORTABLE_EXECUTABLE_DIR;
@@ -1562,34 +1737,24 @@ ipcMain.handle('export-opml', (_e, groups, tunnelDomain) => {
       }
     }
 
-    const feedTokenExport = store.get('feedToken');
-    const tokenSuffix = feedTokenExport ? `?token=${feedTokenExport}` : '';
+    // Embed the chosen token; feeds outside its scope are left out
+    const exportToken = feedTokens.getTokens(store).find((t) => t.id === tokenId) || null;
+    if (tokenId && !exportToken) {
+      return { success: false, error: 'That token no longer exists' };
+    }
+    const tokenSuffix = exportToken ? `?token=${exportToken.token}` : '';
     let fileCount = 0;
 
     for (const [category, feeds] of Object.entries(groups)) {
-      const platformMap = { 'Instagram': 'instagram', 'Twitter': 'twitter', 'Facebook': 'facebook', 'LinkedIn': 'linkedin', 'Text': 'txt', 'Custom': 'custom' };
-      const platformUrlBase = {
-        'Instagram': 'https://www.instagram.com/',
-        'Twitter': 'https://x.com/',
-        'Facebook': 'https://www.facebook.com/',
-        'LinkedIn': 'https://www.linkedin.com/in/',
-        'Text': '',
-        'Custom': '',
-      };
-
       let outlines = '';
       for (const feed of feeds) {
-        const feedKey = (feed.feedKey || feed.username).replace(/\//g, '-');
-        const xmlUrl = `https://${tunnelDomain}/feed/${feedKey}${tokenSuffix}`;
-        const isOrg = feed.username.startsWith('company/') || feed.username.startsWith('showcase/') || feed.username.startsWith('school/');
-        const htmlUrl = (feed.platform === 'txt' || feed.platform === 'custom')
-          ? (feed.fullUrl || feed.url || '')
-          : feed.platform === 'linkedin'
-            ? (isOrg ? `https://www.linkedin.com/${feed.username}/` : `https://www.linkedin.com/in/${feed.username}/`)
-            : `${platformUrlBase[category] || ''}${feed.username}/`;
+        if (exportToken && !feedTokens.inScope(exportToken, platforms.feedKeyOf(feed))) continue;
+        const xmlUrl = `https://${tunnelDomain}/feed/${platforms.feedKeyOf(feed)}${tokenSuffix}`;
+        const htmlUrl = platforms.getProfileUrl(feed);
         const title = escapeXml(feed.alias || feed.username);
         outlines += `      <outline text="${title}" title="${title}" type="rss" xmlUrl="${escapeXml(xmlUrl)}" htmlUrl="${escapeXml(htmlUrl)}"/>\n`;
       }
+      if (!outlines) continue;
 
       const opml = `<?xml version="1.0" encoding="UTF-8"?>\n<opml version="1.0">\n  <head>\n    <title>${category} feeds from UnSocial</title>\n  </head>\n  <body>\n    <outline text="${category}" title="${category}">\n${outlines}    </outline>\n  </body>\n</opml>\n`;
 
@@ -1615,6 +1780,130 @@ function escapeXml(str) {
   return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
 }
 
+// ── OPML Import ────────────────────────────────────────────────────────────
+
+// Feeds picked from an OPML review are added one at a time with a random gap,
+// so importing dozens of profiles doesn't look like a burst of scraping.
+const IMPORT_DELAY_MIN_MS = 20 * 1000;
+const IMPORT_DELAY_MAX_MS = 45 * 1000;
+
+let lastImportReview = [];   // entries from the last review-opml-import
+const importQueue = {
+  pending: [],               // review entries still to add
+  current: null,             // entry being scraped right now
+  total: 0,
+  added: 0,
+  failed: [],                // { title, error }
+  running: false,
+  nextAt: null,              // ISO time the next add starts, while waiting
+  wake: null,                // ends the current wait early (cancel)
+};
+
+function getImportStatus() {
+  return {
+    running: importQueue.running,
+    total: importQueue.total,
+    added: importQueue.added,
+    failed: importQueue.failed,
+    remaining: importQueue.pending.length,
+    current: importQueue.current ? importQueue.current.title : null,
+    nextAt: importQueue.nextAt,
+  };
+}
+
+function sendImportProgress() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('opml-import-progress', getImportStatus());
+  }
+}
+
+async function runImportQueue() {
+  importQueue.running = true;
+  let first = true;
+
+  while (importQueue.pending.length > 0) {
+    if (!first) {
+      const delay = IMPORT_DELAY_MIN_MS + Math.random() * (IMPORT_DELAY_MAX_MS - IMPORT_DELAY_MIN_MS);
+      importQueue.nextAt = new Date(Date.now() + delay).toISOString();
+      sendImportProgress();
+      await new Promise((r) => {
+        importQueue.wake = r;
+        setTimeout(r, delay);
+      });
+      importQueue.wake = null;
+    }
+    first = false;
+
+    const item = importQueue.pending.shift();
+    if (!item) break; // cancelled while waiting
+    importQueue.current = item;
+    importQueue.nextAt = null;
+    sendImportProgress();
+
+    try {
+      // The scrape queue keeps this from overlapping the refresher on the same platform
+      const entry = await addParsedFeed(item.feed, item.source, { waitForBudget: true, trigger: 'import' });
+      importQueue.added++;
+      console.log(`[OPML import] Added @${entry.username} (${entry.platform})`);
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('feeds-updated');
+      }
+    } catch (err) {
+      console.error(`[OPML import] ${item.title}: ${err.message}`);
+      importQueue.failed.push({ title: item.title, error: err.message });
+    }
+    importQueue.current = null;
+    sendImportProgress();
+  }
+
+  importQueue.running = false;
+  importQueue.nextAt = null;
+  if (importQueue.failed.length) {
+    addNotification('warning', `OPML import: ${importQueue.added} feed(s) added, ${importQueue.failed.length} failed`, { category: 'import' });
+  }
+  sendImportProgress();
+}
+
+ipcMain.handle('review-opml-import', async (_e, xml) => {
+  lastImportReview = await opmlImport.reviewOutlines(opmlImport.parseOpml(xml), store.get('feeds'));
+  return lastImportReview;
+});
+
+ipcMain.handle('start-opml-import', (_e, indices) => {
+  const picked = (indices || [])
+    .map((i) => lastImportReview[i])
+    .filter((entry) => entry && entry.status === 'new');
+
+  if (!importQueue.running) {
+    importQueue.total = 0;
+    importQueue.added = 0;
+    importQueue.failed = [];
+  }
+  importQueue.pending.push(...picked);
+  importQueue.total += picked.length;
+  lastImportReview = [];
+
+  if (!importQueue.running && importQueue.pending.length > 0) {
+    runImportQueue().catch((err) => {
+      console.error('[OPML import] Queue error:', err.message);
+      importQueue.running = false;
+      sendImportProgress();
+    });
+  }
+  return getImportStatus();
+});
+
+ipcMain.handle('cancel-opml-import', () => {
+  importQueue.total -= importQueue.pending.length;
+  importQueue.pending = [];
+  if (importQueue.wake) importQueue.wake();
+  return getImportStatus();
+});
+
+ipcMain.handle('get-opml-import-status', () => {
+  return getImportStatus();
+});
+
 // ── Tunnel IPC Handlers ────────────────────────────────────────────────────
 
 ipcMain.handle('tunnel-check-installed', async () => {
@@ -1684,19 +1973,16 @@ ipcMain.handle('tunnel-set-provider', async (_e, providerId) => {
 
 // ── Feed Token IPC Handlers ───────────────────────────────────────────
 
-ipcMain.handle('get-feed-token', () => {
-  return store.get('feedToken') || '';
+ipcMain.handle('get-feed-tokens', () => {
+  return feedTokens.getTokens(store);
 });
 
-ipcMain.handle('set-feed-token', (_e, token) => {
-  store.set('feedToken', token || '');
-  return store.get('feedToken');
+ipcMain.handle('create-feed-token', (_e, options) => {
+  return feedTokens.createToken(store, options);
 });
 
-ipcMain.handle('generate-feed-token', () => {
-  const token = crypto.randomBytes(32).toString('hex');
-  store.set('feedToken', token);
-  return token;
+ipcMain.handle('revoke-feed-token', (_e, id) => {
+  return feedTokens.revokeToken(store, id);
 });
 
 ipcMain.handle('get-feed-public-base-url', () => {
@@ -1713,134 +1999,263 @@ ipcMain.handle('get-resolved-feed-base-url', () => {
   return resolveFeedBaseUrl(store);
 });
 
-// ── Notification IPC Handlers ─────────────────────────────────────────────
+// ── Settings IPC Handlers ─────────────────────────────────────────────────
 
-ipcMain.handle('get-notifications', () => {
-  return notificationLog;
+ipcMain.handle('get-media-cache-settings', () => {
+  return {
+    enabled: !!store.get('mediaCacheEnabled'),
+    videoPosters: !!store.get('mediaCacheVideoPosters'),
+  };
 });
 
-ipcMain.handle('resolve-notification', (_e, id) => {
-  resolveNotification(id);
-  return notificationLog;
+ipcMain.handle('set-media-cache-settings', (_e, settings) => {
+  store.set('mediaCacheEnabled', !!settings.enabled);
+  store.set('mediaCacheVideoPosters', !!settings.videoPosters);
+  return { enabled: !!settings.enabled, videoPosters: !!settings.videoPosters };
 });
 
-ipcMain.handle('clear-notifications', () => {
-  notificationLog.length = 0;
-  hasActiveErrors = false;
-  recalcTrayIcon();
-  sendNotificationsToRenderer();
-  return [];
+ipcMain.handle('get-refresh-settings', () => {
+  return {
+    ...refreshSchedule.getScheduleSettings(store),
+    intervalOptions: refreshSchedule.REFRESH_INTERVAL_OPTIONS,
+    boundOptions: refreshSchedule.ADAPTIVE_BOUND_OPTIONS,
+  };
 });
 
-// ── Helpers ────────────────────────────────────────────────────────────────
+ipcMain.handle('set-refresh-settings', (_e, raw) => {
+  const quietHours = refreshSchedule.normalizeQuietHours(raw.quietHours);
+  const adaptiveRefresh = refreshSchedule.normalizeAdaptiveRefresh(raw.adaptiveRefresh);
+  store.set('quietHours', quietHours);
+  store.set('adaptiveRefresh', adaptiveRefresh);
+  scheduleNextRefresh();
+  checkStaleFeedsNotifications();
+  return { quietHours, adaptiveRefresh };
+});
 
-function parseProfileInput(input) {
-  input = input.trim().replace(/\/+$/, '');
+// Schedule mode, interval and predicted next refresh per feed, for the cards
+ipcMain.handle('get-refresh-plan', () => {
+  const settings = refreshSchedule.getScheduleSettings(store);
+  const now = Date.now();
+  return store.get('feeds').map((feed) => ({
+    username: feed.username,
+    platform: feed.platform || 'instagram',
+    mode: refreshSchedule.getScheduleMode(feed, settings),
+    intervalMinutes: refreshSchedule.getIntervalMinutes(feed, settings),
+    nextRefresh: refreshSchedule.getNextRefreshAt(feed, settings, now),
+    stale: now - getFeedLastCheckedMs(feed) > refreshSchedule.getStaleThresholdMs(feed, settings),
+  }));
+});
 
-  // Facebook group URL: https://www.facebook.com/groups/groupname
-  // Also handles sub-pages: /groups/groupname/events, /groups/groupname/discussion, etc.
-  const fbGroupMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?facebook\.com\/(groups\/[a-zA-Z0-9._-]+)(?:\/(events|discussion|members|about|media|buy_sell_discussion))?/
-  );
-  if (fbGroupMatch) {
-    const groupPath = fbGroupMatch[1]; // e.g. "groups/CalgaryMetalSceneEvents"
-    const subTab = fbGroupMatch[2] || null; // e.g. "events" or null
-    return { username: groupPath, platform: 'facebook', subTab };
-  }
+// Per-platform concurrency, budgets and current usage of the scrape queue
+ipcMain.handle('get-scrape-limits', () => scrapeQueue.getQueueStatus());
 
-  // Facebook "My Events" page (bare /events with optional query params)
-  //  e.g. https://www.facebook.com/events/?date_filter_option=ANY_DATE&...
-  const fbMyEventsMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?facebook\.com\/events\/?(?:\?.*)?$/
-  );
-  if (fbMyEventsMatch) {
-    const fullUrl = input.startsWith('http') ? input : 'https://www.facebook.com/events/';
-    return { username: 'events', platform: 'facebook', subTab: 'my_events', fullUrl };
-  }
+ipcMain.handle('set-scrape-limits', (_e, platform, limits) => {
+  scrapeQueue.setScrapeLimits(platform, limits);
+  scheduleNextRefresh();
+  return scrapeQueue.getQueueStatus();
+});
 
-  // Facebook event URL: https://www.facebook.com/events/123456789
-  const fbEventMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?facebook\.com\/(events\/[a-zA-Z0-9._-]+)/
-  );
-  if (fbEventMatch) return { username: fbEventMatch[1], platform: 'facebook' };
+ipcMain.handle('get-archive-retention', () => {
+  return store.get('archiveRetention') || postArchive.DEFAULT_RETENTION;
+});
 
-  // Facebook page URL: https://www.facebook.com/pagename
-  const fbMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?facebook\.com\/([a-zA-Z0-9._-]+)/
-  );
-  if (fbMatch) {
-    const page = fbMatch[1];
-    if (['login', 'groups', 'events', 'watch', 'marketplace', 'gaming', 'pages', 'profile.php'].includes(page)) return null;
-    return { username: page, platform: 'facebook' };
-  }
+ipcMain.handle('set-archive-retention', (_e, value) => {
+  const n = parseInt(value, 10);
+  if (!Number.isFinite(n) || n < 1) throw new Error('Retention must be a positive number of posts');
+  store.set('archiveRetention', n);
+  return n;
+});
 
-  // Twitter / X URL: https://x.com/username or https://twitter.com/username
-  const twitterMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?(x|twitter)\.com\/([a-zA-Z0-9_]+)/
-  );
-  if (twitterMatch) {
-    const user = twitterMatch[2];
-    if (['i', 'home', 'explore', 'search', 'settings', 'messages'].includes(user)) return null;
-    return { username: user, platform: 'twitter' };
+// ── Webhook IPC Handlers ──────────────────────────────────────────────────
+
+ipcMain.handle('get-webhooks', () => {
+  return store.get('webhooks');
+});
+
+ipcMain.handle('save-webhook', (_e, rawWebhook, existingId) => {
+  const webhook = webhooks.normalizeWebhook(store, rawWebhook, existingId || null);
+  const list = store.get('webhooks');
+  const idx = list.findIndex((w) => w.id === webhook.id);
+  if (idx === -1) {
+    list.push(webhook);
+  } else {
+    list[idx] = webhook;
   }
+  store.set('webhooks', list);
+  return list;
+});
 
-  // LinkedIn profile URL: https://www.linkedin.com/in/username/ or company page
-  const liProfileMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/([a-zA-Z0-9._-]+)/
-  );
-  if (liProfileMatch) return { username: liProfileMatch[1], platform: 'linkedin' };
+ipcMain.handle('delete-webhook', (_e, id) => {
+  const list = store.get('webhooks').filter((w) => w.id !== id);
+  store.set('webhooks', list);
+  return list;
+});
 
-  // LinkedIn company/showcase/school URL: https://www.linkedin.com/company/companyname/ or showcase/school
-  const liOrgMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/((?:company|showcase|school)\/[a-zA-Z0-9._-]+)/
-  );
-  if (liOrgMatch) return { username: liOrgMatch[1], platform: 'linkedin' };
+ipcMain.handle('generate-webhook-secret', () => {
+  return webhooks.generateSecret();
+});
 
-  // Instagram URL: https://www.instagram.com/username/
-  const igMatch = input.match(
-    /(?:https?:\/\/)?(?:www\.)?instagram\.com\/([a-zA-Z0-9._]+)/
-  );
-  if (igMatch) return { username: igMatch[1], platform: 'instagram' };
-
-  // .txt URL — any http(s) URL ending in .txt
-  const txtMatch = input.match(/^(https?:\/\/.+\.txt)$/i);
-  if (txtMatch) {
-    const fullUrl = txtMatch[1];
-    // Derive a short name from the URL path (e.g. "changelog" from changelog.txt)
-    let fileName;
-    try {
-      const u = new URL(fullUrl);
-      const pathParts = u.pathname.split('/').filter(Boolean);
-      fileName = (pathParts.pop() || 'feed').replace(/\.txt$/i, '');
-      // Prefix with hostname for uniqueness
-      const host = u.hostname.replace(/^www\./, '').replace(/\./g, '-');
-      fileName = `${host}-${fileName}`;
-    } catch (_) {
-      fileName = 'txt-feed';
+ipcMain.handle('test-webhook', (_e, id) => {
+  webhooks.sendTestDelivery(store, id);
+});
+
+ipcMain.handle('get-webhook-deliveries', () => {
+  return webhooks.getDeliveries();
+});
+
+ipcMain.handle('retry-webhook-delivery', (_e, id) => {
+  webhooks.retryDelivery(store, id);
+});
+
+ipcMain.handle('clear-webhook-deliveries', () => {
+  webhooks.clearDeliveryLog();
+});
+
+// ── Management API ─────────────────────────────────────────────────────────
+
+function notifyFeedsChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('feeds-updated');
+  }
+}
+
+// Operations behind /api/v1 on the feed server — the same functions the IPC
+// handlers use, plus a renderer refresh since the change didn't come from it.
+const managementActions = {
+  getFeeds: () => store.get('feeds'),
+  async addFeed(url) {
+    const parsed = await parseFeedInput(url);
+    if (parsed.platform === 'custom') {
+      throw new Error('Custom websites have to be added in the app with the selector wizard');
     }
-    return { username: fileName, platform: 'txt', fullUrl };
+    const entry = await addParsedFeed(parsed, url);
+    notifyFeedsChanged();
+    return entry;
+  },
+  removeFeed(username, platform) {
+    const feeds = removeFeed(username, platform);
+    notifyFeedsChanged();
+    return feeds;
+  },
+  async refreshFeed(username, platform) {
+    const feed = await refreshFeed(username, platform, 'api');
+    notifyFeedsChanged();
+    return feed;
+  },
+  toggleFeedBoost(username, platform) {
+    const feed = toggleFeedBoost(username, platform);
+    notifyFeedsChanged();
+    return feed;
+  },
+  renameFeed(username, platform, newAlias) {
+    const feeds = renameFeed(username, platform, newAlias);
+    notifyFeedsChanged();
+    return feeds;
+  },
+  getNotifications: () => notifications.getNotifications(),
+  getTunnelState: () => tunnel.getTunnelState(store),
+  isOnline: () => !internetDown,
+};
+
+ipcMain.handle('get-api-settings', () => {
+  return { token: store.get('apiToken'), allowRemote: !!store.get('apiAllowRemote') };
+});
+
+ipcMain.handle('generate-api-token', () => {
+  store.set('apiToken', generateApiToken());
+  return store.get('apiToken');
+});
+
+ipcMain.handle('clear-api-token', () => {
+  store.set('apiToken', '');
+  return '';
+});
+
+ipcMain.handle('set-api-allow-remote', (_e, allow) => {
+  store.set('apiAllowRemote', !!allow);
+  return !!allow;
+});
+
+// ── Backup & Restore IPC Handlers ─────────────────────────────────────────
+
+let pendingRestore = null;   // parsed backup chosen by choose-backup-file, until applied
+
+ipcMain.handle('export-backup', async (_e, options) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export UnSocial backup',
+    defaultPath: path.join(app.getPath('downloads'), `unsocial-backup-${stamp}.json`),
+    filters: [{ name: 'UnSocial backup', extensions: ['json'] }],
+  });
+  if (canceled || !filePath) return { success: false, canceled: true };
+
+  const data = backup.createBackup(store, { includeArchives: !!(options && options.includeArchives) });
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  return {
+    success: true,
+    filePath,
+    feeds: data.feeds.length,
+    archives: data.archives ? Object.keys(data.archives).length : 0,
+  };
+});
+
+ipcMain.handle('choose-backup-file', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+    title: 'Restore UnSocial backup',
+    properties: ['openFile'],
+    filters: [{ name: 'UnSocial backup', extensions: ['json'] }],
+  });
+  if (canceled || !filePaths.length) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePaths[0], 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read backup: ${err.message}`);
   }
+  const report = backup.validateBackup(store, data);
+  pendingRestore = report.errors.length ? null : data;
+  return { fileName: path.basename(filePaths[0]), ...report };
+});
 
-  // Bare @username or username — default to Instagram
-  const bare = input.replace(/^@/, '');
-  if (/^[a-zA-Z0-9._]{1,30}$/.test(bare)) return { username: bare, platform: 'instagram' };
+ipcMain.handle('apply-backup', (_e, options) => {
+  if (!pendingRestore) throw new Error('Choose a backup file first');
+  const result = backup.applyBackup(store, pendingRestore, options || {});
+  pendingRestore = null;
 
-  // Any other URL — treat as custom website (catch-all)
-  // Also match URLs without protocol (e.g. "example.com/page")
-  const anyUrlMatch = input.match(/^(https?:\/\/.+)/i) || input.match(/^([a-zA-Z0-9][-a-zA-Z0-9]*\.[a-zA-Z]{2,}\/.+)/i);
-  if (anyUrlMatch) {
-    const fullUrl = anyUrlMatch[1].startsWith('http') ? anyUrlMatch[1] : 'https://' + anyUrlMatch[1];
-    let siteName;
+  // Serve restored feeds straight away from their archives
+  for (const feed of result.imported) {
     try {
-      const u = new URL(fullUrl);
-      const host = u.hostname.replace(/^www\./, '').replace(/\./g, '-');
-      const pathSlug = u.pathname.replace(/^\/|\/$|\.[^.]+$/g, '').replace(/\//g, '-') || '';
-      siteName = pathSlug ? `${host}-${pathSlug}` : host;
-    } catch (_) {
-      siteName = 'custom-feed';
+      rebuildFeed(platforms.feedKeyOf(feed), store, feed.platform || 'instagram', feed);
+    } catch (err) {
+      console.error(`[Restore] Failed to rebuild @${feed.username}:`, err.message);
     }
-    return { username: siteName, platform: 'custom', fullUrl };
+  }
+  scheduleNextRefresh();
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('feeds-updated');
   }
 
-  return null;
-}
+  return {
+    feeds: result.feeds.length,
+    imported: result.imported.length,
+    skipped: result.skipped,
+    settingsChanged: result.settingsChanged,
+  };
+});
+
+// ── Notification IPC Handlers ─────────────────────────────────────────────
+
+ipcMain.handle('get-notifications', () => {
+  return notifications.getNotifications();
+});
+
+ipcMain.handle('resolve-notification', (_e, id) => {
+  notifications.resolveNotification(id);
+  return notifications.getNotifications();
+});
+
+ipcMain.handle('clear-notifications', () => {
+  notifications.clearNotifications();
+  return [];
+});
@@ -0,0 +1,168 @@
+const express = require('express');
+const crypto = require('crypto');
+const { feedKeyOf } = require('./platforms');
+
+/**
+ * Management REST API, mounted at /api/v1 on the feed server.
+ *
+ * Mirrors what the renderer does over IPC so feeds can be scripted from
+ * other tools. Requests need the admin token (`apiToken` in the store) as
+ * `Authorization: Bearer <token>`; feed tokens are never accepted here.
+ * Unless `apiAllowRemote` is set, only direct loopback requests are served —
+ * anything arriving through a tunnel or reverse proxy is refused.
+ *
+ *   GET    /api/v1/feeds
+ *   POST   /api/v1/feeds                              { url }
+ *   GET    /api/v1/feeds/:platform/:feedKey
+ *   PATCH  /api/v1/feeds/:platform/:feedKey           { alias }
+ *   DELETE /api/v1/feeds/:platform/:feedKey
+ *   POST   /api/v1/feeds/:platform/:feedKey/refresh
+ *   POST   /api/v1/feeds/:platform/:feedKey/boost     { boosted? }
+ *   GET    /api/v1/notifications
+ *   GET    /api/v1/tunnel
+ *
+ * Errors are `{ error: <message> }`, like the feed server's 401 body.
+ */
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Headers set by cloudflared, Tailscale Funnel and common reverse proxies
+const PROXY_HEADERS = ['x-forwarded-for', 'forwarded', 'cf-connecting-ip', 'x-real-ip'];
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function generateApiToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function isLocalRequest(req) {
+  return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) &&
+    !PROXY_HEADERS.some((h) => req.headers[h] !== undefined);
+}
+
+function tokenMatches(expected, presented) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(presented || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Express 4 doesn't forward rejected promises to the error handler
+const route = (fn) => (req, res, next) => Promise.resolve().then(() => fn(req, res)).catch(next);
+
+// Shared actions throw plain Errors; give them a status for the response
+async function withStatus(status, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    throw err.status ? err : httpError(status, err.message);
+  }
+}
+
+/**
+ * @param {object} actions - operations shared with the IPC handlers in main.js:
+ *   getFeeds, addFeed(url), removeFeed, refreshFeed, toggleFeedBoost,
+ *   renameFeed, getNotifications, getTunnelState
+ */
+function createManagementRouter(store, actions) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const apiToken = store.get('apiToken');
+    if (!apiToken) {
+      return res.status(403).json({ error: 'Management API is disabled — create an admin token in Settings' });
+    }
+    if (!store.get('apiAllowRemote') && !isLocalRequest(req)) {
+      return res.status(403).json({ error: 'Forbidden — management API only accepts local requests' });
+    }
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || !tokenMatches(apiToken, header.slice(7))) {
+      return res.status(401).json({ error: 'Unauthorized — valid admin token required' });
+    }
+    next();
+  });
+
+  router.use(express.json({ limit: '100kb' }));
+
+  const findFeed = (req) => {
+    const feed = actions.getFeeds().find((f) =>
+      (f.platform || 'instagram') === req.params.platform &&
+      feedKeyOf(f) === req.params.feedKey);
+    if (!feed) throw httpError(404, 'Feed not found');
+    return feed;
+  };
+
+  router.get('/feeds', (_req, res) => {
+    res.json({ feeds: actions.getFeeds() });
+  });
+
+  router.post('/feeds', route(async (req, res) => {
+    if (!req.body || typeof req.body.url !== 'string' || !req.body.url.trim()) {
+      throw httpError(400, 'Body must be JSON with a "url" field');
+    }
+    const feed = await withStatus(400, () => actions.addFeed(req.body.url.trim()));
+    res.status(201).json({ feed });
+  }));
+
+  router.get('/feeds/:platform/:feedKey', route((req, res) => {
+    res.json({ feed: findFeed(req) });
+  }));
+
+  router.patch('/feeds/:platform/:feedKey', route(async (req, res) => {
+    const feed = findFeed(req);
+    const alias = req.body && typeof req.body.alias === 'string' ? req.body.alias.trim() : '';
+    if (!alias) throw httpError(400, 'Body must be JSON with a non-empty "alias" field');
+    const feeds = await withStatus(400, () => actions.renameFeed(feed.username, feed.platform, alias));
+    res.json({ feed: feeds.find((f) => f.username === feed.username && f.platform === feed.platform) });
+  }));
+
+  router.delete('/feeds/:platform/:feedKey', route((req, res) => {
+    const feed = findFeed(req);
+    actions.removeFeed(feed.username, feed.platform);
+    res.status(204).end();
+  }));
+
+  router.post('/feeds/:platform/:feedKey/refresh', route(async (req, res) => {
+    const feed = findFeed(req);
+    // A failed scrape is an upstream problem, not a bad request
+    res.json({ feed: await withStatus(502, () => actions.refreshFeed(feed.username, feed.platform)) });
+  }));
+
+  router.post('/feeds/:platform/:feedKey/boost', route((req, res) => {
+    let feed = findFeed(req);
+    // `{ boosted: true|false }` sets the state; an empty body toggles it
+    const wanted = req.body && typeof req.body.boosted === 'boolean' ? req.body.boosted : !feed.boosted;
+    if (!!feed.boosted !== wanted) {
+      feed = actions.toggleFeedBoost(feed.username, feed.platform);
+    }
+    res.json({ feed });
+  }));
+
+  router.get('/notifications', (_req, res) => {
+    res.json({ notifications: actions.getNotifications() });
+  });
+
+  router.get('/tunnel', route(async (_req, res) => {
+    res.json({ tunnel: await actions.getTunnelState() });
+  }));
+
+  router.use((_req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  router.use((err, _req, res, _next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    const status = err.status || 500;
+    if (status >= 500) console.error('[API]', err.message);
+    res.status(status).json({ error: err.message || 'Internal error' });
+  });
+
+  return router;
+}
+
+module.exports = { createManagementRouter, generateApiToken, isLocalRequest, tokenMatches };
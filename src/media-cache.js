@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { fetchBuffer } = require('./http-fetch');
+
+/**
+ * Optional local cache for post images.
+ *
+ * Instagram/Facebook CDN links are signed and expire within days, so when the
+ * cache is enabled each scraped image is downloaded once (through the default
+ * session, with login cookies) into `userData/media/<hash>.<ext>`. The file
+ * name is recorded on the post as `cachedImage` and the feed server serves it
+ * from `/media/<file>`.
+ */
+
+const MEDIA_FILE_RE = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+
+const EXTENSION_BY_TYPE = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/heic': 'heic',
+};
+
+function getMediaDir() {
+  return path.join(app.getPath('userData'), 'media');
+}
+
+/**
+ * Signed CDN URLs change their query string on every scrape, so the cache key
+ * is origin + path only.
+ */
+function hashMediaUrl(url) {
+  let key = url;
+  try {
+    const u = new URL(url);
+    key = u.origin + u.pathname;
+  } catch (_) {}
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+}
+
+function findCachedFile(hash) {
+  const dir = getMediaDir();
+  for (const ext of new Set(Object.values(EXTENSION_BY_TYPE))) {
+    const file = `${hash}.${ext}`;
+    if (fs.existsSync(path.join(dir, file))) return file;
+  }
+  return null;
+}
+
+async function downloadImage(url) {
+  const hash = hashMediaUrl(url);
+  const existing = findCachedFile(hash);
+  if (existing) return existing;
+
+  const { buffer, contentType } = await fetchBuffer(url, { useSessionCookies: true });
+  const ext = EXTENSION_BY_TYPE[contentType];
+  if (!ext) throw new Error(`Unexpected content type "${contentType}" for ${url}`);
+
+  const dir = getMediaDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const file = `${hash}.${ext}`;
+  fs.writeFileSync(path.join(dir, file), buffer);
+  return file;
+}
+
+/**
+ * Download images for freshly scraped posts and tag them with `cachedImage`.
+ * Failures are logged and skipped — the feed falls back to the CDN URL.
+ * Video posts are only cached when `includeVideoPosters` is set.
+ */
+async function cachePostMedia(posts, { includeVideoPosters = false } = {}) {
+  let cached = 0;
+  for (const post of posts || []) {
+    if (!post.imageUrl || !/^https?:/i.test(post.imageUrl)) continue;
+    if (post.isVideo && !includeVideoPosters) continue;
+    try {
+      post.cachedImage = await downloadImage(post.imageUrl);
+      cached++;
+    } catch (err) {
+      console.warn(`[Media cache] ${err.message}`);
+    }
+  }
+  return cached;
+}
+
+/** Absolute path for a cached file name, or null if the name is invalid or missing. */
+function resolveMediaFile(file) {
+  if (!MEDIA_FILE_RE.test(file)) return null;
+  const filePath = path.join(getMediaDir(), file);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Delete cached files no longer referenced by any archived post.
+ * @param {Set<string>} referenced - file names still in use
+ */
+function pruneMedia(referenced) {
+  const dir = getMediaDir();
+  if (!fs.existsSync(dir)) return 0;
+  let removed = 0;
+  for (const file of fs.readdirSync(dir)) {
+    if (MEDIA_FILE_RE.test(file) && !referenced.has(file)) {
+      try {
+        fs.unlinkSync(path.join(dir, file));
+        removed++;
+      } catch (_) {}
+    }
+  }
+  return removed;
+}
+
+module.exports = { getMediaDir, cachePostMedia, resolveMediaFile, pruneMedia };
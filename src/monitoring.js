@@ -0,0 +1,227 @@
+const fs = require('fs');
+const express = require('express');
+const { app } = require('electron');
+const refreshHistory = require('./refresh-history');
+const refreshSchedule = require('./refresh-schedule');
+const scrapeQueue = require('./scrape-queue');
+const { loadArchive, getArchivePath } = require('./post-archive');
+const { feedKeyOf } = require('./platforms');
+const { isLocalRequest, tokenMatches } = require('./management-api');
+
+/**
+ * Monitoring endpoints on the feed server:
+ *
+ *   GET /metrics  – Prometheus text exposition format (version 0.0.4)
+ *   GET /healthz  – JSON status; 503 "degraded" while any feed is stale
+ *
+ * Direct loopback requests are served as-is. Anything else — requests
+ * arriving through the tunnel or a reverse proxy — needs the admin token
+ * (`apiToken`) as `Authorization: Bearer <token>`. Unlike the management
+ * API these routes are read-only, so `apiAllowRemote` isn't required.
+ *
+ * A feed counts as stale once its last successful scrape (from the refresh
+ * history, or `lastChecked` for feeds without one yet) is older than
+ * refresh-schedule's stale threshold.
+ */
+
+// "<feedKey>\0<token id>" → { feed, tokenId, tokenLabel, count } since start.
+// Labels aren't unique, so tokens are told apart by id.
+const feedRequests = new Map();
+
+/** Count a served feed request (200 or 304) for /metrics. */
+function countFeedRequest(feedKey, tokenEntry) {
+  const tokenId = tokenEntry ? tokenEntry.id : '';
+  const key = `${feedKey}\0${tokenId}`;
+  const counter = feedRequests.get(key) || { feed: feedKey, tokenId, count: 0 };
+  counter.tokenLabel = tokenEntry ? tokenEntry.label : '';
+  counter.count++;
+  feedRequests.set(key, counter);
+}
+
+// file path → { version, value }. Monitoring polls far more often than feeds
+// are refreshed, so history and archive files are only re-read once they change.
+const fileCache = new Map();
+
+function readCached(filePath, load) {
+  let version = 'missing';
+  try {
+    const stat = fs.statSync(filePath);
+    version = `${stat.mtimeMs}:${stat.size}`;
+  } catch (_) {}
+  const cached = fileCache.get(filePath);
+  if (cached && cached.version === version) return cached.value;
+  const value = load();
+  fileCache.set(filePath, { version, value });
+  return value;
+}
+
+function archivedItemCount(feed) {
+  const feedKey = feedKeyOf(feed);
+  return readCached(getArchivePath(feedKey), () => loadArchive(feedKey).items.length);
+}
+
+/** Per-feed scrape state shared by both endpoints. */
+function getFeedHealth(store, now = Date.now()) {
+  const settings = refreshSchedule.getScheduleSettings(store);
+  return store.get('feeds').map((feed) => {
+    const entries = readCached(refreshHistory.getHistoryPath(feed), () => refreshHistory.loadHistory(feed));
+    const summary = refreshHistory.summarizeHistory(entries);
+    let lastSuccessMs = null;
+    if (summary.lastSuccessAt) {
+      lastSuccessMs = new Date(summary.lastSuccessAt).getTime();
+    } else if (entries.length === 0 && feed.lastChecked) {
+      lastSuccessMs = new Date(feed.lastChecked).getTime();
+    }
+    return {
+      feed,
+      summary,
+      lastSuccess: entries.find((e) => e.success) || null,
+      lastSuccessMs,
+      stale: lastSuccessMs === null || now - lastSuccessMs > refreshSchedule.getStaleThresholdMs(feed, settings),
+    };
+  });
+}
+
+// ── Prometheus text format ────────────────────────────────────────────────
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/** Collects samples grouped by metric so HELP/TYPE are written once each. */
+function createRegistry() {
+  const metrics = new Map();
+  return {
+    add(name, type, help, labels, value) {
+      if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+      if (!metrics.has(name)) metrics.set(name, { type, help, samples: [] });
+      metrics.get(name).samples.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+    },
+    render() {
+      const lines = [];
+      for (const [name, { type, help, samples }] of metrics) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+      }
+      return lines.join('\n') + '\n';
+    },
+  };
+}
+
+async function renderMetrics(store, actions) {
+  const registry = createRegistry();
+  const now = Date.now();
+  const seconds = (ms) => (ms === null ? null : ms / 1000);
+
+  registry.add('unsocial_info', 'gauge', 'UnSocial version', { version: app.getVersion() }, 1);
+
+  const health = getFeedHealth(store, now);
+  registry.add('unsocial_feeds', 'gauge', 'Number of tracked feeds', {}, health.length);
+  registry.add('unsocial_feeds_stale', 'gauge', 'Number of feeds past their stale threshold', {},
+    health.filter((h) => h.stale).length);
+
+  for (const { feed, summary, lastSuccess, lastSuccessMs, stale } of health) {
+    const labels = { feed: feedKeyOf(feed), platform: feed.platform || 'instagram' };
+    const last = summary.last;
+    registry.add('unsocial_feed_last_success_timestamp_seconds', 'gauge',
+      'Unix time of the last successful scrape', labels, seconds(lastSuccessMs));
+    registry.add('unsocial_feed_consecutive_failures', 'gauge',
+      'Failed scrapes since the last successful one', labels, summary.consecutiveFailures);
+    registry.add('unsocial_feed_stale', 'gauge',
+      '1 when the feed is past its stale threshold', labels, stale ? 1 : 0);
+    registry.add('unsocial_feed_last_scrape_duration_seconds', 'gauge',
+      'Duration of the most recent scrape attempt', labels, last ? seconds(last.durationMs) : null);
+    registry.add('unsocial_feed_scrape_duration_median_seconds', 'gauge',
+      'Median duration of logged successful scrapes', labels, seconds(summary.medianDurationMs));
+    registry.add('unsocial_feed_scraped_items', 'gauge',
+      'Posts found by the last successful scrape', labels, feed.postCount ?? null);
+    registry.add('unsocial_feed_last_new_items', 'gauge',
+      'New posts archived by the last successful scrape', labels, lastSuccess ? lastSuccess.newItemCount : null);
+    registry.add('unsocial_feed_archived_items', 'gauge',
+      'Posts kept in the feed archive', labels, archivedItemCount(feed));
+  }
+
+  for (const { feed, tokenId, tokenLabel, count } of feedRequests.values()) {
+    registry.add('unsocial_feed_requests_total', 'counter',
+      'Feed requests served since start, by feed token ("" without a token)',
+      { feed, token_id: tokenId, token_label: tokenLabel }, count);
+  }
+
+  for (const s of scrapeQueue.getQueueStatus()) {
+    const labels = { platform: s.platform };
+    registry.add('unsocial_scrape_queue_running', 'gauge', 'Scrapes in progress', labels, s.running);
+    registry.add('unsocial_scrape_queue_waiting', 'gauge', 'Scrapes waiting in the queue', labels, s.queued);
+    registry.add('unsocial_scrape_budget_used_hour', 'gauge', 'Scrapes started in the last hour', labels, s.usedHour);
+    registry.add('unsocial_scrape_budget_used_day', 'gauge', 'Scrapes started in the last day', labels, s.usedDay);
+  }
+
+  const tunnel = await actions.getTunnelState();
+  registry.add('unsocial_tunnel_up', 'gauge', '1 while the public tunnel is running',
+    { provider: tunnel.provider, status: tunnel.status }, tunnel.status === 'running' ? 1 : 0);
+  registry.add('unsocial_internet_up', 'gauge', 'Result of the last internet connectivity check', {},
+    actions.isOnline() ? 1 : 0);
+
+  return registry.render();
+}
+
+// ── Router ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} actions - from main.js: getTunnelState(), isOnline()
+ */
+function createMonitoringRouter(store, actions) {
+  const router = express.Router();
+
+  const authorize = (req, res, next) => {
+    if (isLocalRequest(req)) return next();
+    const apiToken = store.get('apiToken');
+    if (!apiToken) {
+      return res.status(403).json({ error: 'Forbidden — create an admin token in Settings to monitor remotely' });
+    }
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ') || !tokenMatches(apiToken, header.slice(7))) {
+      return res.status(401).json({ error: 'Unauthorized — valid admin token required' });
+    }
+    next();
+  };
+
+  router.get('/metrics', authorize, async (_req, res) => {
+    try {
+      res.header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await renderMetrics(store, actions));
+    } catch (err) {
+      console.error('[Monitoring] /metrics failed:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/healthz', authorize, async (_req, res) => {
+    try {
+      const stale = getFeedHealth(store).filter((h) => h.stale);
+      const tunnel = await actions.getTunnelState();
+      const status = stale.length ? 'degraded' : 'ok';
+      res.status(stale.length ? 503 : 200).json({
+        status,
+        feeds: store.get('feeds').length,
+        staleFeeds: stale.map(({ feed, lastSuccessMs }) => ({
+          username: feed.username,
+          platform: feed.platform || 'instagram',
+          lastSuccessAt: lastSuccessMs === null ? null : new Date(lastSuccessMs).toISOString(),
+        })),
+        tunnel: { provider: tunnel.provider, status: tunnel.status },
+        internet: actions.isOnline(),
+      });
+    } catch (err) {
+      console.error('[Monitoring] /healthz failed:', err.message);
+      res.status(500).json({ status: 'error', error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMonitoringRouter, countFeedRequest };
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const { feedKeyOf } = require('./platforms');
+
+/**
+ * Notification log, persisted to `userData/notifications.json`.
+ *
+ * Entries are newest first:
+ *
+ *   { id, type, category, message, username, platform, feedKey,
+ *     count, firstSeen, timestamp, resolved }
+ *
+ * `type` is 'error' | 'warning' | 'info'. `category` says what it's about:
+ * 'scrape-error', 'stale', 'session', 'tunnel', 'internet', 'budget' or
+ * 'import'. Feed notifications carry the feed's `username` and `platform`
+ * (its identity) plus the current `feedKey`; others have them null, except
+ * 'session' notifications, which carry the platform.
+ *
+ * Repeats of an unresolved notification with the same type, category and
+ * feed/platform bump its `count` and `timestamp` instead of adding a new
+ * entry. Resolving and removing match on those fields too, never on the
+ * message text.
+ */
+
+const MAX_ENTRIES = 100;
+
+let entries = [];
+let nextId = 1;
+let notifyChange = () => {};
+
+function getStatePath() {
+  return path.join(app.getPath('userData'), 'notifications.json');
+}
+
+function loadState() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getStatePath(), 'utf-8'));
+    entries = Array.isArray(data.notifications) ? data.notifications : [];
+  } catch (_) {
+    entries = [];
+  }
+  nextId = entries.reduce((max, n) => Math.max(max, n.id), 0) + 1;
+}
+
+function saveState() {
+  const filePath = getStatePath();
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, JSON.stringify({ notifications: entries }), 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.error('[Notifications] Failed to save:', err.message);
+  }
+}
+
+function changed() {
+  saveState();
+  notifyChange();
+}
+
+/** `{ username, platform }` of a feed, for use as a match. */
+function feedRef(feed) {
+  return { username: feed.username, platform: feed.platform || 'instagram' };
+}
+
+/**
+ * True when `n` has every field given in `match`. Only the keys present in
+ * `match` are compared, so `{ category: 'tunnel' }` matches all tunnel entries.
+ */
+function matches(n, match) {
+  return Object.entries(match).every(([key, value]) => n[key] === value);
+}
+
+/**
+ * Record a notification, or count another occurrence of an unresolved one.
+ * @param {object} [context] - `{ category, feed, platform }`; `feed` is a feed
+ *   entry (or `{ username, platform }`) the notification is about
+ */
+function addNotification(type, message, { category = null, feed = null, platform = null } = {}) {
+  const identity = {
+    type,
+    category,
+    username: feed ? feed.username : null,
+    platform: feed ? feed.platform || 'instagram' : platform,
+  };
+  const now = new Date().toISOString();
+  console.log(`[Notification] ${type}: ${message}`);
+
+  const idx = entries.findIndex((n) => !n.resolved && matches(n, identity));
+  let entry;
+  if (idx !== -1) {
+    [entry] = entries.splice(idx, 1);
+    entry.count = (entry.count || 1) + 1;
+    entry.message = message;
+    entry.timestamp = now;
+  } else {
+    entry = {
+      id: nextId++,
+      ...identity,
+      message,
+      feedKey: feed ? feedKeyOf(feed) : null,
+      count: 1,
+      firstSeen: now,
+      timestamp: now,
+      resolved: false,
+    };
+  }
+  entries.unshift(entry);
+  if (entries.length > MAX_ENTRIES) entries.length = MAX_ENTRIES;
+  changed();
+  return entry.id;
+}
+
+function resolveNotification(id) {
+  const n = entries.find((e) => e.id === id);
+  if (n) n.resolved = true;
+  changed();
+}
+
+/** Mark every unresolved notification matching `match` as resolved. */
+function resolveNotifications(match) {
+  let count = 0;
+  for (const n of entries) {
+    if (!n.resolved && matches(n, match)) {
+      n.resolved = true;
+      count++;
+    }
+  }
+  if (count) changed();
+  return count;
+}
+
+/** Drop every notification matching `match`, resolved or not. */
+function removeNotifications(match) {
+  const before = entries.length;
+  entries = entries.filter((n) => !matches(n, match));
+  if (entries.length !== before) changed();
+  return before - entries.length;
+}
+
+function hasUnresolved(match) {
+  return entries.some((n) => !n.resolved && matches(n, match));
+}
+
+/** Keep feed notifications pointing at the right feed key after a rename. */
+function renameFeedKey(feed, newFeedKey) {
+  let count = 0;
+  for (const n of entries) {
+    if (matches(n, feedRef(feed))) {
+      n.feedKey = newFeedKey;
+      count++;
+    }
+  }
+  if (count) changed();
+}
+
+function getNotifications() {
+  return entries;
+}
+
+function clearNotifications() {
+  entries = [];
+  changed();
+}
+
+/** Load the persisted log. `onChange` runs after every update. */
+function initNotifications({ onChange } = {}) {
+  if (onChange) notifyChange = onChange;
+  loadState();
+}
+
+module.exports = {
+  initNotifications,
+  feedRef,
+  addNotification,
+  resolveNotification,
+  resolveNotifications,
+  removeNotifications,
+  hasUnresolved,
+  renameFeedKey,
+  getNotifications,
+  clearNotifications,
+};
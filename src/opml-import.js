@@ -0,0 +1,154 @@
+const platforms = require('./platforms');
+
+/**
+ * OPML import: turn the outlines of an OPML file into feeds UnSocial can add.
+ *
+ * Outlines are matched on their profile link (`htmlUrl`) through the platform
+ * registry. Outlines exported by another UnSocial instance are also recognised
+ * from their `xmlUrl` (`…/feed/<feedKey>`) and the platform folder they sit in,
+ * since export-opml writes one folder per platform category.
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let m;
+  while ((m = re.exec(tag))) {
+    attrs[m[1]] = decodeXml(m[2] ?? m[3]);
+  }
+  return attrs;
+}
+
+/**
+ * Flatten an OPML document into feed outlines. `category` is the text of the
+ * nearest enclosing folder outline, or null at the top level.
+ * @returns {{ title: string, xmlUrl: string, htmlUrl: string, category: string|null }[]}
+ */
+function parseOpml(xml) {
+  const text = String(xml || '');
+  if (!/<opml[\s>]/i.test(text)) throw new Error('Not an OPML file');
+
+  const outlines = [];
+  const folders = [];
+  const re = /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[0][1] === '/') {
+      folders.pop();
+      continue;
+    }
+    const attrs = parseAttributes(m[1]);
+    const selfClosing = m[2] === '/';
+    const xmlUrl = (attrs.xmlUrl || '').trim();
+    const htmlUrl = (attrs.htmlUrl || '').trim();
+    if (xmlUrl || htmlUrl) {
+      outlines.push({
+        title: attrs.title || attrs.text || htmlUrl || xmlUrl,
+        xmlUrl,
+        htmlUrl,
+        category: folders.length ? folders[folders.length - 1] : null,
+      });
+    }
+    if (!selfClosing) folders.push(attrs.text || attrs.title || null);
+  }
+  return outlines;
+}
+
+/**
+ * Profile input for an UnSocial feed URL from another instance, using the
+ * folder name to decide the platform. Resolves to null when it isn't one.
+ */
+async function resolveUnsocialFeedUrl(xmlUrl, category) {
+  let feedKey;
+  try {
+    const match = new URL(xmlUrl).pathname.match(/^\/feed\/([^/]+)\/?$/);
+    if (!match) return null;
+    feedKey = decodeURIComponent(match[1]);
+  } catch (_) {
+    return null;
+  }
+  if (!category) return null;
+
+  const candidates = platforms.listPlatforms()
+    .filter((p) => !p.fallback && p.category.toLowerCase() === category.trim().toLowerCase());
+  if (candidates.length !== 1) return null;
+
+  // Keys of platforms that share usernames carry a prefix (`threads-zuck`)
+  const { feedKeyPrefix } = candidates[0];
+  const username = feedKeyPrefix && feedKey.startsWith(`${feedKeyPrefix}-`)
+    ? feedKey.slice(feedKeyPrefix.length + 1)
+    : feedKey;
+  const profileUrl = candidates[0].profileUrl({ username });
+  const parsed = profileUrl ? await platforms.resolveProfileInput(profileUrl) : null;
+  return parsed && parsed.platform === candidates[0].id ? parsed : null;
+}
+
+/** Plain copy of a parse result, safe to keep and send over IPC. */
+function toFeedInput(parsed) {
+  return {
+    username: parsed.username,
+    platform: parsed.platform,
+    subTab: parsed.subTab || null,
+    fullUrl: parsed.fullUrl || null,
+  };
+}
+
+/** Profile input for one outline, the same way the add-feed box resolves it. */
+async function resolveOutline(outline) {
+  let parsed = outline.htmlUrl ? await platforms.resolveProfileInput(outline.htmlUrl) : null;
+  if (!parsed || parsed.platform === 'custom') {
+    parsed = (outline.xmlUrl && await resolveUnsocialFeedUrl(outline.xmlUrl, outline.category)) || parsed;
+  }
+  return parsed;
+}
+
+/**
+ * Match outlines against the registry and the feeds already tracked.
+ * Each entry gets `status` 'new', 'duplicate' or 'unsupported' with a `reason`,
+ * and `feed` (username/platform/subTab/fullUrl) when it resolved to a profile.
+ */
+async function reviewOutlines(outlines, existingFeeds) {
+  const seen = new Set(
+    (existingFeeds || []).map((f) => `${f.platform || 'instagram'}:${f.username}`)
+  );
+  const inFile = new Set();
+  // Resolving may ask a server whether it runs Mastodon, so outlines resolve together
+  const resolved = await Promise.all(outlines.map(resolveOutline));
+
+  return outlines.map((outline, i) => {
+    const entry = { title: outline.title, source: outline.htmlUrl || outline.xmlUrl, category: outline.category };
+    const parsed = resolved[i];
+
+    if (!parsed) {
+      return { ...entry, status: 'unsupported', reason: 'Not a supported profile URL' };
+    }
+    if (parsed.platform === 'custom') {
+      return { ...entry, status: 'unsupported', reason: 'Custom websites have to be added one at a time with the wizard' };
+    }
+
+    const feed = toFeedInput(parsed);
+    const key = `${feed.platform}:${feed.username}`;
+    if (seen.has(key)) {
+      return { ...entry, feed, status: 'duplicate', reason: 'Already tracking this feed' };
+    }
+    if (inFile.has(key)) {
+      return { ...entry, feed, status: 'duplicate', reason: 'Listed more than once in this file' };
+    }
+    inFile.add(key);
+    return { ...entry, feed, status: 'new', reason: '' };
+  });
+}
+
+module.exports = { parseOpml, reviewOutlines };
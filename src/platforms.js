@@ -0,0 +1,192 @@
+/**
+ * Platform registry.
+ *
+ * Every scraper module exports a `platform` descriptor alongside its scrape
+ * function. This module collects them so that input parsing, scraping,
+ * profile URLs, feed metadata, OPML export and the renderer's grouping all
+ * dispatch through one place instead of per-platform if/else chains.
+ *
+ * Descriptor shape:
+ *   id                 – value stored in feed.platform
+ *   label              – human-readable name used in feed titles
+ *   category           – renderer tab / OPML file name
+ *   inputHint          – shown in the "unsupported input" error
+ *   favicon            – feed image; `logo` overrides it on feed cards
+ *   requiresLogin      – whether scraping needs a logged-in session
+ *   loginPlatform      – id of the platform whose login this one uses
+ *                        (Threads signs in with Instagram); defaults to its own
+ *   feedKeyPrefix      – prepended to feed keys (`threads-zuck`) when the
+ *                        usernames are shared with another platform's
+ *   resetOrigins / resetCookieDomains – cleared by "force reset"
+ *   fallback           – catch-all, last in MATCH_ORDER
+ *   scrapeLimits       – default { concurrency, perHour, perDay } for the
+ *                        scrape queue; budgets may be null (unlimited)
+ *   parseInput(input)  – parsed object, `null` to reject the input outright,
+ *                        or `undefined` when the input isn't for this platform
+ *   verifyInput(parsed) – optional; resolves false when a URL parseInput
+ *                        claimed on its shape turns out not to be this
+ *                        platform's (checked when a feed is added)
+ *   scrape(feed)       – resolves to profileData ({ fullName, biography, posts },
+ *                        optionally `extractionPath` for the refresh history)
+ *   profileUrl(feed)   – public URL of the tracked profile/page
+ *   feedMeta(username, profileData, feed) – { siteUrl, label } for generated
+ *                        feeds; `feed` is the stored entry when there is one
+ *
+ * Adding a platform means writing a scraper module with a descriptor and
+ * listing it in PLATFORMS (the order used for grouping in the UI) and in
+ * MATCH_ORDER (the order input is matched in).
+ */
+
+const instagram = require('./scraper').platform;
+const threads = require('./scraper-threads').platform;
+const twitter = require('./scraper-twitter').platform;
+const facebook = require('./scraper-facebook').platform;
+const linkedin = require('./scraper-linkedin').platform;
+const youtube = require('./scraper-youtube').platform;
+const reddit = require('./scraper-reddit').platform;
+const telegram = require('./scraper-telegram').platform;
+const bluesky = require('./scraper-bluesky').platform;
+const mastodon = require('./scraper-mastodon').platform;
+const custom = require('./scraper-custom').platform;
+const txt = require('./scraper-txt').platform;
+
+const PLATFORMS = [
+  instagram,
+  threads,
+  twitter,
+  facebook,
+  linkedin,
+  youtube,
+  reddit,
+  telegram,
+  bluesky,
+  mastodon,
+  custom,
+  txt,
+];
+
+// Instagram takes any bare username and any URL containing instagram.com/,
+// so it goes after every platform with a more specific URL; the custom-site
+// wizard takes whatever is left.
+const MATCH_ORDER = [
+  facebook,
+  twitter,
+  linkedin,
+  threads,
+  youtube,
+  reddit,
+  telegram,
+  bluesky,
+  mastodon,
+  instagram,
+  txt,
+  custom,
+];
+
+const DEFAULT_PLATFORM = 'instagram';
+
+const byId = new Map(PLATFORMS.map((p) => [p.id, p]));
+
+function listPlatforms() {
+  return PLATFORMS;
+}
+
+/**
+ * Look up a platform descriptor. Feeds saved before multi-platform support
+ * have no `platform` field and are Instagram feeds.
+ */
+function getPlatform(id) {
+  return byId.get(id || DEFAULT_PLATFORM) || byId.get(DEFAULT_PLATFORM);
+}
+
+function hasPlatform(id) {
+  return byId.has(id);
+}
+
+/**
+ * Turn a user-entered URL or handle into `{ username, platform, ... }`,
+ * or `null` when no platform accepts it.
+ */
+function parseProfileInput(input) {
+  input = input.trim().replace(/\/+$/, '');
+
+  for (const p of MATCH_ORDER) {
+    const parsed = p.parseInput(input);
+    if (parsed !== undefined) return parsed;
+  }
+  return null;
+}
+
+/**
+ * parseProfileInput for adding a feed: a platform with `verifyInput` only
+ * keeps the input if the check passes, otherwise matching goes on (so an
+ * unknown site's /@user page still reaches the custom-site wizard).
+ */
+async function resolveProfileInput(input) {
+  input = input.trim().replace(/\/+$/, '');
+
+  for (const p of MATCH_ORDER) {
+    const parsed = p.parseInput(input);
+    if (parsed === undefined) continue;
+    if (parsed && p.verifyInput && !(await p.verifyInput(parsed))) continue;
+    return parsed;
+  }
+  return null;
+}
+
+const DEFAULT_SCRAPE_LIMITS = { concurrency: 1, perHour: null, perDay: null };
+
+function getScrapeLimits(id) {
+  return { ...DEFAULT_SCRAPE_LIMITS, ...getPlatform(id).scrapeLimits };
+}
+
+function scrapeFeed(feed) {
+  return getPlatform(feed.platform).scrape(feed);
+}
+
+function getProfileUrl(feed) {
+  return getPlatform(feed.platform).profileUrl(feed);
+}
+
+/**
+ * Key a feed's archive, feed files and /feed/<key> URL are stored under.
+ * Group/event usernames contain slashes, so those become dashes.
+ */
+function feedKeyOf(feed) {
+  return (feed.feedKey || feed.username).replace(/\//g, '-');
+}
+
+function getFeedMeta(platformId, username, profileData, feed) {
+  const p = getPlatform(platformId);
+  return { favicon: p.favicon, ...p.feedMeta(username, profileData, feed) };
+}
+
+/**
+ * Serializable view of the registry for the renderer (descriptors carry
+ * functions, which can't cross the IPC boundary).
+ */
+function describePlatforms() {
+  return PLATFORMS.map((p) => ({
+    id: p.id,
+    label: p.label,
+    category: p.category,
+    logo: p.logo || p.favicon,
+    requiresLogin: !!p.requiresLogin,
+    loginPlatform: p.loginPlatform || p.id,
+  }));
+}
+
+module.exports = {
+  DEFAULT_PLATFORM,
+  listPlatforms,
+  getPlatform,
+  hasPlatform,
+  parseProfileInput,
+  resolveProfileInput,
+  scrapeFeed,
+  getScrapeLimits,
+  getProfileUrl,
+  feedKeyOf,
+  getFeedMeta,
+  describePlatforms,
+};
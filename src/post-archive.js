@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+
+/**
+ * Persistent per-feed post archive.
+ *
+ * Each scrape only sees the handful of posts currently visible on a profile,
+ * so feeds are built from an accumulated history instead of the latest scrape.
+ * Archives live in `userData/archives/<feedKey>.json` as:
+ *
+ *   { profile: { fullName, biography }, items: [ { ...post, id, firstSeen, lastSeen } ] }
+ *
+ * Items are keyed by permalink (or the scraper's own id) and kept newest first.
+ */
+
+const DEFAULT_RETENTION = 200;
+
+function getArchiveDir() {
+  return path.join(app.getPath('userData'), 'archives');
+}
+
+function getArchivePath(feedKey) {
+  return path.join(getArchiveDir(), `${feedKey}.json`);
+}
+
+/**
+ * Stable identity for a post. Falls back to a hash of caption + timestamp for
+ * scrapers that don't provide a permalink.
+ */
+function getPostId(post) {
+  if (post.permalink) return post.permalink;
+  if (post.id) return String(post.id);
+  return 'sha1:' + crypto
+    .createHash('sha1')
+    .update(`${post.caption || ''}\n${post.timestamp || ''}`)
+    .digest('hex');
+}
+
+function loadArchive(feedKey) {
+  try {
+    const data = JSON.parse(fs.readFileSync(getArchivePath(feedKey), 'utf-8'));
+    return {
+      profile: data.profile || {},
+      items: Array.isArray(data.items) ? data.items : [],
+    };
+  } catch (_) {
+    return { profile: {}, items: [] };
+  }
+}
+
+function saveArchive(feedKey, archive) {
+  const dir = getArchiveDir();
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  // Write-then-rename so a crash mid-write never leaves a truncated archive
+  const filePath = getArchivePath(feedKey);
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(archive), 'utf-8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Merge freshly scraped posts into the feed's archive and persist it.
+ * Known posts keep their `firstSeen` but pick up updated fields (likes,
+ * captions, media URLs). The archive is trimmed to `retention` items.
+ * `profile` (fullName/biography) is kept so feeds can be rebuilt without a scrape.
+ * `seeded` is true when the archive was empty, so every post counts as new.
+ * @returns {{ items: object[], newItems: object[], seeded: boolean }}
+ */
+function mergeIntoArchive(feedKey, posts, { retention, profile } = {}) {
+  const limit = retention > 0 ? retention : DEFAULT_RETENTION;
+  const now = new Date().toISOString();
+  const archive = loadArchive(feedKey);
+  const byId = new Map(archive.items.map((item) => [item.id, item]));
+  const newItems = [];
+
+  for (const post of posts || []) {
+    const id = getPostId(post);
+    const existing = byId.get(id);
+    if (existing) {
+      const merged = { ...existing, ...post, id, firstSeen: existing.firstSeen, lastSeen: now };
+      // Scrapers that guess timestamps would otherwise shift the item every refresh
+      if (post.timestampEstimated && existing.timestamp) {
+        merged.timestamp = existing.timestamp;
+        merged.timestampEstimated = existing.timestampEstimated;
+      }
+      byId.set(id, merged);
+    } else {
+      const item = { ...post, id, firstSeen: now, lastSeen: now };
+      byId.set(id, item);
+      newItems.push(item);
+    }
+  }
+
+  const items = [...byId.values()]
+    .sort((a, b) => itemTime(b) - itemTime(a))
+    .slice(0, limit);
+
+  saveArchive(feedKey, { profile: profile || archive.profile, items });
+  return { items, newItems: newItems.filter((item) => items.includes(item)), seeded: archive.items.length === 0 };
+}
+
+function itemTime(item) {
+  const t = new Date(item.timestamp || item.firstSeen).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/** Feed keys of every archive on disk. */
+function listArchiveKeys() {
+  const dir = getArchiveDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.slice(0, -'.json'.length));
+}
+
+/** Delete a feed's archive when the feed is removed. */
+function deleteArchive(feedKey) {
+  fs.rmSync(getArchivePath(feedKey), { force: true });
+}
+
+/** Move an archive when a feed's key changes (e.g. on rename). */
+function renameArchive(oldFeedKey, newFeedKey) {
+  if (oldFeedKey === newFeedKey) return;
+  const oldPath = getArchivePath(oldFeedKey);
+  if (fs.existsSync(oldPath)) {
+    fs.renameSync(oldPath, getArchivePath(newFeedKey));
+  }
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  getArchiveDir,
+  getArchivePath,
+  getPostId,
+  listArchiveKeys,
+  loadArchive,
+  saveArchive,
+  mergeIntoArchive,
+  renameArchive,
+  deleteArchive,
+};
@@ -30,13 +30,38 @@ contextBridge.exposeInMainWorld('api', {
 
   // Feeds
   getFeeds: () => ipcRenderer.invoke('get-feeds'),
+  getPlatforms: () => ipcRenderer.invoke('get-platforms'),
   addFeed: (url) => ipcRenderer.invoke('add-feed', url),
   renameFeed: (username, platform, newAlias) => ipcRenderer.invoke('rename-feed', username, platform, newAlias),
   toggleFeedBoost: (username, platform) => ipcRenderer.invoke('toggle-feed-boost', username, platform),
+  setFeedRefreshInterval: (username, platform, minutes) => ipcRenderer.invoke('set-feed-refresh-interval', username, platform, minutes),
+  setFeedFilters: (username, platform, filters) => ipcRenderer.invoke('set-feed-filters', username, platform, filters),
+  previewFeedFilters: (username, platform, filters) => ipcRenderer.invoke('preview-feed-filters', username, platform, filters),
   removeFeed: (username, platform) => ipcRenderer.invoke('remove-feed', username, platform),
   refreshFeed: (username, platform) => ipcRenderer.invoke('refresh-feed', username, platform),
   refreshAll: () => ipcRenderer.invoke('refresh-all'),
-  exportOpml: (groups, tunnelDomain) => ipcRenderer.invoke('export-opml', groups, tunnelDomain),
+  exportOpml: (groups, tunnelDomain, tokenId) => ipcRenderer.invoke('export-opml', groups, tunnelDomain, tokenId),
+
+  // OPML import
+  reviewOpmlImport: (xml) => ipcRenderer.invoke('review-opml-import', xml),
+  startOpmlImport: (indices) => ipcRenderer.invoke('start-opml-import', indices),
+  cancelOpmlImport: () => ipcRenderer.invoke('cancel-opml-import'),
+  getOpmlImportStatus: () => ipcRenderer.invoke('get-opml-import-status'),
+
+  // Bundles
+  getBundles: () => ipcRenderer.invoke('get-bundles'),
+  saveBundle: (bundle, previousSlug) => ipcRenderer.invoke('save-bundle', bundle, previousSlug),
+  deleteBundle: (slug) => ipcRenderer.invoke('delete-bundle', slug),
+
+  // Webhooks
+  getWebhooks: () => ipcRenderer.invoke('get-webhooks'),
+  saveWebhook: (webhook, existingId) => ipcRenderer.invoke('save-webhook', webhook, existingId),
+  deleteWebhook: (id) => ipcRenderer.invoke('delete-webhook', id),
+  generateWebhookSecret: () => ipcRenderer.invoke('generate-webhook-secret'),
+  testWebhook: (id) => ipcRenderer.invoke('test-webhook', id),
+  getWebhookDeliveries: () => ipcRenderer.invoke('get-webhook-deliveries'),
+  retryWebhookDelivery: (id) => ipcRenderer.invoke('retry-webhook-delivery', id),
+  clearWebhookDeliveries: () => ipcRenderer.invoke('clear-webhook-deliveries'),
 
   // Server
   getServerPort: () => ipcRenderer.invoke('get-server-port'),
@@ -55,14 +80,34 @@ contextBridge.exposeInMainWorld('api', {
   tunnelSetProvider: (providerId) => ipcRenderer.invoke('tunnel-set-provider', providerId),
 
   // Feed Token
-  getFeedToken: () => ipcRenderer.invoke('get-feed-token'),
-  setFeedToken: (token) => ipcRenderer.invoke('set-feed-token', token),
-  generateFeedToken: () => ipcRenderer.invoke('generate-feed-token'),
+  getFeedTokens: () => ipcRenderer.invoke('get-feed-tokens'),
+  createFeedToken: (options) => ipcRenderer.invoke('create-feed-token', options),
+  revokeFeedToken: (id) => ipcRenderer.invoke('revoke-feed-token', id),
 
   getFeedPublicBaseUrl: () => ipcRenderer.invoke('get-feed-public-base-url'),
   setFeedPublicBaseUrl: (url) => ipcRenderer.invoke('set-feed-public-base-url', url),
   getResolvedFeedBaseUrl: () => ipcRenderer.invoke('get-resolved-feed-base-url'),
 
+  // Settings
+  getMediaCacheSettings: () => ipcRenderer.invoke('get-media-cache-settings'),
+  setMediaCacheSettings: (settings) => ipcRenderer.invoke('set-media-cache-settings', settings),
+  getRefreshSettings: () => ipcRenderer.invoke('get-refresh-settings'),
+  setRefreshSettings: (settings) => ipcRenderer.invoke('set-refresh-settings', settings),
+  getRefreshPlan: () => ipcRenderer.invoke('get-refresh-plan'),
+  getRefreshHistory: (username, platform) => ipcRenderer.invoke('get-refresh-history', username, platform),
+  exportRefreshHistory: (username, platform) => ipcRenderer.invoke('export-refresh-history', username, platform),
+  getScrapeLimits: () => ipcRenderer.invoke('get-scrape-limits'),
+  setScrapeLimits: (platform, limits) => ipcRenderer.invoke('set-scrape-limits', platform, limits),
+  getArchiveRetention: () => ipcRenderer.invoke('get-archive-retention'),
+  setArchiveRetention: (value) => ipcRenderer.invoke('set-archive-retention', value),
+  getApiSettings: () => ipcRenderer.invoke('get-api-settings'),
+  generateApiToken: () => ipcRenderer.invoke('generate-api-token'),
+  clearApiToken: () => ipcRenderer.invoke('clear-api-token'),
+  setApiAllowRemote: (allow) => ipcRenderer.invoke('set-api-allow-remote', allow),
+  exportBackup: (options) => ipcRenderer.invoke('export-backup', options),
+  chooseBackupFile: () => ipcRenderer.invoke('choose-backup-file'),
+  applyBackup: (options) => ipcRenderer.invoke('apply-backup', options),
+
   // Utils
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
   openExternal: (url) => ipcRenderer.invoke('open-external', url),
@@ -80,6 +125,12 @@ contextBridge.exposeInMainWorld('api', {
   onNotificationsUpdated: (callback) => {
     ipcRenderer.on('notifications-updated', (_e, data) => callback(data));
   },
+  onOpmlImportProgress: (callback) => {
+    ipcRenderer.on('opml-import-progress', (_e, data) => callback(data));
+  },
+  onWebhookDeliveriesUpdated: (callback) => {
+    ipcRenderer.on('webhook-deliveries-updated', () => callback());
+  },
 
   // Notifications
   getNotifications: () => ipcRenderer.invoke('get-notifications'),
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+
+/**
+ * Persistent per-feed log of scrape attempts.
+ *
+ * Every scrape that actually started — automatic, manual, Refresh All, the
+ * post-tunnel refresh, adding a feed — appends one entry, newest first, to
+ * `userData/history/<platform>-<username>.json`:
+ *
+ *   { startedAt, durationMs, trigger, success, postCount, newItemCount,
+ *     extractionPath, error }
+ *
+ * `trigger` is 'auto', 'manual', 'refresh-all', 'tunnel', 'api', 'add' or
+ * 'import'. `extractionPath` is whatever the scraper reports as
+ * `profileData.extractionPath` (e.g. Instagram's 'embedded-json' or 'dom').
+ *
+ * Files are named by platform and username rather than feedKey, so renaming
+ * a feed keeps its history. Scrapes refused by the scrape queue's budget never
+ * ran and aren't logged.
+ */
+
+const MAX_ENTRIES = 200;
+
+function getHistoryDir() {
+  return path.join(app.getPath('userData'), 'history');
+}
+
+function getHistoryPath(feed) {
+  const name = `${feed.platform || 'instagram'}-${feed.username}`.replace(/[^a-zA-Z0-9._-]+/g, '-');
+  return path.join(getHistoryDir(), `${name}.json`);
+}
+
+function loadHistory(feed) {
+  try {
+    const data = JSON.parse(fs.readFileSync(getHistoryPath(feed), 'utf-8'));
+    return Array.isArray(data.entries) ? data.entries : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Append one attempt to the feed's history.
+ * @param {object} attempt - `{ trigger, startedAt, finishedAt }` (ms) plus either
+ *   `{ postCount, newItemCount, extractionPath }` or `{ error }`
+ */
+function recordAttempt(feed, attempt) {
+  const entry = {
+    startedAt: new Date(attempt.startedAt).toISOString(),
+    durationMs: Math.max(0, attempt.finishedAt - attempt.startedAt),
+    trigger: attempt.trigger,
+    success: !attempt.error,
+    postCount: attempt.postCount ?? null,
+    newItemCount: attempt.newItemCount ?? null,
+    extractionPath: attempt.extractionPath || null,
+    error: attempt.error || null,
+  };
+  try {
+    const dir = getHistoryDir();
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const entries = [entry, ...loadHistory(feed)].slice(0, MAX_ENTRIES);
+    const filePath = getHistoryPath(feed);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ entries }), 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.error(`[History] Failed to record attempt for @${feed.username}:`, err.message);
+  }
+  return entry;
+}
+
+function deleteHistory(feed) {
+  try {
+    fs.rmSync(getHistoryPath(feed), { force: true });
+  } catch (_) {}
+}
+
+/** Success rate and timings over the logged attempts, for the panel header and /metrics. */
+function summarizeHistory(entries) {
+  const ok = entries.filter((e) => e.success);
+  const durations = ok.map((e) => e.durationMs).sort((a, b) => a - b);
+  return {
+    attempts: entries.length,
+    failures: entries.length - ok.length,
+    medianDurationMs: durations.length ? durations[Math.floor(durations.length / 2)] : null,
+    lastSuccessAt: ok.length ? ok[0].startedAt : null,
+    lastFailureAt: entries.find((e) => !e.success)?.startedAt || null,
+    consecutiveFailures: ok.length ? entries.indexOf(ok[0]) : entries.length,
+    last: entries[0] || null,
+  };
+}
+
+/** Self-contained JSON document for the export button. */
+function exportHistory(feed) {
+  const entries = loadHistory(feed);
+  return {
+    exportedAt: new Date().toISOString(),
+    appVersion: app.getVersion(),
+    feed: {
+      username: feed.username,
+      platform: feed.platform || 'instagram',
+      alias: feed.alias || feed.username,
+      url: feed.fullUrl || feed.url || null,
+      lastChecked: feed.lastChecked || null,
+      refreshIntervalMinutes: feed.refreshIntervalMinutes || null,
+      postingIntervalMinutes: feed.postingIntervalMinutes || null,
+    },
+    summary: summarizeHistory(entries),
+    entries,
+  };
+}
+
+module.exports = {
+  getHistoryPath,
+  loadHistory,
+  recordAttempt,
+  deleteHistory,
+  summarizeHistory,
+  exportHistory,
+};
@@ -0,0 +1,251 @@
+/**
+ * Refresh timing rules shared by the smart refresher and the stale-feed checker.
+ *
+ * A feed is refreshed on one of three schedules:
+ *   custom   – `refreshIntervalMinutes` set on the feed
+ *   adaptive – `adaptiveRefresh.enabled`: an interval derived from the feed's
+ *              posting cadence (`postingIntervalMinutes`), clamped to the
+ *              user's min/max bounds
+ *   rotation – otherwise: one feed at a time, paced so each is refreshed within
+ *              the stale cap (6 h, or 2 h when boosted)
+ * Custom and adaptive feeds are refreshed once their interval has passed since
+ * the last check.
+ *
+ * Global quiet hours (`quietHours: { enabled, start, end }`, local "HH:MM")
+ * pause automatic scraping. A window may wrap past midnight (23:00 → 07:00).
+ *
+ * Functions taking `settings` expect `{ quietHours, adaptiveRefresh }`, as
+ * returned by getScheduleSettings(store).
+ */
+
+const MAX_STALE_MS = 6 * 60 * 60 * 1000; // 6 hours hard cap
+const BOOST_MAX_STALE_MS = 2 * 60 * 60 * 1000; // 2 hours for boosted feeds
+const BOOST_PRIORITY_MS = 45 * 60 * 1000; // boosted feeds sort ~45 min older
+
+// Choices offered in the UI; any whole number of minutes in range is accepted
+const REFRESH_INTERVAL_OPTIONS = [30, 60, 180, 360, 720, 1440];
+const ADAPTIVE_BOUND_OPTIONS = [15, 30, 60, 180, 360, 720, 1440, 2880, 10080];
+const MIN_REFRESH_INTERVAL_MINUTES = 5;
+const MAX_REFRESH_INTERVAL_MINUTES = 7 * 24 * 60;
+
+const DEFAULT_QUIET_HOURS = { enabled: false, start: '23:00', end: '07:00' };
+// Off until the user opts in: busy accounts get checked every 30 minutes,
+// which login platforms are quick to rate-limit
+const DEFAULT_ADAPTIVE_REFRESH = { enabled: false, minMinutes: 30, maxMinutes: 1440 };
+
+// Cadence estimation: look at this many recent posts, need at least this many
+// dated ones, and check this many times per typical gap between posts.
+const CADENCE_SAMPLE_SIZE = 20;
+const CADENCE_MIN_POSTS = 3;
+const CHECKS_PER_POST = 4;
+
+function getScheduleSettings(store) {
+  return {
+    quietHours: store.get('quietHours'),
+    adaptiveRefresh: store.get('adaptiveRefresh'),
+  };
+}
+
+// ── Per-feed intervals ────────────────────────────────────────────────────
+
+/** `null` (automatic) for empty/'auto', otherwise validated minutes. */
+function normalizeRefreshInterval(value) {
+  if (value === null || value === undefined || value === '' || value === 'auto') return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_REFRESH_INTERVAL_MINUTES || minutes > MAX_REFRESH_INTERVAL_MINUTES) {
+    throw new Error(`Refresh interval must be between ${MIN_REFRESH_INTERVAL_MINUTES} minutes and 7 days`);
+  }
+  return minutes;
+}
+
+function hasCustomInterval(feed) {
+  return Number.isInteger(feed.refreshIntervalMinutes) && feed.refreshIntervalMinutes > 0;
+}
+
+function isAdaptiveActive(settings) {
+  return !!(settings && settings.adaptiveRefresh && settings.adaptiveRefresh.enabled);
+}
+
+/** 'custom', 'adaptive' or 'rotation' — see the module comment. */
+function getScheduleMode(feed, settings) {
+  if (hasCustomInterval(feed)) return 'custom';
+  return isAdaptiveActive(settings) ? 'adaptive' : 'rotation';
+}
+
+function isRotationFeed(feed, settings) {
+  return getScheduleMode(feed, settings) === 'rotation';
+}
+
+/**
+ * Minutes between refreshes for custom and adaptive feeds, null for rotation
+ * feeds. Adaptive feeds without a cadence estimate yet use the rotation's
+ * stale cap. Boost caps an adaptive interval at 2 h.
+ */
+function getIntervalMinutes(feed, settings) {
+  const mode = getScheduleMode(feed, settings);
+  if (mode === 'custom') return feed.refreshIntervalMinutes;
+  if (mode === 'rotation') return null;
+
+  const { minMinutes, maxMinutes } = settings.adaptiveRefresh;
+  let minutes = feed.postingIntervalMinutes
+    ? Math.round(feed.postingIntervalMinutes / CHECKS_PER_POST / 5) * 5
+    : MAX_STALE_MS / 60000;
+  minutes = Math.min(Math.max(minutes, minMinutes), maxMinutes);
+  if (feed.boosted) minutes = Math.min(minutes, BOOST_MAX_STALE_MS / 60000);
+  return minutes;
+}
+
+function getLastCheckedMs(feed) {
+  return feed.lastChecked ? new Date(feed.lastChecked).getTime() : 0;
+}
+
+/** Age after which a feed counts as overdue, not counting quiet hours. */
+function getMaxStaleMs(feed, settings) {
+  const minutes = getIntervalMinutes(feed, settings);
+  if (minutes) return minutes * 60 * 1000 * 2;
+  return feed.boosted ? BOOST_MAX_STALE_MS : MAX_STALE_MS;
+}
+
+/** Stale-notification threshold: the stale cap plus one quiet-hours window. */
+function getStaleThresholdMs(feed, settings) {
+  return getMaxStaleMs(feed, settings) + getQuietHoursDurationMs(settings.quietHours);
+}
+
+/**
+ * When a feed is next due. Feeds sort by this, so rotation feeds keep their
+ * oldest-first order (with boost's head start) and interval feeds slot in as
+ * they come due.
+ */
+function getDueAtMs(feed, settings) {
+  const lastChecked = getLastCheckedMs(feed);
+  const minutes = getIntervalMinutes(feed, settings);
+  if (minutes) return lastChecked + minutes * 60 * 1000;
+  return lastChecked + MAX_STALE_MS - (feed.boosted ? BOOST_PRIORITY_MS : 0);
+}
+
+/** Rotation feeds can always take a turn; interval feeds only once due. */
+function isFeedDue(feed, settings, now = Date.now()) {
+  return isRotationFeed(feed, settings) || getDueAtMs(feed, settings) <= now;
+}
+
+/**
+ * Predicted next automatic refresh, pushed past quiet hours. For rotation
+ * feeds this is the latest time, since the rotation may get there sooner.
+ */
+function getNextRefreshAt(feed, settings, now = Date.now()) {
+  const rotation = isRotationFeed(feed, settings);
+  const target = rotation ? getLastCheckedMs(feed) + getMaxStaleMs(feed, settings) : getDueAtMs(feed, settings);
+  const at = getQuietHoursEnd(settings.quietHours, new Date(Math.max(target, now)));
+  return { at: at.toISOString(), latest: rotation };
+}
+
+// ── Posting cadence ───────────────────────────────────────────────────────
+
+/**
+ * Typical minutes between posts, from archived items: the median gap
+ * between the most recent dated posts, stretched to the time since the last
+ * post when an account has gone quiet. Null with too few dated posts.
+ */
+function estimatePostingIntervalMinutes(items, now = Date.now()) {
+  const times = items
+    .filter((item) => item.timestamp && !item.timestampEstimated)
+    .map((item) => new Date(item.timestamp).getTime())
+    .filter((t) => Number.isFinite(t) && t <= now)
+    .sort((a, b) => b - a)
+    .slice(0, CADENCE_SAMPLE_SIZE);
+  if (times.length < CADENCE_MIN_POSTS) return null;
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push(times[i - 1] - times[i]);
+  gaps.sort((a, b) => a - b);
+  const mid = Math.floor(gaps.length / 2);
+  const median = gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2;
+
+  return Math.max(1, Math.round(Math.max(median, now - times[0]) / 60000));
+}
+
+function normalizeAdaptiveRefresh(raw) {
+  const minMinutes = Number(raw && raw.minMinutes);
+  const maxMinutes = Number(raw && raw.maxMinutes);
+  for (const value of [minMinutes, maxMinutes]) {
+    if (!Number.isInteger(value) || value < MIN_REFRESH_INTERVAL_MINUTES || value > MAX_REFRESH_INTERVAL_MINUTES) {
+      throw new Error(`Adaptive bounds must be between ${MIN_REFRESH_INTERVAL_MINUTES} minutes and 7 days`);
+    }
+  }
+  if (minMinutes > maxMinutes) throw new Error('The adaptive minimum must not be longer than the maximum');
+  return { enabled: !!raw.enabled, minMinutes, maxMinutes };
+}
+
+// ── Quiet hours ───────────────────────────────────────────────────────────
+
+function parseClock(value) {
+  const m = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || '').trim());
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeQuietHours(raw) {
+  const start = parseClock(raw && raw.start);
+  const end = parseClock(raw && raw.end);
+  if (start === null || end === null) throw new Error('Quiet hours need a start and end time (HH:MM)');
+  if (start === end) throw new Error('Quiet hours must start and end at different times');
+  return { enabled: !!raw.enabled, start: formatClock(start), end: formatClock(end) };
+}
+
+function isQuietActive(quietHours) {
+  return !!(quietHours && quietHours.enabled &&
+    parseClock(quietHours.start) !== null && parseClock(quietHours.end) !== null);
+}
+
+function isQuietTime(quietHours, date = new Date()) {
+  if (!isQuietActive(quietHours)) return false;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const now = date.getHours() * 60 + date.getMinutes();
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/** End of the quiet window containing `date` (or `date` itself if not quiet). */
+function getQuietHoursEnd(quietHours, date = new Date()) {
+  if (!isQuietTime(quietHours, date)) return date;
+  const end = parseClock(quietHours.end);
+  const result = new Date(date);
+  result.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (result <= date) result.setDate(result.getDate() + 1);
+  return result;
+}
+
+function getQuietHoursDurationMs(quietHours) {
+  if (!isQuietActive(quietHours)) return 0;
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  return (((end - start) + 24 * 60) % (24 * 60)) * 60 * 1000;
+}
+
+module.exports = {
+  MAX_STALE_MS,
+  BOOST_MAX_STALE_MS,
+  REFRESH_INTERVAL_OPTIONS,
+  ADAPTIVE_BOUND_OPTIONS,
+  DEFAULT_QUIET_HOURS,
+  DEFAULT_ADAPTIVE_REFRESH,
+  getScheduleSettings,
+  normalizeRefreshInterval,
+  getScheduleMode,
+  isRotationFeed,
+  getIntervalMinutes,
+  getMaxStaleMs,
+  getStaleThresholdMs,
+  getDueAtMs,
+  isFeedDue,
+  getNextRefreshAt,
+  estimatePostingIntervalMinutes,
+  normalizeAdaptiveRefresh,
+  normalizeQuietHours,
+  isQuietTime,
+  getQuietHoursEnd,
+  getQuietHoursDurationMs,
+};
@@ -56,25 +56,64 @@ const btnCloseOverlay = $('#btn-close-overlay');
 let publicAccessOpen = false;
 let currentTunnelStatus = 'stopped';
 
+// Bundles overlay elements
+const btnBundles = $('#btn-bundles');
+const bundlesOverlay = $('#bundles-overlay');
+const bundleList = $('#bundle-list');
+const bundleFeedPicker = $('#bundle-feed-picker');
+let bundlesOpen = false;
+let editingBundleSlug = null;    // slug of the bundle in the editor, null for a new one
+
+// Webhooks overlay elements
+const webhooksOverlay = $('#webhooks-overlay');
+const webhookList = $('#webhook-list');
+const webhookFeedPicker = $('#webhook-feed-picker');
+const webhookDeliveryList = $('#webhook-delivery-list');
+let webhooksOpen = false;
+let editingWebhookId = null;     // id of the webhook in the editor, null for a new one
+
+// Feed filters overlay elements
+const filtersOverlay = $('#feed-filters-overlay');
+const filtersPreviewList = $('#filter-preview-list');
+const filtersPreviewSummary = $('#filter-preview-summary');
+let filtersFeed = null;          // feed being edited, null when closed
+let filtersPreviewTimer = null;
+
+// Feed refresh history overlay elements
+const historyOverlay = $('#feed-history-overlay');
+const historyList = $('#history-list');
+let historyFeed = null;          // feed whose history is shown, null when closed
+
+// Settings overlay elements
+const btnSettings = $('#btn-settings');
+const settingsOverlay = $('#settings-overlay');
+const btnCloseSettings = $('#btn-close-settings');
+let settingsOpen = false;
+
 // Notification elements
 const btnBell = $('#btn-bell');
 const bellBadge = $('#bell-badge');
 const notifPanel = $('#notification-panel');
 const notifList = $('#notif-panel-list');
 const btnNotifClear = $('#btn-notif-clear');
+const notifFilterFeed = $('#notif-filter-feed');
+const notifFilterCategory = $('#notif-filter-category');
 let notifPanelOpen = false;
 let notifications = [];
 
 let serverPort = 3845;
-let igLoggedIn = false;
-let twLoggedIn = false;
-let fbLoggedIn = false;
-let liLoggedIn = false;
+// Login state per platform id, fed by 'login-status' events
+const loginState = {};
+// Platform registry metadata from the main process (see platforms.js)
+let platformList = [];
 let tunnelDomain = '';
 let tunnelRunning = false;
-let feedToken = '';
+let feedTokens = [];             // named access tokens (see feed-tokens.js)
+const cardTokenChoice = {};      // feed key → token id picked on that card
 /** Resolved origin for local feed links (localhost or optional LAN base). */
 let resolvedFeedBase = '';
+// Quiet hours, adaptive bounds and interval choices (see refresh-schedule.js)
+let refreshSettings = { quietHours: { enabled: false }, adaptiveRefresh: { enabled: false }, intervalOptions: [], boundOptions: [] };
 
 // Active platform tab in feed list
 let activeGroup = null;
@@ -83,7 +122,9 @@ let activeGroup = null;
 
 (async function init() {
   serverPort = await window.api.getServerPort();
+  platformList = await window.api.getPlatforms();
   resolvedFeedBase = await window.api.getResolvedFeedBaseUrl();
+  refreshSettings = await window.api.getRefreshSettings();
 
   // Display app version
   const version = await window.api.getAppVersion();
@@ -94,8 +135,8 @@ let activeGroup = null;
   notifications = await window.api.getNotifications();
   renderNotifications();
 
-  // Load feed token
-  feedToken = await window.api.getFeedToken();
+  // Load feed tokens
+  feedTokens = await window.api.getFeedTokens();
   updateTokenUI();
 
   const feedPublicBaseInput = $('#feed-public-base-input');
@@ -142,19 +183,8 @@ let activeGroup = null;
 // ── Login Status Updates ────────────────────────────────────────────────
 
 window.api.onLoginStatus(({ platform, loggedIn }) => {
-  if (platform === 'twitter') {
-    twLoggedIn = loggedIn;
-    updatePlatformLoginUI('twitter', loggedIn);
-  } else if (platform === 'facebook') {
-    fbLoggedIn = loggedIn;
-    updatePlatformLoginUI('facebook', loggedIn);
-  } else if (platform === 'linkedin') {
-    liLoggedIn = loggedIn;
-    updatePlatformLoginUI('linkedin', loggedIn);
-  } else {
-    igLoggedIn = loggedIn;
-    updatePlatformLoginUI('instagram', loggedIn);
-  }
+  loginState[platform || 'instagram'] = loggedIn;
+  updatePlatformLoginUI(platform || 'instagram', loggedIn);
   // Re-render feeds so logged-out platforms show red background
   renderFeeds();
 });
@@ -198,7 +228,24 @@ window.api.onTunnelStatus(async ({ status, provider }) => {
 
 // Auto-refresh: re-render feeds when main process refreshes them
 if (window.api.onFeedsUpdated) {
-  window.api.onFeedsUpdated(() => renderFeeds());
+  window.api.onFeedsUpdated(async () => {
+    // Renames through the management API move token scopes too
+    feedTokens = await window.api.getFeedTokens();
+    renderFeeds();
+    if (historyFeed) renderRefreshHistory();
+  });
+}
+
+// OPML import queue progress from main process
+if (window.api.onOpmlImportProgress) {
+  window.api.onOpmlImportProgress((status) => renderImportProgress(status));
+}
+
+// Webhook delivery log changes (new deliveries, retries, outcomes)
+if (window.api.onWebhookDeliveriesUpdated) {
+  window.api.onWebhookDeliveriesUpdated(() => {
+    if (webhooksOpen) renderWebhookDeliveries();
+  });
 }
 
 // Live notification updates from main process
@@ -289,9 +336,26 @@ providerButtons.forEach((btn) => {
   });
 });
 
-function tokenQueryString(prefix) {
-  if (!feedToken) return '';
-  return prefix + 'token=' + feedToken;
+function isTokenExpired(t) {
+  return !!t.expiresAt && new Date(t.expiresAt).getTime() <= Date.now();
+}
+
+/** Live tokens that may read the given feed key / bundle slug (all, if no key). */
+function tokensFor(key) {
+  return feedTokens.filter(t => !isTokenExpired(t) &&
+    (t.scope === 'all' || (key && Array.isArray(t.scope) && t.scope.includes(key))));
+}
+
+/** Token to embed in URLs for `key`: the card's pick, else the first that covers it. */
+function pickToken(key) {
+  const candidates = tokensFor(key);
+  return candidates.find(t => t.id === cardTokenChoice[key]) || candidates[0] || null;
+}
+
+function tokenQueryString(prefix, key) {
+  const t = pickToken(key);
+  if (!t) return '';
+  return prefix + 'token=' + t.token;
 }
 
 function updateTunnelUrls() {
@@ -352,15 +416,15 @@ function updatePlatformLoginUI(platform, loggedIn) {
 
 // Click platform badge: login if offline, confirm logout if online
 igStatusEl.addEventListener('click', () => {
-  if (igLoggedIn) {
-    if (confirm('Log out of Instagram?')) window.api.logout();
+  if (loginState.instagram) {
+    if (confirm('Log out of Instagram and Threads?')) window.api.logout();
   } else {
     window.api.openLogin();
   }
 });
 
 twStatusEl.addEventListener('click', () => {
-  if (twLoggedIn) {
+  if (loginState.twitter) {
     if (confirm('Log out of Twitter / X?')) window.api.logoutTwitter();
   } else {
     window.api.openTwitterLogin();
@@ -368,7 +432,7 @@ twStatusEl.addEventListener('click', () => {
 });
 
 fbStatusEl.addEventListener('click', () => {
-  if (fbLoggedIn) {
+  if (loginState.facebook) {
     if (confirm('Log out of Facebook?')) window.api.logoutFacebook();
   } else {
     window.api.openFacebookLogin();
@@ -376,7 +440,7 @@ fbStatusEl.addEventListener('click', () => {
 });
 
 liStatusEl.addEventListener('click', () => {
-  if (liLoggedIn) {
+  if (loginState.linkedin) {
     if (confirm('Log out of LinkedIn?')) window.api.logoutLinkedIn();
   } else {
     window.api.openLinkedInLogin();
@@ -403,7 +467,7 @@ $('#li-reconnect')?.addEventListener('click', (e) => {
 
 // Right-click platform badge: force reset (clears all cookies & storage)
 for (const [el, platform, name] of [
-  [igStatusEl, 'instagram', 'Instagram'],
+  [igStatusEl, 'instagram', 'Instagram and Threads'],
   [twStatusEl, 'twitter', 'Twitter / X'],
   [fbStatusEl, 'facebook', 'Facebook'],
   [liStatusEl, 'linkedin', 'LinkedIn'],
@@ -537,6 +601,869 @@ document.addEventListener('keydown', (e) => {
   }
 });
 
+// ── Bundles ─────────────────────────────────────────────────────────────────
+
+function bundleFeedUrl(slug) {
+  const base = tunnelDomain ? `https://${tunnelDomain}` : (resolvedFeedBase || `http://localhost:${serverPort}`);
+  return `${base}/feed/${slug}${tokenQueryString('?', slug)}`;
+}
+
+async function openBundles() {
+  bundlesOpen = true;
+  bundlesOverlay.style.display = '';
+  const bundles = await window.api.getBundles();
+  renderBundleList(bundles);
+  await resetBundleEditor();
+}
+
+function closeBundles() {
+  bundlesOpen = false;
+  bundlesOverlay.style.display = 'none';
+}
+
+function renderBundleList(bundles) {
+  if (bundles.length === 0) {
+    bundleList.innerHTML = '<div class="filter-preview-empty">No bundles yet.</div>';
+    return;
+  }
+  bundleList.innerHTML = '';
+  for (const bundle of bundles) {
+    const url = bundleFeedUrl(bundle.slug);
+    const item = document.createElement('div');
+    item.className = 'bundle-item';
+    item.innerHTML = `
+      <div class="bundle-item-info">
+        <div class="bundle-item-name">${escapeHtml(bundle.name)} <span class="bundle-item-count">· ${bundle.feeds.length} feed${bundle.feeds.length === 1 ? '' : 's'}</span></div>
+        <a class="bundle-item-url" title="Click to copy">${escapeHtml(url)}</a>
+      </div>
+      <button type="button" class="btn btn-outline btn-sm btn-edit-bundle">Edit</button>
+      <button type="button" class="btn btn-outline btn-sm btn-delete-bundle">Delete</button>
+    `;
+    item.querySelector('.bundle-item-url').addEventListener('click', () => {
+      copyToClipboard(url);
+      toast('Bundle URL copied!', 'success');
+    });
+    item.querySelector('.btn-edit-bundle').addEventListener('click', () => resetBundleEditor(bundle));
+    item.querySelector('.btn-delete-bundle').addEventListener('click', async () => {
+      if (!confirm(`Delete bundle "${bundle.name}"?`)) return;
+      renderBundleList(await window.api.deleteBundle(bundle.slug));
+      if (editingBundleSlug === bundle.slug) await resetBundleEditor();
+      toast(`Bundle "${bundle.name}" deleted`, 'success');
+    });
+    bundleList.appendChild(item);
+  }
+}
+
+/** Load a bundle into the editor, or clear it for a new bundle. */
+async function resetBundleEditor(bundle) {
+  editingBundleSlug = bundle ? bundle.slug : null;
+  $('#bundle-editor-title').textContent = bundle ? `Edit "${bundle.name}"` : 'New bundle';
+  $('#bundle-name-input').value = bundle ? bundle.name : '';
+
+  const selected = new Set((bundle ? bundle.feeds : [])
+    .map(m => `${m.platform || 'instagram'}:${m.username}`));
+  const groups = groupFeedsByCategory(await window.api.getFeeds());
+  bundleFeedPicker.innerHTML = '';
+  for (const category of platformList.map(p => p.category)) {
+    if (!groups[category]) continue;
+    const group = document.createElement('div');
+    group.innerHTML = `<div class="bundle-picker-group-title">${escapeHtml(category)}</div>`;
+    for (const feed of groups[category]) {
+      const platform = feed.platform || 'instagram';
+      const option = document.createElement('label');
+      option.className = 'checkbox-option';
+      option.innerHTML = `<input type="checkbox" /> <span>${escapeHtml(feed.alias || feed.username)}</span>`;
+      const checkbox = option.querySelector('input');
+      checkbox.dataset.username = feed.username;
+      checkbox.dataset.platform = platform;
+      checkbox.checked = selected.has(`${platform}:${feed.username}`);
+      group.appendChild(option);
+    }
+    bundleFeedPicker.appendChild(group);
+  }
+}
+
+btnBundles.addEventListener('click', (e) => {
+  e.stopPropagation();
+  openBundles();
+});
+
+$('#btn-close-bundles').addEventListener('click', closeBundles);
+
+bundlesOverlay.addEventListener('click', (e) => {
+  if (e.target === bundlesOverlay) closeBundles();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && bundlesOpen) closeBundles();
+});
+
+$('#btn-cancel-bundle').addEventListener('click', () => resetBundleEditor());
+
+$('#btn-save-bundle').addEventListener('click', async () => {
+  const feeds = [...bundleFeedPicker.querySelectorAll('input[type="checkbox"]:checked')]
+    .map(cb => ({ username: cb.dataset.username, platform: cb.dataset.platform }));
+  const name = $('#bundle-name-input').value;
+  try {
+    const bundles = await window.api.saveBundle({ name, feeds }, editingBundleSlug);
+    renderBundleList(bundles);
+    await resetBundleEditor();
+    toast(`Bundle "${name.trim()}" saved`, 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to save bundle', 'error');
+  }
+});
+
+// ── Webhooks ────────────────────────────────────────────────────────────────
+
+const DELIVERY_STATUS_LABELS = {
+  pending: 'Sending',
+  retrying: 'Retrying',
+  delivered: 'Delivered',
+  failed: 'Failed',
+};
+
+async function openWebhooks() {
+  webhooksOpen = true;
+  webhooksOverlay.style.display = '';
+  renderWebhookList(await window.api.getWebhooks());
+  await resetWebhookEditor();
+  await renderWebhookDeliveries();
+}
+
+function closeWebhooks() {
+  webhooksOpen = false;
+  webhooksOverlay.style.display = 'none';
+}
+
+function updateWebhooksStatus(webhooks) {
+  const enabled = webhooks.filter(w => w.enabled).length;
+  const status = $('#webhooks-status');
+  status.textContent = enabled ? `${enabled} active` : 'None';
+  status.className = 'token-status ' + (enabled ? 'enabled' : 'disabled');
+}
+
+function describeWebhookScope(webhook) {
+  if (webhook.scope === 'all') return 'all feeds';
+  return `${webhook.scope.length} feed${webhook.scope.length === 1 ? '' : 's'}`;
+}
+
+function renderWebhookList(webhooks) {
+  updateWebhooksStatus(webhooks);
+  if (webhooks.length === 0) {
+    webhookList.innerHTML = '<div class="filter-preview-empty">No webhooks yet.</div>';
+    return;
+  }
+  webhookList.innerHTML = '';
+  for (const webhook of webhooks) {
+    const item = document.createElement('div');
+    item.className = 'bundle-item';
+    item.innerHTML = `
+      <div class="bundle-item-info">
+        <div class="bundle-item-name">${escapeHtml(webhook.label)} <span class="bundle-item-count">· ${describeWebhookScope(webhook)}${webhook.enabled ? '' : ' · paused'}</span></div>
+        <div class="webhook-item-url">${escapeHtml(webhook.url)}</div>
+      </div>
+      <button type="button" class="btn btn-outline btn-sm btn-test-webhook">Test</button>
+      <button type="button" class="btn btn-outline btn-sm btn-edit-webhook">Edit</button>
+      <button type="button" class="btn btn-outline btn-sm btn-delete-webhook">Delete</button>
+    `;
+    item.querySelector('.btn-test-webhook').addEventListener('click', async () => {
+      try {
+        await window.api.testWebhook(webhook.id);
+        toast(`Test delivery queued for "${webhook.label}"`, 'success');
+      } catch (err) {
+        toast(err.message || 'Failed to send test delivery', 'error');
+      }
+    });
+    item.querySelector('.btn-edit-webhook').addEventListener('click', () => resetWebhookEditor(webhook));
+    item.querySelector('.btn-delete-webhook').addEventListener('click', async () => {
+      if (!confirm(`Delete webhook "${webhook.label}"? Queued retries for it will be dropped.`)) return;
+      renderWebhookList(await window.api.deleteWebhook(webhook.id));
+      if (editingWebhookId === webhook.id) await resetWebhookEditor();
+      toast(`Webhook "${webhook.label}" deleted`, 'success');
+    });
+    webhookList.appendChild(item);
+  }
+}
+
+/** Load a webhook into the editor, or clear it for a new webhook. */
+async function resetWebhookEditor(webhook) {
+  editingWebhookId = webhook ? webhook.id : null;
+  $('#webhook-editor-title').textContent = webhook ? `Edit "${webhook.label}"` : 'New webhook';
+  $('#webhook-label-input').value = webhook ? webhook.label : '';
+  $('#webhook-url-input').value = webhook ? webhook.url : '';
+  $('#webhook-secret-input').value = webhook ? webhook.secret : '';
+  $('#webhook-enabled').checked = webhook ? webhook.enabled : true;
+  const scopeSelect = $('#webhook-scope-select');
+  scopeSelect.value = webhook && webhook.scope !== 'all' ? 'selected' : 'all';
+  webhookFeedPicker.style.display = scopeSelect.value === 'selected' ? '' : 'none';
+
+  const selected = new Set((webhook && Array.isArray(webhook.scope) ? webhook.scope : [])
+    .map(m => `${m.platform || 'instagram'}:${m.username}`));
+  const groups = groupFeedsByCategory(await window.api.getFeeds());
+  webhookFeedPicker.innerHTML = '';
+  for (const category of platformList.map(p => p.category)) {
+    if (!groups[category]) continue;
+    const group = document.createElement('div');
+    group.innerHTML = `<div class="bundle-picker-group-title">${escapeHtml(category)}</div>`;
+    for (const feed of groups[category]) {
+      const platform = feed.platform || 'instagram';
+      const option = document.createElement('label');
+      option.className = 'checkbox-option';
+      option.innerHTML = `<input type="checkbox" /> <span>${escapeHtml(feed.alias || feed.username)}</span>`;
+      const checkbox = option.querySelector('input');
+      checkbox.dataset.username = feed.username;
+      checkbox.dataset.platform = platform;
+      checkbox.checked = selected.has(`${platform}:${feed.username}`);
+      group.appendChild(option);
+    }
+    webhookFeedPicker.appendChild(group);
+  }
+}
+
+async function renderWebhookDeliveries() {
+  const deliveries = await window.api.getWebhookDeliveries();
+  if (deliveries.length === 0) {
+    webhookDeliveryList.innerHTML = '<div class="filter-preview-empty">No deliveries yet.</div>';
+    return;
+  }
+  webhookDeliveryList.innerHTML = '';
+  for (const d of deliveries) {
+    const row = document.createElement('div');
+    row.className = `webhook-delivery ${d.status}`;
+    const when = d.status === 'retrying'
+      ? `next try ${new Date(d.nextAttemptAt).toLocaleTimeString()}`
+      : formatTimeAgo(d.lastAttemptAt || d.createdAt);
+    const canRetry = d.retryable && (d.status === 'failed' || d.status === 'retrying');
+    row.innerHTML = `
+      <div class="webhook-delivery-info">
+        <div class="webhook-delivery-title">
+          <span class="webhook-delivery-status">${DELIVERY_STATUS_LABELS[d.status] || d.status}</span>
+          ${escapeHtml(d.label)} — ${escapeHtml(d.summary)}
+        </div>
+        <div class="webhook-delivery-meta">
+          ${d.responseStatus ? `HTTP ${d.responseStatus} · ` : ''}${d.attempts} attempt${d.attempts === 1 ? '' : 's'} · ${escapeHtml(when)}
+        </div>
+        ${d.lastError && d.status !== 'delivered' ? `<div class="webhook-delivery-error">${escapeHtml(d.lastError)}</div>` : ''}
+      </div>
+      ${canRetry ? '<button type="button" class="btn btn-outline btn-sm btn-retry-delivery">Retry</button>' : ''}
+    `;
+    if (canRetry) {
+      row.querySelector('.btn-retry-delivery').addEventListener('click', async () => {
+        try {
+          await window.api.retryWebhookDelivery(d.id);
+        } catch (err) {
+          toast(err.message || 'Retry failed', 'error');
+        }
+      });
+    }
+    webhookDeliveryList.appendChild(row);
+  }
+}
+
+$('#btn-open-webhooks').addEventListener('click', () => {
+  closeSettings();
+  openWebhooks();
+});
+
+$('#btn-close-webhooks').addEventListener('click', closeWebhooks);
+
+webhooksOverlay.addEventListener('click', (e) => {
+  if (e.target === webhooksOverlay) closeWebhooks();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && webhooksOpen) closeWebhooks();
+});
+
+$('#webhook-scope-select').addEventListener('change', (e) => {
+  webhookFeedPicker.style.display = e.target.value === 'selected' ? '' : 'none';
+});
+
+$('#btn-webhook-secret-generate').addEventListener('click', async () => {
+  $('#webhook-secret-input').value = await window.api.generateWebhookSecret();
+});
+
+$('#btn-cancel-webhook').addEventListener('click', () => resetWebhookEditor());
+
+$('#btn-save-webhook').addEventListener('click', async () => {
+  const scope = $('#webhook-scope-select').value === 'all'
+    ? 'all'
+    : [...webhookFeedPicker.querySelectorAll('input[type="checkbox"]:checked')]
+      .map(cb => ({ username: cb.dataset.username, platform: cb.dataset.platform }));
+  try {
+    const webhooks = await window.api.saveWebhook({
+      label: $('#webhook-label-input').value,
+      url: $('#webhook-url-input').value,
+      secret: $('#webhook-secret-input').value,
+      scope,
+      enabled: $('#webhook-enabled').checked,
+    }, editingWebhookId);
+    renderWebhookList(webhooks);
+    await resetWebhookEditor();
+    toast('Webhook saved', 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to save webhook', 'error');
+  }
+});
+
+$('#btn-clear-webhook-log').addEventListener('click', async () => {
+  await window.api.clearWebhookDeliveries();
+  await renderWebhookDeliveries();
+});
+
+// ── Feed Filters Editor ─────────────────────────────────────────────────────
+
+const filterFields = {
+  includeKeywords: $('#filter-include-keywords'),
+  excludeKeywords: $('#filter-exclude-keywords'),
+  includeRegex: $('#filter-include-regex'),
+  excludeRegex: $('#filter-exclude-regex'),
+  hasImage: $('#filter-has-image'),
+  isVideo: $('#filter-is-video'),
+  minLikes: $('#filter-min-likes'),
+  excludeShorts: $('#filter-exclude-shorts'),
+  excludeUpcoming: $('#filter-exclude-upcoming'),
+  includeFlairs: $('#filter-include-flairs'),
+  excludeFlairs: $('#filter-exclude-flairs'),
+};
+
+function openFiltersEditor(feed) {
+  const filters = feed.filters || {};
+  filtersFeed = feed;
+  $('#filters-feed-name').textContent = feed.alias || `@${feed.username}`;
+  filterFields.includeKeywords.value = (filters.includeKeywords || []).join(', ');
+  filterFields.excludeKeywords.value = (filters.excludeKeywords || []).join(', ');
+  filterFields.includeRegex.value = (filters.includeRegex || []).join('\n');
+  filterFields.excludeRegex.value = (filters.excludeRegex || []).join('\n');
+  filterFields.hasImage.value = filters.hasImage || '';
+  filterFields.isVideo.value = filters.isVideo || '';
+  filterFields.minLikes.value = filters.minLikes || '';
+  filterFields.excludeShorts.checked = !!filters.excludeShorts;
+  filterFields.excludeUpcoming.checked = !!filters.excludeUpcoming;
+  filterFields.includeFlairs.value = (filters.includeFlairs || []).join(', ');
+  filterFields.excludeFlairs.value = (filters.excludeFlairs || []).join(', ');
+  $('#filter-youtube-options').style.display = feed.platform === 'youtube' ? '' : 'none';
+  $('#filter-reddit-options').style.display = feed.platform === 'reddit' ? '' : 'none';
+  $('#filter-min-likes-label').textContent = feed.platform === 'reddit' ? 'Min score' : 'Min likes';
+  filtersOverlay.style.display = '';
+  previewFilters();
+}
+
+function closeFiltersEditor() {
+  filtersFeed = null;
+  clearTimeout(filtersPreviewTimer);
+  filtersOverlay.style.display = 'none';
+}
+
+function readFiltersForm() {
+  const filters = {};
+  for (const [key, el] of Object.entries(filterFields)) {
+    filters[key] = el.type === 'checkbox' ? el.checked : el.value;
+  }
+  return filters;
+}
+
+async function previewFilters() {
+  if (!filtersFeed) return;
+  const feed = filtersFeed;
+  let results;
+  try {
+    results = await window.api.previewFeedFilters(feed.username, feed.platform || 'instagram', readFiltersForm());
+  } catch (err) {
+    filtersPreviewSummary.textContent = '';
+    filtersPreviewList.innerHTML = `<div class="filter-preview-empty">${escapeHtml(err.message || 'Invalid filters')}</div>`;
+    return;
+  }
+  // Ignore stale responses if the editor was closed or switched feeds meanwhile
+  if (filtersFeed !== feed) return;
+
+  if (results.length === 0) {
+    filtersPreviewSummary.textContent = '';
+    filtersPreviewList.innerHTML = '<div class="filter-preview-empty">No archived posts yet — refresh the feed to preview.</div>';
+    return;
+  }
+
+  const passing = results.filter(r => r.pass).length;
+  filtersPreviewSummary.textContent = `${passing} / ${results.length} pass`;
+  filtersPreviewList.innerHTML = results.map(r => `
+    <div class="filter-preview-item ${r.pass ? 'pass' : 'fail'}" title="${escapeHtml(r.caption)}">
+      <span class="filter-preview-mark">${r.pass ? '✓' : '✗'}</span>
+      <span class="filter-preview-caption">${escapeHtml(truncate(r.caption || '(no caption)', 120))}</span>
+      <span class="filter-preview-reason">${escapeHtml(r.reason)}</span>
+    </div>
+  `).join('');
+}
+
+for (const el of Object.values(filterFields)) {
+  el.addEventListener('input', () => {
+    clearTimeout(filtersPreviewTimer);
+    filtersPreviewTimer = setTimeout(previewFilters, 250);
+  });
+}
+
+$('#btn-close-filters').addEventListener('click', closeFiltersEditor);
+
+filtersOverlay.addEventListener('click', (e) => {
+  if (e.target === filtersOverlay) closeFiltersEditor();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && filtersFeed) closeFiltersEditor();
+});
+
+// ── Feed Refresh History ────────────────────────────────────────────────────
+
+const HISTORY_TRIGGER_LABELS = {
+  auto: 'Scheduled',
+  manual: 'Manual',
+  'refresh-all': 'Refresh All',
+  tunnel: 'After tunnel start',
+  api: 'Management API',
+  add: 'Added',
+  import: 'OPML import',
+};
+
+function openRefreshHistory(feed) {
+  historyFeed = feed;
+  $('#history-feed-name').textContent = feed.alias || `@${feed.username}`;
+  historyList.innerHTML = '';
+  historyOverlay.style.display = '';
+  renderRefreshHistory();
+}
+
+function closeRefreshHistory() {
+  historyFeed = null;
+  historyOverlay.style.display = 'none';
+}
+
+function formatSeconds(ms) {
+  return ms < 10000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms / 1000)} s`;
+}
+
+async function renderRefreshHistory() {
+  const feed = historyFeed;
+  let history;
+  try {
+    history = await window.api.getRefreshHistory(feed.username, feed.platform || 'instagram');
+  } catch (err) {
+    historyList.innerHTML = `<div class="filter-preview-empty">${escapeHtml(err.message || 'Failed to load history')}</div>`;
+    return;
+  }
+  // Ignore stale responses if the panel was closed or switched feeds meanwhile
+  if (historyFeed !== feed) return;
+
+  const { entries, summary } = history;
+  const status = $('#history-summary-status');
+  status.textContent = `${summary.attempts} attempt${summary.attempts === 1 ? '' : 's'}` +
+    (summary.failures ? ` · ${summary.failures} failed` : '');
+  status.className = 'token-status ' + (summary.failures ? 'disabled' : 'enabled');
+  $('#history-summary').textContent = [
+    summary.medianDurationMs !== null ? `Typical scrape: ${formatSeconds(summary.medianDurationMs)}` : '',
+    summary.lastSuccessAt ? `Last success: ${formatTimeAgo(summary.lastSuccessAt)}` : 'No successful scrape logged yet',
+    summary.lastFailureAt ? `Last failure: ${formatTimeAgo(summary.lastFailureAt)}` : '',
+  ].filter(Boolean).join(' · ');
+
+  if (entries.length === 0) {
+    historyList.innerHTML = '<div class="filter-preview-empty">No scrapes logged yet — history starts with the next refresh.</div>';
+    return;
+  }
+  historyList.innerHTML = entries.map((e) => {
+    const details = e.success
+      ? [
+        `${e.postCount} post${e.postCount === 1 ? '' : 's'}`,
+        `${e.newItemCount} new`,
+        e.extractionPath ? `via ${e.extractionPath}` : '',
+      ]
+      : [];
+    const meta = [
+      new Date(e.startedAt).toLocaleString(),
+      HISTORY_TRIGGER_LABELS[e.trigger] || e.trigger,
+      formatSeconds(e.durationMs),
+    ];
+    return `
+      <div class="history-entry ${e.success ? 'ok' : 'failed'}">
+        <div class="history-entry-title">
+          <span class="history-entry-status">${e.success ? 'OK' : 'Failed'}</span>
+          ${escapeHtml(details.filter(Boolean).join(' · '))}
+        </div>
+        <div class="history-entry-meta">${escapeHtml(meta.join(' · '))}</div>
+        ${e.error ? `<div class="history-entry-error">${escapeHtml(e.error)}</div>` : ''}
+      </div>`;
+  }).join('');
+}
+
+$('#btn-export-history').addEventListener('click', async () => {
+  if (!historyFeed) return;
+  try {
+    const result = await window.api.exportRefreshHistory(historyFeed.username, historyFeed.platform || 'instagram');
+    if (result.success) toast(`History exported to ${result.filePath}`, 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to export history', 'error');
+  }
+});
+
+$('#btn-close-history').addEventListener('click', closeRefreshHistory);
+
+historyOverlay.addEventListener('click', (e) => {
+  if (e.target === historyOverlay) closeRefreshHistory();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && historyFeed) closeRefreshHistory();
+});
+
+async function saveFilters(filters) {
+  const feed = filtersFeed;
+  try {
+    const updated = await window.api.setFeedFilters(feed.username, feed.platform || 'instagram', filters);
+    toast(updated.filters ? `Filters saved for @${feed.username}` : `Filters cleared for @${feed.username}`, 'success');
+    closeFiltersEditor();
+    await renderFeeds();
+  } catch (err) {
+    toast(err.message || 'Failed to save filters', 'error');
+  }
+}
+
+$('#btn-save-filters').addEventListener('click', () => saveFilters(readFiltersForm()));
+$('#btn-clear-filters').addEventListener('click', () => saveFilters(null));
+
+// ── Settings Overlay ────────────────────────────────────────────────────────
+
+async function openSettings() {
+  settingsOpen = true;
+  settingsOverlay.style.display = '';
+  $('#archive-retention-input').value = await window.api.getArchiveRetention();
+  updateMediaCacheUI(await window.api.getMediaCacheSettings());
+  updateApiUI(await window.api.getApiSettings());
+  refreshSettings = await window.api.getRefreshSettings();
+  updateRefreshScheduleUI(refreshSettings);
+  renderScrapeLimits(await window.api.getScrapeLimits());
+  updateWebhooksStatus(await window.api.getWebhooks());
+  hideBackupRestore();
+}
+
+function updateMediaCacheUI(settings) {
+  $('#media-cache-enabled').checked = settings.enabled;
+  $('#media-cache-video-posters').checked = settings.videoPosters;
+  $('#media-cache-video-posters').disabled = !settings.enabled;
+  const status = $('#media-cache-status');
+  status.textContent = settings.enabled ? 'Enabled' : 'Disabled';
+  status.className = 'token-status ' + (settings.enabled ? 'enabled' : 'disabled');
+}
+
+function closeSettings() {
+  settingsOpen = false;
+  settingsOverlay.style.display = 'none';
+}
+
+btnSettings.addEventListener('click', (e) => {
+  e.stopPropagation();
+  openSettings();
+});
+
+btnCloseSettings.addEventListener('click', closeSettings);
+
+settingsOverlay.addEventListener('click', (e) => {
+  if (e.target === settingsOverlay) closeSettings();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && settingsOpen) closeSettings();
+});
+
+function updateRefreshScheduleUI(settings) {
+  const { adaptiveRefresh, quietHours } = settings;
+  for (const [id, value] of [['#adaptive-refresh-min', adaptiveRefresh.minMinutes], ['#adaptive-refresh-max', adaptiveRefresh.maxMinutes]]) {
+    const choices = [...new Set([...settings.boundOptions, value])].sort((a, b) => a - b);
+    const select = $(id);
+    select.innerHTML = choices.map(m => `<option value="${m}">${formatDuration(m)}</option>`).join('');
+    select.value = String(value);
+  }
+  $('#adaptive-refresh-enabled').checked = adaptiveRefresh.enabled;
+  $('#quiet-hours-enabled').checked = quietHours.enabled;
+  $('#quiet-hours-start').value = quietHours.start;
+  $('#quiet-hours-end').value = quietHours.end;
+
+  const status = $('#refresh-schedule-status');
+  status.textContent = (adaptiveRefresh.enabled ? 'Adaptive' : 'Rotation') +
+    (quietHours.enabled ? ` · quiet ${quietHours.start}–${quietHours.end}` : '');
+  status.className = 'token-status ' + (adaptiveRefresh.enabled ? 'enabled' : 'disabled');
+}
+
+$('#btn-save-refresh-schedule').addEventListener('click', async () => {
+  try {
+    const saved = await window.api.setRefreshSettings({
+      adaptiveRefresh: {
+        enabled: $('#adaptive-refresh-enabled').checked,
+        minMinutes: Number($('#adaptive-refresh-min').value),
+        maxMinutes: Number($('#adaptive-refresh-max').value),
+      },
+      quietHours: {
+        enabled: $('#quiet-hours-enabled').checked,
+        start: $('#quiet-hours-start').value,
+        end: $('#quiet-hours-end').value,
+      },
+    });
+    refreshSettings = { ...refreshSettings, ...saved };
+    updateRefreshScheduleUI(refreshSettings);
+    renderFeeds();
+    toast('Refresh schedule saved', 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to save refresh schedule', 'error');
+  }
+});
+
+function renderScrapeLimits(statuses) {
+  const list = $('#scrape-limits-list');
+  const field = (label, key, value, placeholder) => `
+    <label class="scrape-limit-field">${label}
+      <input type="number" class="tunnel-setting-input" data-limit="${key}" min="1" step="1"
+        value="${value ?? ''}" placeholder="${placeholder}" />
+    </label>`;
+  const budgetUse = (used, limit) => limit ? `${used}/${limit}` : `${used}`;
+
+  list.innerHTML = statuses.map((s) => {
+    const customized = ['concurrency', 'perHour', 'perDay'].some((k) => s.limits[k] !== s.defaults[k]);
+    const usage = [
+      s.running ? `${s.running} running` : '',
+      s.queued ? `${s.queued} queued` : '',
+      `${budgetUse(s.usedHour, s.limits.perHour)} this hour`,
+      `${budgetUse(s.usedDay, s.limits.perDay)} today`,
+      s.budgetWaitMs ? `budget frees up in ${formatDuration(Math.ceil(s.budgetWaitMs / 60000))}` : '',
+    ].filter(Boolean).join(' · ');
+    return `
+      <div class="bundle-item" data-platform="${escapeHtml(s.platform)}">
+        <div class="bundle-item-info">
+          <div class="bundle-item-name">${escapeHtml(s.label)}</div>
+          <div class="scrape-limit-usage">${escapeHtml(usage)}</div>
+        </div>
+        <div class="scrape-limit-fields">
+          ${field('At once', 'concurrency', s.limits.concurrency, '1')}
+          ${field('Per hour', 'perHour', s.limits.perHour, '∞')}
+          ${field('Per day', 'perDay', s.limits.perDay, '∞')}
+        </div>
+        <button type="button" class="btn btn-primary btn-sm" data-action="save">Save</button>
+        ${customized ? '<button type="button" class="btn btn-ghost btn-sm" data-action="reset" title="Restore the built-in limits">Reset</button>' : ''}
+      </div>`;
+  }).join('');
+}
+
+$('#scrape-limits-list').addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-action]');
+  if (!btn) return;
+  const item = btn.closest('.bundle-item');
+  const value = (key) => item.querySelector(`[data-limit="${key}"]`).value.trim();
+  const limits = btn.dataset.action === 'reset'
+    ? null
+    : { concurrency: value('concurrency'), perHour: value('perHour'), perDay: value('perDay') };
+  try {
+    renderScrapeLimits(await window.api.setScrapeLimits(item.dataset.platform, limits));
+    toast(limits ? 'Scrape limits saved' : 'Scrape limits reset to defaults', 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to save scrape limits', 'error');
+  }
+});
+
+$('#btn-save-archive-retention').addEventListener('click', async () => {
+  const input = $('#archive-retention-input');
+  try {
+    input.value = await window.api.setArchiveRetention(input.value);
+    toast('Archive retention saved. Applies from the next refresh.', 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to save retention', 'error');
+  }
+});
+
+$('#media-cache-enabled').addEventListener('change', (e) => {
+  $('#media-cache-video-posters').disabled = !e.target.checked;
+});
+
+$('#btn-save-media-cache').addEventListener('click', async () => {
+  const settings = await window.api.setMediaCacheSettings({
+    enabled: $('#media-cache-enabled').checked,
+    videoPosters: $('#media-cache-video-posters').checked,
+  });
+  updateMediaCacheUI(settings);
+  toast('Media cache settings saved. Applies from the next refresh.', 'success');
+});
+
+// ── Management API ──────────────────────────────────────────────────────────
+
+function updateApiUI(settings) {
+  const enabled = !!settings.token;
+  $('#api-token-display').value = settings.token || '';
+  $('#api-allow-remote').checked = settings.allowRemote;
+  $('#btn-api-token-copy').style.display = enabled ? '' : 'none';
+  $('#btn-api-token-clear').style.display = enabled ? '' : 'none';
+  $('#btn-api-token-generate').textContent = enabled ? 'Regenerate' : 'Generate Token';
+  const status = $('#api-status');
+  status.textContent = enabled ? 'Enabled' : 'Disabled';
+  status.className = 'token-status ' + (enabled ? 'enabled' : 'disabled');
+}
+
+$('#btn-api-token-generate').addEventListener('click', async () => {
+  const current = await window.api.getApiSettings();
+  if (current.token && !confirm('Regenerate the admin token? Scripts using the old one will stop working.')) return;
+  await window.api.generateApiToken();
+  updateApiUI(await window.api.getApiSettings());
+  toast('Admin token generated', 'success');
+});
+
+$('#btn-api-token-copy').addEventListener('click', () => {
+  copyToClipboard($('#api-token-display').value);
+  toast('Admin token copied!', 'success');
+});
+
+$('#btn-api-token-clear').addEventListener('click', async () => {
+  if (!confirm('Disable the management API? The admin token will be deleted.')) return;
+  await window.api.clearApiToken();
+  updateApiUI(await window.api.getApiSettings());
+  toast('Management API disabled', 'success');
+});
+
+$('#api-allow-remote').addEventListener('change', async (e) => {
+  await window.api.setApiAllowRemote(e.target.checked);
+  toast(e.target.checked ? 'API reachable through the tunnel' : 'API limited to this machine', 'success');
+});
+
+// ── Backup & Restore ────────────────────────────────────────────────────────
+
+const backupRestore = $('#backup-restore');
+let backupConflictCount = 0;
+
+function hideBackupRestore() {
+  backupRestore.style.display = 'none';
+}
+
+function updateBackupModeUI() {
+  const replace = $('#backup-mode-select').value === 'replace';
+  $('#backup-overwrite-option').style.display = !replace && backupConflictCount > 0 ? '' : 'none';
+}
+
+$('#btn-export-backup').addEventListener('click', async () => {
+  try {
+    const result = await window.api.exportBackup({ includeArchives: $('#backup-include-archives').checked });
+    if (result.canceled) return;
+    const archives = result.archives ? ` and ${result.archives} archive(s)` : '';
+    toast(`Backed up ${result.feeds} feed(s)${archives}`, 'success');
+  } catch (err) {
+    toast(err.message || 'Backup failed', 'error');
+  }
+});
+
+$('#btn-choose-backup').addEventListener('click', async () => {
+  let report;
+  try {
+    report = await window.api.chooseBackupFile();
+  } catch (err) {
+    toast(err.message || 'Could not read backup', 'error');
+    return;
+  }
+  if (!report) return;
+
+  const issues = $('#backup-restore-issues');
+  if (report.errors.length) {
+    hideBackupRestore();
+    toast(report.errors[0], 'error');
+    return;
+  }
+
+  const s = report.summary;
+  const exported = s.exportedAt ? ` from ${new Date(s.exportedAt).toLocaleString()}` : '';
+  $('#backup-restore-summary').innerHTML = `
+    <strong>${escapeHtml(report.fileName)}</strong>${escapeHtml(exported)}<br>
+    ${s.feeds} feed(s) · ${s.bundles} bundle(s) · ${s.feedTokens} token(s) ·
+    ${s.webhooks === null ? 'no webhooks (older backup)' : `${s.webhooks} webhook(s)`} · ${s.archives} archive(s)
+    <span class="bundle-item-count">(you have ${s.currentFeeds} feed(s) now)</span>
+  `;
+
+  backupConflictCount = report.conflicts.length;
+  let html = '';
+  if (report.conflicts.length) {
+    html += `<div class="backup-restore-conflicts"><strong>${report.conflicts.length} conflict(s)</strong> — already tracked here:`;
+    html += report.conflicts.map(c =>
+      `<div>${escapeHtml(getPlatformInfo(c.platform).label)} @${escapeHtml(c.username)}` +
+      (c.currentAlias !== c.backupAlias ? ` <span class="bundle-item-count">(“${escapeHtml(c.currentAlias)}” here, “${escapeHtml(c.backupAlias)}” in backup)</span>` : '') +
+      '</div>'
+    ).join('');
+    html += '</div>';
+  }
+  if (report.warnings.length) {
+    html += report.warnings.map(w => `<div class="backup-restore-warning">${escapeHtml(w)}</div>`).join('');
+  }
+  issues.innerHTML = html;
+
+  $('#backup-mode-select').value = 'merge';
+  $('#backup-overwrite-conflicts').checked = false;
+  $('#backup-restore-archives-option').style.display = s.archives ? '' : 'none';
+  updateBackupModeUI();
+  backupRestore.style.display = '';
+});
+
+$('#backup-mode-select').addEventListener('change', updateBackupModeUI);
+
+$('#btn-cancel-backup').addEventListener('click', hideBackupRestore);
+
+$('#btn-apply-backup').addEventListener('click', async () => {
+  const mode = $('#backup-mode-select').value;
+  if (mode === 'replace' &&
+      !confirm('Replace all feeds, bundles, tokens, webhooks and settings with the backup? Feeds and webhooks that are not in the backup will be removed.')) {
+    return;
+  }
+  try {
+    const result = await window.api.applyBackup({
+      mode,
+      overwriteConflicts: $('#backup-overwrite-conflicts').checked,
+      includeArchives: $('#backup-restore-archives').checked,
+    });
+    feedTokens = await window.api.getFeedTokens();
+    updateTokenUI();
+    await renderFeeds();
+    openSettings();
+    const skipped = result.skipped ? `, ${result.skipped} conflict(s) kept as they were` : '';
+    const restart = result.settingsChanged ? '. Restart UnSocial to apply server and tunnel settings.' : '';
+    toast(`Restored ${result.imported} feed(s)${skipped}${restart}`, 'success');
+  } catch (err) {
+    toast(err.message || 'Restore failed', 'error');
+  }
+});
+
+const NOTIFICATION_CATEGORY_LABELS = {
+  'scrape-error': 'Scrape errors',
+  stale: 'Stale feeds',
+  session: 'Sessions',
+  tunnel: 'Tunnel',
+  internet: 'Internet',
+  budget: 'Request budget',
+  import: 'Import',
+};
+
+notifFilterFeed.addEventListener('change', () => renderNotifications());
+notifFilterCategory.addEventListener('change', () => renderNotifications());
+
+// Offer only the feeds and categories present in the log, keeping the current pick
+function renderNotificationFilters() {
+  const feedOptions = new Map();
+  const categories = new Set();
+  for (const n of notifications) {
+    if (n.username) {
+      feedOptions.set(`${n.platform}:${n.username}`, `@${n.username} · ${getPlatformInfo(n.platform).label}`);
+    }
+    if (n.category) categories.add(n.category);
+  }
+  const fill = (select, allLabel, options) => {
+    const current = select.value;
+    select.innerHTML = `<option value="">${allLabel}</option>` + options
+      .map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`)
+      .join('');
+    select.value = options.some(([value]) => value === current) ? current : '';
+  };
+  fill(notifFilterFeed, 'All feeds', [...feedOptions].sort((a, b) => a[1].localeCompare(b[1])));
+  fill(notifFilterCategory, 'All categories',
+    [...categories].map((c) => [c, NOTIFICATION_CATEGORY_LABELS[c] || c]));
+}
+
 function renderNotifications() {
   const unresolved = notifications.filter(n => !n.resolved);
   const unresolvedErrors = unresolved.filter(n => n.type === 'error');
@@ -558,18 +1485,28 @@ function renderNotifications() {
 
   updatePublicAccessIcon();
 
+  renderNotificationFilters();
+  const feedFilter = notifFilterFeed.value;
+  const categoryFilter = notifFilterCategory.value;
+  const shown = notifications.filter(n =>
+    (!feedFilter || `${n.platform}:${n.username}` === feedFilter) &&
+    (!categoryFilter || n.category === categoryFilter));
+
   // Render list
-  if (notifications.length === 0) {
-    notifList.innerHTML = '<div class="notif-empty">No notifications</div>';
+  if (shown.length === 0) {
+    const empty = notifications.length === 0 ? 'No notifications' : 'No notifications match these filters';
+    notifList.innerHTML = `<div class="notif-empty">${empty}</div>`;
     return;
   }
 
   notifList.innerHTML = '';
-  for (const n of notifications) {
+  for (const n of shown) {
     const item = document.createElement('div');
     item.className = 'notif-item' + (n.resolved ? ' resolved' : '');
     const icon = n.type === 'error' ? '❌' : n.type === 'warning' ? '⚠️' : 'ℹ️';
-    const timeStr = formatNotifTime(n.timestamp);
+    // Repeats of the same problem are folded into one entry
+    let timeStr = formatNotifTime(n.timestamp);
+    if (n.count > 1) timeStr += ` · ×${n.count}, first ${formatNotifTime(n.firstSeen)}`;
     item.innerHTML = `
       <span class="notif-icon">${icon}</span>
       <div class="notif-body">
@@ -712,51 +1649,131 @@ if (btnTsVerify) {
 
 // ── Token Authentication ────────────────────────────────────────────────
 
-const tokenDisplay = $('#token-display');
 const tokenStatus = $('#token-status');
+const tokenList = $('#token-list');
 const btnTokenGenerate = $('#btn-token-generate');
-const btnTokenCopy = $('#btn-token-copy');
-const btnTokenClear = $('#btn-token-clear');
+const tokenScopeSelect = $('#token-scope-select');
+const tokenScopePicker = $('#token-scope-picker');
+
+function formatTokenScope(t) {
+  if (t.scope === 'all') return 'All feeds';
+  return `${t.scope.length} feed${t.scope.length === 1 ? '' : 's'}: ${t.scope.join(', ')}`;
+}
 
 function updateTokenUI() {
-  if (feedToken) {
-    tokenDisplay.value = feedToken;
-    tokenStatus.textContent = 'Enabled';
+  const live = feedTokens.filter(t => !isTokenExpired(t));
+  if (feedTokens.length) {
+    tokenStatus.textContent = `Enabled · ${live.length} active`;
     tokenStatus.className = 'token-status enabled';
-    btnTokenClear.style.display = '';
-    btnTokenCopy.style.display = '';
   } else {
-    tokenDisplay.value = '';
-    tokenDisplay.placeholder = 'No token set — feeds are public';
     tokenStatus.textContent = 'Disabled';
     tokenStatus.className = 'token-status disabled';
-    btnTokenClear.style.display = 'none';
-    btnTokenCopy.style.display = 'none';
+  }
+
+  if (feedTokens.length === 0) {
+    tokenList.innerHTML = '<div class="filter-preview-empty">No tokens — feeds are public.</div>';
+  } else {
+    tokenList.innerHTML = '';
+    for (const t of feedTokens) {
+      const expired = isTokenExpired(t);
+      const item = document.createElement('div');
+      item.className = 'token-item' + (expired ? ' expired' : '');
+      item.innerHTML = `
+        <div class="token-item-header">
+          <strong>${escapeHtml(t.label)}</strong>
+          ${expired ? '<span class="token-status disabled">Expired</span>' : ''}
+          <button class="btn btn-outline btn-sm btn-token-revoke">Revoke</button>
+        </div>
+        <div class="token-row">
+          <input type="text" class="token-input" value="${escapeHtml(t.token)}" readonly />
+          <button class="btn btn-outline btn-sm btn-token-copy" title="Copy token">📋</button>
+        </div>
+        <div class="token-item-meta">
+          ${escapeHtml(formatTokenScope(t))} · created ${formatTimeAgo(t.createdAt)}
+          · ${t.expiresAt ? `expires ${new Date(t.expiresAt).toLocaleDateString()}` : 'never expires'}
+          · last used ${t.lastUsedAt ? formatTimeAgo(t.lastUsedAt) : 'never'}
+        </div>
+      `;
+      item.querySelector('.btn-token-copy').addEventListener('click', () => {
+        copyToClipboard(t.token);
+        toast('Token copied!', 'success');
+      });
+      item.querySelector('.btn-token-revoke').addEventListener('click', async () => {
+        const last = feedTokens.length === 1;
+        if (!confirm(last
+          ? `Revoke "${t.label}"? It is the last token, so all feed URLs will become publicly accessible.`
+          : `Revoke "${t.label}"? Readers using it will get 401 errors.`)) return;
+        feedTokens = await window.api.revokeFeedToken(t.id);
+        updateTokenUI();
+        await renderFeeds();
+        toast(last ? 'Token revoked — feeds are now public' : `Token "${t.label}" revoked`, 'success');
+      });
+      tokenList.appendChild(item);
+    }
   }
   updateTunnelUrls();
 }
 
-btnTokenGenerate.addEventListener('click', async () => {
-  feedToken = await window.api.generateFeedToken();
-  updateTokenUI();
-  await renderFeeds();
-  toast('Token generated — feed URLs now require authentication', 'success');
-});
-
-btnTokenCopy.addEventListener('click', () => {
-  if (feedToken) {
-    copyToClipboard(feedToken);
-    toast('Token copied!', 'success');
+async function renderTokenScopePicker() {
+  const feeds = await window.api.getFeeds();
+  const bundles = await window.api.getBundles();
+  const groups = groupFeedsByCategory(feeds);
+  tokenScopePicker.innerHTML = '';
+  const addGroup = (title, entries) => {
+    const group = document.createElement('div');
+    group.innerHTML = `<div class="bundle-picker-group-title">${escapeHtml(title)}</div>`;
+    for (const { key, label } of entries) {
+      const option = document.createElement('label');
+      option.className = 'checkbox-option';
+      option.innerHTML = `<input type="checkbox" /> <span>${escapeHtml(label)}</span>`;
+      option.querySelector('input').value = key;
+      group.appendChild(option);
+    }
+    tokenScopePicker.appendChild(group);
+  };
+  for (const category of platformList.map(p => p.category)) {
+    if (!groups[category]) continue;
+    addGroup(category, groups[category].map(f => ({
+      key: f.feedKey || f.username.replace(/\//g, '-'),
+      label: f.alias || f.username,
+    })));
+  }
+  if (bundles.length) {
+    addGroup('Bundles', bundles.map(b => ({ key: b.slug, label: b.name })));
   }
+}
+
+tokenScopeSelect.addEventListener('change', async () => {
+  const selected = tokenScopeSelect.value === 'selected';
+  tokenScopePicker.style.display = selected ? '' : 'none';
+  if (selected) await renderTokenScopePicker();
 });
 
-btnTokenClear.addEventListener('click', async () => {
-  if (!confirm('Remove authentication token? All feed URLs will become publicly accessible.')) return;
-  feedToken = '';
-  await window.api.setFeedToken('');
-  updateTokenUI();
-  await renderFeeds();
-  toast('Token removed — feeds are now public', 'success');
+btnTokenGenerate.addEventListener('click', async () => {
+  const labelInput = $('#token-label-input');
+  const expiryInput = $('#token-expiry-input');
+  const scope = tokenScopeSelect.value === 'all'
+    ? 'all'
+    : [...tokenScopePicker.querySelectorAll('input[type="checkbox"]:checked')].map(cb => cb.value);
+  try {
+    const wasPublic = feedTokens.length === 0;
+    const created = await window.api.createFeedToken({
+      label: labelInput.value,
+      // End of the chosen day, local time
+      expiresAt: expiryInput.value ? new Date(`${expiryInput.value}T23:59:59`).toISOString() : null,
+      scope,
+    });
+    feedTokens = await window.api.getFeedTokens();
+    labelInput.value = '';
+    expiryInput.value = '';
+    updateTokenUI();
+    await renderFeeds();
+    toast(wasPublic
+      ? 'Token created — feed URLs now require authentication'
+      : `Token "${created.label}" created`, 'success');
+  } catch (err) {
+    toast(err.message || 'Failed to create token', 'error');
+  }
 });
 
 const btnSaveFeedPublicBase = $('#btn-save-feed-public-base');
@@ -949,6 +1966,7 @@ async function addFeed() {
 
 async function renderFeeds() {
   const feeds = await window.api.getFeeds();
+  const refreshPlan = await window.api.getRefreshPlan();
 
   feedCount.textContent = `${feeds.length} feed${feeds.length !== 1 ? 's' : ''}`;
 
@@ -973,18 +1991,8 @@ async function renderFeeds() {
   }) : feeds;
 
   // Group feeds by category
-  const groups = {};
-  const groupOrder = ['Instagram', 'Twitter', 'Facebook', 'LinkedIn', 'Custom', 'Text'];
-  for (const feed of filteredFeeds) {
-    const platform = feed.platform || 'instagram';
-    const category = platform === 'twitter' ? 'Twitter' :
-      platform === 'facebook' ? 'Facebook' :
-      platform === 'linkedin' ? 'LinkedIn' :
-      platform === 'txt' ? 'Text' :
-      platform === 'custom' ? 'Custom' : 'Instagram';
-    if (!groups[category]) groups[category] = [];
-    groups[category].push(feed);
-  }
+  const groups = groupFeedsByCategory(filteredFeeds);
+  const groupOrder = platformList.map(p => p.category);
 
   // Render in defined order, then any extras
   const orderedCategories = groupOrder.filter(c => groups[c]);
@@ -1059,59 +2067,47 @@ async function renderFeeds() {
 
   const feedsToShow = activeGroup === 'All' ? filteredFeeds : (groups[activeGroup] || []);
   for (const feed of feedsToShow) {
-    const card = buildFeedCard(feed);
+    const plan = refreshPlan.find(p => p.username === feed.username && p.platform === (feed.platform || 'instagram'));
+    const card = buildFeedCard(feed, plan);
     activeFeedsGrid.appendChild(card);
   }
 
   feedsList.appendChild(activeFeedsGrid);
 }
 
-function buildFeedCard(feed) {
+function buildFeedCard(feed, plan) {
     const card = document.createElement('div');
     card.className = 'feed-card';
     card.dataset.username = feed.username;
     const platform = feed.platform || 'instagram';
+    const platformInfo = getPlatformInfo(platform);
     card.dataset.platform = platform;
     const showLoginBtn = platform === 'custom';
 
-    // Detect stale (>6h), errored feeds, or logged-out platform
+    // Detect stale (past the feed's schedule), errored feeds, or logged-out platform
     const lastCheckedMs = feed.lastChecked ? new Date(feed.lastChecked).getTime() : 0;
-    const staleThresholdMs = feed.boosted ? 2 * 60 * 60 * 1000 : 6 * 60 * 60 * 1000;
-    const isStale = (Date.now() - lastCheckedMs) > staleThresholdMs;
-    const hasError = notifications.some(n => !n.resolved && n.type === 'error' && n.message.includes(`@${feed.username}`));
-    const platformLoggedOut = (platform === 'instagram' && !igLoggedIn) ||
-                              (platform === 'twitter' && !twLoggedIn) ||
-                              (platform === 'facebook' && !fbLoggedIn) ||
-                              (platform === 'linkedin' && !liLoggedIn);
-    // txt and custom feeds never require login, so only mark stale for actual staleness/errors
-    if (isStale || hasError || (platformLoggedOut && platform !== 'txt' && platform !== 'custom')) {
+    const isStale = plan ? plan.stale : (Date.now() - lastCheckedMs) > 6 * 60 * 60 * 1000;
+    const hasError = notifications.some(n => !n.resolved && n.category === 'scrape-error' &&
+      n.username === feed.username && n.platform === platform);
+    // Platforms without a login (txt, custom) are only marked for actual staleness/errors
+    const platformLoggedOut = platformInfo.requiresLogin && !loginState[platformInfo.loginPlatform];
+    if (isStale || hasError || platformLoggedOut) {
       card.classList.add('feed-stale');
     }
 
     const customSourceUrl = feed.fullUrl || feed.url || '';
     const customFavicon = getDomainFaviconUrl(customSourceUrl);
-    const customFallbackLogo = 'https://cdn-icons-png.flaticon.com/512/1006/1006771.png';
-    const platformLogo = platform === 'twitter'
-      ? 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-      : platform === 'facebook'
-        ? 'https://www.facebook.com/images/fb_icon_325x325.png'
-        : platform === 'linkedin'
-          ? 'https://upload.wikimedia.org/wikipedia/commons/c/ca/LinkedIn_logo_initials.png'
-          : platform === 'txt'
-            ? 'https://cdn-icons-png.flaticon.com/512/337/337956.png'
-            : platform === 'custom'
-              ? (customFavicon || customFallbackLogo)
-              : 'https://cdn-icons-png.flaticon.com/512/2111/2111463.png';
-    const isGroup = feed.username.startsWith('groups/');
-    const isEvent = feed.username.startsWith('events/') || feed.username === 'events';
-    const platformLabel = platform === 'twitter' ? 'Twitter' :
-                          platform === 'facebook' ? (isGroup ? 'FB Group' : isEvent ? 'FB Event' : 'Facebook') :
-                          platform === 'linkedin' ? 'LinkedIn' :
-                          platform === 'txt' ? 'Text' :
-                          platform === 'custom' ? 'Custom' : 'Instagram';
+    const customFallbackLogo = platformInfo.logo;
+    const platformLogo = platform === 'custom'
+      ? (customFavicon || customFallbackLogo)
+      : platformInfo.logo;
+    const isGroup = platform === 'facebook' && feed.username.startsWith('groups/');
+    const isEvent = platform === 'facebook' && (feed.username.startsWith('events/') || feed.username === 'events');
+    const platformLabel = isGroup ? 'FB Group' : isEvent ? 'FB Event' : platformInfo.category;
     const feedKey = feed.feedKey || feed.username.replace(/\//g, '-');
-    const tokenSuffix = tokenQueryString('?');
-    const publicUrl = `https://${tunnelDomain}/feed/${feedKey}${tokenSuffix}`;
+    const cardTokens = tokensFor(feedKey);
+    const selectedToken = pickToken(feedKey);
+    let publicUrl = `https://${tunnelDomain}/feed/${feedKey}${tokenQueryString('?', feedKey)}`;
     const timeAgo = formatTimeAgo(feed.lastChecked);
 
     card.innerHTML = `
@@ -1138,8 +2134,20 @@ function buildFeedCard(feed) {
           <div class="feed-meta">
             <span style="font-weight:bold">Latest post ${formatTimeAgo(feed.latestPostDate)}</span>
           </div>
+          <div class="feed-meta">
+            <select class="feed-interval-select" title="How often this feed is refreshed">
+              ${buildIntervalOptions(feed, plan)}
+            </select>
+            ${plan ? `<span class="feed-next-refresh" title="${escapeHtml(describeSchedule(feed, plan))}">${formatNextRefresh(plan.nextRefresh)}</span>` : ''}
+          </div>
           <div class="feed-urls">
             <a class="feed-url feed-url-public" title="Click to copy public URL">${publicUrl}</a>
+            ${cardTokens.length > 1 ? `
+            <select class="feed-token-select" title="Token embedded in the copied URL">
+              ${cardTokens.map(t => `<option value="${t.id}"${selectedToken && t.id === selectedToken.id ? ' selected' : ''}>🔑 ${escapeHtml(t.label)}</option>`).join('')}
+            </select>
+            ` : ''}
+            ${feedTokens.length && !cardTokens.length ? '<span class="feed-token-note">No token covers this feed</span>' : ''}
           </div>
         </div>
       </div>
@@ -1177,6 +2185,21 @@ function buildFeedCard(feed) {
             </svg>
           </span>
         </button>
+        <button class="btn btn-outline btn-icon-action feed-action-btn btn-filters${feed.filters ? ' is-active' : ''}" title="${feed.filters ? 'Filters active — edit' : 'Filters'}" aria-label="Edit feed filters" aria-pressed="${feed.filters ? 'true' : 'false'}">
+          <span class="btn-icon" aria-hidden="true">
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <polygon points="22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3"/>
+            </svg>
+          </span>
+        </button>
+        <button class="btn btn-outline btn-icon-action feed-action-btn btn-history" title="Refresh history" aria-label="Show refresh history">
+          <span class="btn-icon" aria-hidden="true">
+            <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              <circle cx="12" cy="12" r="10"/>
+              <polyline points="12 6 12 12 16 14"/>
+            </svg>
+          </span>
+        </button>
         ${showLoginBtn ? `
         <button class="btn btn-outline btn-icon-action feed-action-btn btn-relogin" title="Log in to Website" aria-label="Log in to Website">
           <span class="btn-icon" aria-hidden="true">
@@ -1205,6 +2228,22 @@ function buildFeedCard(feed) {
       window.api.openExternal(feed.url);
     });
 
+    // Switch the token embedded in this card's URL
+    card.querySelector('.feed-token-select')?.addEventListener('change', (e) => {
+      cardTokenChoice[feedKey] = e.target.value;
+      publicUrl = `https://${tunnelDomain}/feed/${feedKey}${tokenQueryString('?', feedKey)}`;
+      card.querySelector('.feed-url-public').textContent = publicUrl;
+    });
+
+    card.querySelector('.feed-interval-select').addEventListener('change', async (e) => {
+      try {
+        await window.api.setFeedRefreshInterval(feed.username, platform, e.target.value);
+        await renderFeeds();
+      } catch (err) {
+        toast(err.message || 'Failed to change refresh interval', 'error');
+      }
+    });
+
     // Copy URL on click
     card.querySelector('.feed-url-public').addEventListener('click', (e) => {
       e.preventDefault();
@@ -1227,8 +2266,14 @@ function buildFeedCard(feed) {
       const doRename = async () => {
         const newAlias = input.value.trim();
         if (newAlias && newAlias !== currentAlias) {
-          await window.api.renameFeed(feed.username, platform, newAlias);
-          toast('Feed renamed!', 'success');
+          try {
+            await window.api.renameFeed(feed.username, platform, newAlias);
+            // Limited tokens follow the feed's new key
+            feedTokens = await window.api.getFeedTokens();
+            toast('Feed renamed!', 'success');
+          } catch (err) {
+            toast(err.message || 'Failed to rename feed', 'error');
+          }
         }
         await renderFeeds();
       };
@@ -1266,6 +2311,14 @@ function buildFeedCard(feed) {
       }
     });
 
+    card.querySelector('.btn-filters').addEventListener('click', () => {
+      openFiltersEditor(feed);
+    });
+
+    card.querySelector('.btn-history').addEventListener('click', () => {
+      openRefreshHistory(feed);
+    });
+
     card.querySelector('.btn-remove').addEventListener('click', async () => {
       if (!confirm(`Remove feed @${feed.username}?`)) return;
       await window.api.removeFeed(feed.username, platform);
@@ -1318,8 +2371,9 @@ async function refreshAll() {
   try {
     const results = await window.api.refreshAll();
     const ok = results.filter((r) => r.success).length;
-    const fail = results.filter((r) => !r.success).length;
-    toast(`Refreshed ${ok} feed(s)${fail ? `, ${fail} failed` : ''}`, fail ? 'error' : 'success');
+    const deferred = results.filter((r) => r.deferred).length;
+    const fail = results.length - ok - deferred;
+    toast(`Refreshed ${ok} feed(s)${deferred ? `, ${deferred} over budget` : ''}${fail ? `, ${fail} failed` : ''}`, fail ? 'error' : 'success');
     await renderFeeds();
   } catch (err) {
     toast('Failed to refresh feeds', 'error');
@@ -1330,7 +2384,26 @@ async function refreshAll() {
 
 // ── Export OPML ─────────────────────────────────────────────────────────
 
+const opmlExportOverlay = $('#opml-export-overlay');
+const opmlTokenSelect = $('#opml-token-select');
+
 async function exportOpml() {
+  const liveTokens = feedTokens.filter(t => !isTokenExpired(t));
+  if (liveTokens.length === 0) {
+    await doExportOpml(null);
+    return;
+  }
+  opmlTokenSelect.innerHTML = liveTokens.map(t =>
+    `<option value="${escapeHtml(t.id)}">${escapeHtml(t.label)} — ${escapeHtml(formatTokenScope(t))}</option>`
+  ).join('');
+  opmlExportOverlay.style.display = '';
+}
+
+function closeOpmlExport() {
+  opmlExportOverlay.style.display = 'none';
+}
+
+async function doExportOpml(tokenId) {
   setBtnLoading(btnCopyOpml, true);
   try {
     const feeds = await window.api.getFeeds();
@@ -1340,19 +2413,9 @@ async function exportOpml() {
     }
 
     // Group feeds by platform
-    const groups = {};
-    for (const feed of feeds) {
-      const platform = feed.platform || 'instagram';
-      const category = platform === 'twitter' ? 'Twitter' :
-        platform === 'facebook' ? 'Facebook' :
-        platform === 'linkedin' ? 'LinkedIn' :
-        platform === 'txt' ? 'Text' :
-        platform === 'custom' ? 'Custom' : 'Instagram';
-      if (!groups[category]) groups[category] = [];
-      groups[category].push(feed);
-    }
+    const groups = groupFeedsByCategory(feeds);
 
-    const result = await window.api.exportOpml(groups, tunnelDomain);
+    const result = await window.api.exportOpml(groups, tunnelDomain, tokenId);
     if (result.success) {
       const folderName = result.exportDir ? result.exportDir.split(/[/\\]/).pop() : 'folder';
       toast(`Exported ${result.fileCount} OPML file(s) to ${folderName}`, 'success');
@@ -1365,8 +2428,236 @@ async function exportOpml() {
   }
 }
 
+$('#btn-confirm-opml-export').addEventListener('click', async () => {
+  const tokenId = opmlTokenSelect.value;
+  closeOpmlExport();
+  await doExportOpml(tokenId);
+});
+
+$('#btn-close-opml-export').addEventListener('click', closeOpmlExport);
+
+opmlExportOverlay.addEventListener('click', (e) => {
+  if (e.target === opmlExportOverlay) closeOpmlExport();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && opmlExportOverlay.style.display !== 'none') closeOpmlExport();
+});
+
+// ── Import OPML ─────────────────────────────────────────────────────────
+
+const opmlImportOverlay = $('#opml-import-overlay');
+const opmlImportList = $('#opml-import-list');
+const inputOpmlFile = $('#input-opml-file');
+
+const IMPORT_STATUS_LABELS = { new: 'New', duplicate: 'Duplicate', unsupported: 'Unsupported' };
+
+async function openOpmlImport() {
+  const status = await window.api.getOpmlImportStatus();
+  if (status.running) {
+    // Already importing — show where the queue is instead of picking another file
+    $('#opml-import-review').style.display = 'none';
+    renderImportProgress(status);
+    opmlImportOverlay.style.display = '';
+    return;
+  }
+  inputOpmlFile.value = '';
+  inputOpmlFile.click();
+}
+
+function closeOpmlImport() {
+  opmlImportOverlay.style.display = 'none';
+}
+
+// Checkbox values are indices into the review held by the main process
+async function reviewOpmlFile(file) {
+  let importReview;
+  try {
+    importReview = await window.api.reviewOpmlImport(await file.text());
+  } catch (err) {
+    toast(err.message || 'Could not read OPML file', 'error');
+    return;
+  }
+  if (importReview.length === 0) {
+    toast('No feeds found in that file', 'error');
+    return;
+  }
+
+  $('#opml-import-file-name').textContent = file.name;
+  const counts = { new: 0, duplicate: 0, unsupported: 0 };
+  for (const entry of importReview) counts[entry.status]++;
+  $('#opml-import-summary').textContent =
+    `${counts.new} new · ${counts.duplicate} duplicate · ${counts.unsupported} unsupported`;
+
+  opmlImportList.innerHTML = '';
+  importReview.forEach((entry, index) => {
+    const item = document.createElement('label');
+    item.className = 'opml-import-item' + (entry.status === 'new' ? '' : ' skipped');
+    const platformLabel = entry.feed ? getPlatformInfo(entry.feed.platform).label : '';
+    item.innerHTML = `
+      <input type="checkbox" ${entry.status === 'new' ? 'checked' : 'disabled'} />
+      <div class="opml-import-item-info">
+        <span class="opml-import-item-title">${escapeHtml(entry.title)}</span>
+        ${entry.feed ? `<span class="bundle-item-count">· ${escapeHtml(platformLabel)} @${escapeHtml(entry.feed.username)}</span>` : ''}
+        <span class="opml-import-item-source">${escapeHtml(entry.reason || entry.source)}</span>
+      </div>
+      <span class="opml-import-badge ${entry.status}">${IMPORT_STATUS_LABELS[entry.status]}</span>
+    `;
+    item.querySelector('input').value = String(index);
+    opmlImportList.appendChild(item);
+  });
+
+  $('#btn-start-opml-import').disabled = counts.new === 0;
+  $('#btn-opml-import-toggle-all').textContent = 'Select None';
+  $('#opml-import-review').style.display = '';
+  $('#opml-import-progress').style.display = 'none';
+  opmlImportOverlay.style.display = '';
+}
+
+function renderImportProgress(status) {
+  const progress = $('#opml-import-progress');
+  if (!status.running && status.total === 0) {
+    progress.style.display = 'none';
+    return;
+  }
+  progress.style.display = '';
+
+  const done = status.added + status.failed.length;
+  $('#opml-import-progress-count').textContent = `${done} / ${status.total}`;
+  $('#opml-import-bar-fill').style.width = status.total ? `${Math.round((done / status.total) * 100)}%` : '0';
+
+  let text;
+  if (!status.running) {
+    text = `Finished — ${status.added} added, ${status.failed.length} failed.`;
+  } else if (status.current) {
+    text = `Adding ${status.current}… ${status.remaining} more queued.`;
+  } else if (status.nextAt) {
+    const secs = Math.max(0, Math.round((new Date(status.nextAt).getTime() - Date.now()) / 1000));
+    text = `Next feed in ~${secs}s. ${status.remaining} queued.`;
+  } else {
+    text = 'Waiting for the current refresh to finish…';
+  }
+  $('#opml-import-progress-text').textContent = text;
+
+  $('#opml-import-failures').innerHTML = status.failed
+    .map(f => `<div>${escapeHtml(f.title)}: ${escapeHtml(f.error)}</div>`)
+    .join('');
+  $('#btn-cancel-opml-import').style.display = status.running && status.remaining > 0 ? '' : 'none';
+}
+
+$('#btn-import-opml').addEventListener('click', openOpmlImport);
+
+inputOpmlFile.addEventListener('change', () => {
+  const file = inputOpmlFile.files[0];
+  if (file) reviewOpmlFile(file);
+});
+
+$('#btn-opml-import-toggle-all').addEventListener('click', (e) => {
+  const boxes = [...opmlImportList.querySelectorAll('input[type="checkbox"]:not(:disabled)')];
+  const selectAll = boxes.every(cb => !cb.checked);
+  for (const cb of boxes) cb.checked = selectAll;
+  e.target.textContent = selectAll ? 'Select None' : 'Select All';
+});
+
+$('#btn-start-opml-import').addEventListener('click', async () => {
+  const indices = [...opmlImportList.querySelectorAll('input[type="checkbox"]:checked')]
+    .map(cb => Number(cb.value));
+  if (indices.length === 0) {
+    toast('Select at least one feed to import', 'error');
+    return;
+  }
+  const status = await window.api.startOpmlImport(indices);
+  $('#opml-import-review').style.display = 'none';
+  renderImportProgress(status);
+  toast(`Queued ${indices.length} feed${indices.length === 1 ? '' : 's'} for import`, 'success');
+});
+
+$('#btn-cancel-opml-import').addEventListener('click', async () => {
+  const status = await window.api.cancelOpmlImport();
+  renderImportProgress(status);
+  toast('Remaining imports cancelled', 'success');
+});
+
+$('#btn-close-opml-import').addEventListener('click', closeOpmlImport);
+
+opmlImportOverlay.addEventListener('click', (e) => {
+  if (e.target === opmlImportOverlay) closeOpmlImport();
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && opmlImportOverlay.style.display !== 'none') closeOpmlImport();
+});
+
 // ── Helpers ─────────────────────────────────────────────────────────────
 
+function formatDuration(minutes) {
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'}`;
+  if (minutes % 60 === 0) return `${minutes / 60} h`;
+  if (minutes > 60) return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  return `${minutes} min`;
+}
+
+function formatInterval(minutes) {
+  if (minutes === 60) return 'Hourly';
+  if (minutes === 1440) return 'Daily';
+  return `Every ${formatDuration(minutes)}`;
+}
+
+function buildIntervalOptions(feed, plan) {
+  const current = feed.refreshIntervalMinutes || null;
+  const choices = [...refreshSettings.intervalOptions];
+  // Keep a value set through a backup or the API selectable
+  if (current && !choices.includes(current)) choices.push(current);
+  choices.sort((a, b) => a - b);
+  const autoDetail = !current && plan && plan.mode === 'adaptive'
+    ? ` (${formatInterval(plan.intervalMinutes).toLowerCase()})`
+    : (feed.boosted ? ' (boosted)' : '');
+  return [
+    `<option value="auto"${current ? '' : ' selected'}>Refresh: Auto${autoDetail}</option>`,
+    ...choices.map(m => `<option value="${m}"${m === current ? ' selected' : ''}>Refresh: ${formatInterval(m)}</option>`),
+  ].join('');
+}
+
+function formatNextRefresh(next) {
+  const mins = Math.round((new Date(next.at).getTime() - Date.now()) / 60000);
+  if (mins <= 1) return 'Next refresh due now';
+  const span = mins < 60 ? `${mins}m` : mins < 48 * 60 ? `${Math.round(mins / 60)}h` : `${Math.round(mins / 1440)}d`;
+  return `Next refresh ${next.latest ? 'within' : 'in'} ${span}`;
+}
+
+function describeSchedule(feed, plan) {
+  const at = new Date(plan.nextRefresh.at).toLocaleString();
+  if (plan.mode === 'custom') return `Fixed interval — next refresh around ${at}`;
+  if (plan.mode === 'rotation') return `Shared rotation — refreshed by ${at} at the latest`;
+  const cadence = feed.postingIntervalMinutes
+    ? `posts about every ${formatDuration(roundMinutes(feed.postingIntervalMinutes))}`
+    : 'not enough dated posts to estimate a posting rate yet';
+  return `Adaptive: ${cadence} — next refresh around ${at}`;
+}
+
+// Round a long cadence to a readable unit (minutes → hours → days)
+function roundMinutes(minutes) {
+  if (minutes >= 2880) return Math.round(minutes / 1440) * 1440;
+  if (minutes >= 120) return Math.round(minutes / 60) * 60;
+  return minutes;
+}
+
+function getPlatformInfo(platformId) {
+  return platformList.find(p => p.id === (platformId || 'instagram')) ||
+    platformList.find(p => p.id === 'instagram') ||
+    { id: platformId, label: platformId, category: platformId, logo: '', requiresLogin: false };
+}
+
+function groupFeedsByCategory(feeds) {
+  const groups = {};
+  for (const feed of feeds) {
+    const category = getPlatformInfo(feed.platform).category;
+    if (!groups[category]) groups[category] = [];
+    groups[category].push(feed);
+  }
+  return groups;
+}
+
 function setBtnLoading(btn, loading, loadingText) {
   if (!btn) return;
   btn.classList.toggle('is-busy', loading);
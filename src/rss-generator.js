@@ -3,59 +3,54 @@ const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
 const { resolveFeedBaseUrl } = require('./feed-url-base');
+const { getFeedMeta } = require('./platforms');
+const { mergeIntoArchive, loadArchive } = require('./post-archive');
+const { applyFilters } = require('./feed-filters');
+const { cachePostMedia } = require('./media-cache');
 
 /**
  * Generate an RSS/Atom feed XML file for a given profile.
  * Feeds are stored in the app's userData directory under `feeds/`.
- * @param {string} platform - 'instagram' or 'twitter'
+ * The scraped posts are merged into the feed's post archive first and the
+ * XML is built from the archive, so items survive scrapes that miss them.
+ * @param {string} platform - platform id registered in platforms.js
+ * @param {object} [feedEntry] - stored feed entry (per-feed filters etc.)
  */
-async function generateFeed(username, profileData, store, platform) {
+async function generateFeed(username, profileData, store, platform, feedEntry) {
+  if (store.get('mediaCacheEnabled')) {
+    await cachePostMedia(profileData.posts, {
+      includeVideoPosters: store.get('mediaCacheVideoPosters'),
+    });
+  }
+  const { items, newItems, seeded } = mergeIntoArchive(username, profileData.posts, {
+    retention: store.get('archiveRetention'),
+    profile: { fullName: profileData.fullName || '', biography: profileData.biography || '' },
+  });
+  const result = writeFeedFiles(username, profileData, items, store, platform, feedEntry);
+  return { ...result, newItems, seeded };
+}
+
+/**
+ * Re-render a feed's XML from its archive without scraping, e.g. after its
+ * filters change. Returns null when nothing has been archived yet.
+ */
+function rebuildFeed(username, store, platform, feedEntry) {
+  const archive = loadArchive(username);
+  if (!archive.items.length) return null;
+  return writeFeedFiles(username, archive.profile, archive.items, store, platform, feedEntry);
+}
+
+function writeFeedFiles(username, profileData, archivedItems, store, platform, feedEntry) {
   platform = platform || 'instagram';
+  const items = applyFilters(archivedItems, feedEntry && feedEntry.filters);
   const feedDir = getFeedDir();
   if (!fs.existsSync(feedDir)) {
     fs.mkdirSync(feedDir, { recursive: true });
   }
 
   // Platform-specific metadata
-  const platformMeta = {
-    instagram: {
-      siteUrl: `https://www.instagram.com/${username}/`,
-      favicon: 'https://www.instagram.com/static/images/ico/favicon-192.png/68d99ba29cc8.png',
-      label: 'Instagram',
-    },
-    twitter: {
-      siteUrl: `https://x.com/${username}`,
-      favicon: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png',
-      label: 'Twitter / X',
-    },
-    facebook: {
-      siteUrl: `https://www.facebook.com/${username}`,
-      favicon: 'https://www.facebook.com/images/fb_icon_325x325.png',
-      label: username.startsWith('groups/') ? 'Facebook Group' :
-             username.startsWith('events/') ? 'Facebook Event' : 'Facebook',
-    },
-    linkedin: {
-      siteUrl: (username.startsWith('company/') || username.startsWith('showcase/') || username.startsWith('school/'))
-        ? `https://www.linkedin.com/${username}`
-        : `https://www.linkedin.com/in/${username}`,
-      favicon: 'https://upload.wikimedia.org/wikipedia/commons/c/ca/LinkedIn_logo_initials.png',
-      label: username.startsWith('company/') ? 'LinkedIn Company' :
-             username.startsWith('showcase/') ? 'LinkedIn Showcase' :
-             username.startsWith('school/') ? 'LinkedIn School' : 'LinkedIn',
-    },
-    txt: {
-      siteUrl: profileData.biography || '',
-      favicon: 'https://cdn-icons-png.flaticon.com/512/337/337956.png',
-      label: 'Text',
-    },
-    custom: {
-      siteUrl: profileData.biography || `https://${username}`,
-      favicon: 'https://cdn-icons-png.flaticon.com/512/1006/1006771.png',
-      label: 'Custom',
-    },
-  };
-
-  const meta = platformMeta[platform] || platformMeta.instagram;
+  // `username` here is the feed key; the platform wants the profile's own name
+  const meta = getFeedMeta(platform, feedEntry ? feedEntry.username : username, profileData, feedEntry);
   const siteUrl = meta.siteUrl;
   const feedBase = resolveFeedBaseUrl(store);
   const selfUrl = `${feedBase}/feed/${username}`;
@@ -68,12 +63,13 @@ async function generateFeed(username, profileData, store, platform) {
     language: 'en',
     image: meta.favicon,
     favicon: meta.favicon,
-    updated: profileData.posts.length
-      ? new Date(profileData.posts[0].timestamp)
+    updated: items.length
+      ? new Date(items[0].timestamp || items[0].firstSeen)
       : new Date(),
     feedLinks: {
       rss: selfUrl,
       atom: `${selfUrl}?format=atom`,
+      json: `${selfUrl}?format=json`,
     },
     author: {
       name: profileData.fullName || username,
@@ -81,50 +77,170 @@ async function generateFeed(username, profileData, store, platform) {
     },
   });
 
-  for (const post of profileData.posts.slice(0, 10)) {
-    const title = truncate(post.caption || '(no caption)', 120);
-    const imageHtml = post.imageUrl
-      ? `<p><img src="${escapeHtml(post.imageUrl)}" alt="Post image" style="max-width:100%;" /></p>`
-      : '';
-    const videoHtml = post.isVideo && post.videoUrl
-      ? `<p><video src="${escapeHtml(post.videoUrl)}" controls style="max-width:100%;"></video></p>`
-      : '';
-    const captionHtml = post.caption
-      ? `<p>${escapeHtml(post.caption).replace(/\n/g, '<br/>')}</p>`
-      : '';
-    const statsHtml = `<p><small>❤️ ${post.likes} · 💬 ${post.comments}</small></p>`;
-
-    feed.addItem({
-      title,
-      id: post.permalink,
-      link: post.permalink,
-      description: truncate(post.caption || '', 300),
-      content: `${imageHtml}${videoHtml}${captionHtml}${statsHtml}`,
-      date: new Date(post.timestamp),
-      image: post.imageUrl || undefined,
-      author: [
-        {
-          name: profileData.fullName || username,
-          link: siteUrl,
-        },
-      ],
-    });
+  const author = { name: profileData.fullName || username, link: siteUrl };
+  const mediaBase = getMediaBase(store);
+  const entries = items.map((post) => ({ post, item: buildFeedItem(post, author, { mediaBase }) }));
+  for (const { item } of entries) {
+    feed.addItem(item);
   }
 
-  // Write both RSS 2.0 and Atom
+  // Write RSS 2.0, Atom and JSON Feed
   const rssXml = feed.rss2();
   const atomXml = feed.atom1();
+  const json = buildJsonFeed(feed.options, entries);
 
-  fs.writeFileSync(path.join(feedDir, `${username}.rss.xml`), rssXml, 'utf-8');
-  fs.writeFileSync(path.join(feedDir, `${username}.atom.xml`), atomXml, 'utf-8');
+  writeIfChanged(path.join(feedDir, `${username}.rss.xml`), rssXml);
+  writeIfChanged(path.join(feedDir, `${username}.atom.xml`), atomXml);
+  writeIfChanged(path.join(feedDir, `${username}.json`), json);
 
-  return { rss: rssXml, atom: atomXml };
+  return { rss: rssXml, atom: atomXml, json };
+}
+
+/**
+ * Map an archived post to a `feed` package item. When `source` is given
+ * (bundle feeds) the originating feed is named in the title and content.
+ * With `mediaBase` set, cached images are linked from the feed server's
+ * /media route instead of the (expiring) CDN URL.
+ * @param {{ name: string, link: string }} author
+ * @param {{ source?: { name: string, link: string }, mediaBase?: string }} [options]
+ */
+function buildFeedItem(post, author, { source, mediaBase } = {}) {
+  const title = truncate(post.caption || '(no caption)', 120);
+  const imageSrc = mediaBase && post.cachedImage
+    ? `${mediaBase}/media/${post.cachedImage}`
+    : post.imageUrl;
+  const sourceHtml = source
+    ? `<p><small>From <a href="${escapeHtml(source.link)}">${escapeHtml(source.name)}</a></small></p>`
+    : '';
+  // Posts with an embeddable player (YouTube) show it in place of the thumbnail
+  const imageHtml = post.embedUrl
+    ? `<p><iframe src="${escapeHtml(post.embedUrl)}" width="560" height="315" frameborder="0" allowfullscreen style="max-width:100%;"></iframe></p>`
+    : imageSrc
+      ? `<p><img src="${escapeHtml(imageSrc)}" alt="Post image" style="max-width:100%;" /></p>`
+      : '';
+  const videoHtml = post.isVideo && post.videoUrl
+    ? `<p><video src="${escapeHtml(post.videoUrl)}" controls style="max-width:100%;"></video></p>`
+    : '';
+  const captionHtml = post.caption
+    ? `<p>${escapeHtml(post.caption).replace(/\n/g, '<br/>')}</p>`
+    : '';
+  const durationText = post.duration ? ` · ⏱ ${formatDuration(post.duration)}` : '';
+  const flairText = post.flair ? ` · 🏷️ ${escapeHtml(post.flair)}` : '';
+  const viewsText = post.views ? ` · 👁️ ${post.views}` : '';
+  // Reddit posts have a score (upvotes minus downvotes) rather than likes
+  const likesText = post.score !== undefined ? `⬆️ ${post.score}` : `❤️ ${post.likes}`;
+  const statsHtml = `<p><small>${likesText} · 💬 ${post.comments}${durationText}${viewsText}${flairText}</small></p>`;
+  const categories = [source && { name: source.name }, post.flair && { name: post.flair }].filter(Boolean);
+
+  return {
+    title: source ? `[${source.name}] ${title}` : title,
+    id: post.permalink || post.id,
+    link: post.permalink,
+    description: truncate(post.caption || '', 300),
+    content: `${sourceHtml}${imageHtml}${videoHtml}${captionHtml}${statsHtml}`,
+    date: new Date(post.timestamp || post.firstSeen),
+    image: imageSrc || undefined,
+    author: [author],
+    category: categories.length ? categories : undefined,
+  };
+}
+
+/**
+ * Serialise a feed as JSON Feed 1.1 (https://jsonfeed.org/version/1.1).
+ * Engagement counts go in the `_unsocial` extension object.
+ * @param {object} options - the `feed` package options used for RSS/Atom
+ * @param {{ post: object, item: object }[]} entries - archived posts with their built items
+ */
+function buildJsonFeed(options, entries) {
+  const doc = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: options.title,
+    home_page_url: options.link,
+    feed_url: options.feedLinks.json,
+    description: options.description,
+    icon: options.image,
+    favicon: options.favicon,
+    authors: options.author ? [toJsonAuthor(options.author)] : undefined,
+    language: options.language,
+    items: entries.map(({ post, item }) => {
+      const attachments = [];
+      if (item.image) attachments.push({ url: item.image, mime_type: guessMimeType(item.image, 'image/jpeg') });
+      if (post.isVideo && post.videoUrl) attachments.push({ url: post.videoUrl, mime_type: guessMimeType(post.videoUrl, 'video/mp4') });
+      return {
+        id: String(item.id),
+        url: item.link,
+        title: item.title,
+        content_html: item.content,
+        summary: item.description || undefined,
+        image: item.image,
+        date_published: item.date.toISOString(),
+        authors: item.author.map(toJsonAuthor),
+        tags: item.category ? item.category.map((c) => c.name) : undefined,
+        attachments: attachments.length ? attachments : undefined,
+        _unsocial: {
+          likes: post.likes || 0,
+          comments: post.comments || 0,
+          retweets: post.retweets || 0,
+          views: post.views,
+          firstSeen: post.firstSeen,
+        },
+      };
+    }),
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+function toJsonAuthor(author) {
+  return { name: author.name, url: author.link || undefined };
+}
+
+const MIME_BY_EXTENSION = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+  webp: 'image/webp', heic: 'image/heic', mp4: 'video/mp4', webm: 'video/webm',
+  mov: 'video/quicktime', m3u8: 'application/vnd.apple.mpegurl',
+};
+
+function guessMimeType(url, fallback) {
+  const ext = (String(url).split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return (ext && MIME_BY_EXTENSION[ext.toLowerCase()]) || fallback;
+}
+
+/**
+ * Leave unchanged files alone so their mtime (served as Last-Modified) only
+ * moves when the feed content actually changes.
+ */
+function writeIfChanged(filePath, content) {
+  try {
+    if (fs.readFileSync(filePath, 'utf-8') === content) return false;
+  } catch (_) {}
+  fs.writeFileSync(filePath, content, 'utf-8');
+  return true;
+}
+
+/** Origin for cached media links, or null when the media cache is off. */
+function getMediaBase(store) {
+  return store.get('mediaCacheEnabled') ? resolveFeedBaseUrl(store) : null;
 }
 
 function getFeedDir() {
   return path.join(app.getPath('userData'), 'feeds');
 }
 
+/** Delete a removed feed's RSS/Atom/JSON files so the server stops serving them. */
+function deleteFeedFiles(feedKey) {
+  for (const ext of ['rss.xml', 'atom.xml', 'json']) {
+    fs.rmSync(path.join(getFeedDir(), `${feedKey}.${ext}`), { force: true });
+  }
+}
+
+/** 3723 → "1:02:03", 95 → "1:35" */
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(Math.floor(seconds % 60)).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
 function truncate(str, max) {
   if (str.length <= max) return str;
   return str.slice(0, max - 1) + '…';
@@ -138,4 +254,4 @@ function escapeHtml(text) {
     .replace(/"/g, '&quot;');
 }
 
-module.exports = { generateFeed, getFeedDir };
+module.exports = { generateFeed, rebuildFeed, deleteFeedFiles, buildFeedItem, buildJsonFeed, getMediaBase, getFeedDir };
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { app } = require('electron');
+const platforms = require('./platforms');
+
+/**
+ * Scrape job queue with per-platform concurrency limits and request budgets.
+ *
+ * Every scrape goes through scrape(feed). Jobs for one platform run up to its
+ * `concurrency` at a time, oldest first; different platforms run side by side.
+ * Each started scrape counts against the platform's `perHour` / `perDay`
+ * budget (null = unlimited). Start times are kept in
+ * `userData/scrape-usage.json` so a restart doesn't reset the budget.
+ *
+ * Limits come from the platform descriptor's `scrapeLimits`, overridden per
+ * platform by the `scrapeLimits` store key.
+ */
+
+const SCRAPE_TIMEOUT_MS = 180_000; // 3-minute hard cap per scrape
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let store = null;
+const queues = new Map();   // platform id → waiting jobs, oldest first
+const running = new Map();  // platform id → number of scrapes in progress
+const inFlight = new Map(); // "platform:username" → queued + running jobs for that feed
+let usage = {};             // platform id → start times (ms) within the last day
+let wakeTimer = null;
+
+function feedId(feed) {
+  return `${feed.platform || 'instagram'}:${feed.username}`;
+}
+
+// ── Usage log ─────────────────────────────────────────────────────────────
+
+function getUsagePath() {
+  return path.join(app.getPath('userData'), 'scrape-usage.json');
+}
+
+function loadUsage() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getUsagePath(), 'utf-8'));
+    usage = data && typeof data === 'object' ? data : {};
+  } catch (_) {
+    usage = {};
+  }
+}
+
+function saveUsage() {
+  try {
+    fs.writeFileSync(getUsagePath(), JSON.stringify(usage), 'utf-8');
+  } catch (err) {
+    console.error('[Scrape queue] Failed to save usage:', err.message);
+  }
+}
+
+function getStarts(platformId, now = Date.now()) {
+  const starts = (usage[platformId] || []).filter((t) => now - t < DAY_MS);
+  usage[platformId] = starts;
+  return starts;
+}
+
+// ── Limits & budgets ──────────────────────────────────────────────────────
+
+function getLimits(platformId) {
+  const overrides = (store && store.get('scrapeLimits')) || {};
+  return { ...platforms.getScrapeLimits(platformId), ...(overrides[platformId] || {}) };
+}
+
+/** Validate a `{ concurrency, perHour, perDay }` override; blank budgets mean unlimited. */
+function normalizeScrapeLimits(raw) {
+  const concurrency = Number(raw && raw.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 10) {
+    throw new Error('Concurrency must be a whole number from 1 to 10');
+  }
+  const budget = (value, label) => {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`${label} budget must be a positive whole number, or blank for no limit`);
+    return n;
+  };
+  return {
+    concurrency,
+    perHour: budget(raw.perHour, 'Hourly'),
+    perDay: budget(raw.perDay, 'Daily'),
+  };
+}
+
+/** How long until the platform may start another scrape under its budget (0 = now). */
+function getBudgetWaitMs(platformId, now = Date.now()) {
+  const { perHour, perDay } = getLimits(platformId);
+  const starts = getStarts(platformId, now);
+  let wait = 0;
+  if (perDay && starts.length >= perDay) {
+    wait = Math.max(wait, starts[starts.length - perDay] + DAY_MS - now);
+  }
+  const lastHour = starts.filter((t) => now - t < HOUR_MS);
+  if (perHour && lastHour.length >= perHour) {
+    wait = Math.max(wait, lastHour[lastHour.length - perHour] + HOUR_MS - now);
+  }
+  return wait;
+}
+
+function budgetError(platformId, waitMs) {
+  const { label } = platforms.getPlatform(platformId);
+  const err = new Error(`${label} request budget used up — next scrape allowed in ${Math.ceil(waitMs / 60000)} min`);
+  err.code = 'SCRAPE_BUDGET';
+  return err;
+}
+
+// ── Queue ─────────────────────────────────────────────────────────────────
+
+/** True when a scrape for this platform would start right away. */
+function canStart(platformId) {
+  const waiting = (queues.get(platformId) || []).length;
+  return waiting === 0 &&
+    (running.get(platformId) || 0) < getLimits(platformId).concurrency &&
+    getBudgetWaitMs(platformId) === 0;
+}
+
+function trackInFlight(feed, delta) {
+  const count = (inFlight.get(feedId(feed)) || 0) + delta;
+  if (count > 0) {
+    inFlight.set(feedId(feed), count);
+  } else {
+    inFlight.delete(feedId(feed));
+  }
+}
+
+function isInFlight(feed) {
+  return inFlight.has(feedId(feed));
+}
+
+/**
+ * Queue a scrape and resolve with its profileData.
+ * With `waitForBudget` the job waits for budget to free up; otherwise it
+ * fails with code 'SCRAPE_BUDGET' once it reaches the front of the queue
+ * and the budget is spent. `onStart` is called when the scrape leaves the
+ * queue and actually begins.
+ */
+function scrape(feed, { waitForBudget = false, onStart = null } = {}) {
+  const platformId = platforms.getPlatform(feed.platform).id;
+  return new Promise((resolve, reject) => {
+    if (!queues.has(platformId)) queues.set(platformId, []);
+    queues.get(platformId).push({ feed, waitForBudget, onStart, resolve, reject });
+    trackInFlight(feed, 1);
+    pump();
+  });
+}
+
+function pump() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  let nextWake = Infinity;
+
+  for (const [platformId, queue] of queues) {
+    while (queue.length > 0 && (running.get(platformId) || 0) < getLimits(platformId).concurrency) {
+      const wait = getBudgetWaitMs(platformId);
+      if (wait > 0) {
+        // Callers that can't wait are told now; the rest hold their place
+        for (const job of queue.filter((j) => !j.waitForBudget)) {
+          queue.splice(queue.indexOf(job), 1);
+          trackInFlight(job.feed, -1);
+          job.reject(budgetError(platformId, wait));
+        }
+        if (queue.length > 0) nextWake = Math.min(nextWake, wait);
+        break;
+      }
+      start(platformId, queue.shift());
+    }
+  }
+
+  if (nextWake !== Infinity) {
+    wakeTimer = setTimeout(pump, nextWake + 1000);
+  }
+}
+
+function start(platformId, job) {
+  running.set(platformId, (running.get(platformId) || 0) + 1);
+  getStarts(platformId).push(Date.now());
+  saveUsage();
+  if (job.onStart) job.onStart();
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Scrape of @${job.feed.username} timed out after ${SCRAPE_TIMEOUT_MS / 1000}s`)), SCRAPE_TIMEOUT_MS);
+  });
+
+  // The caller hears about a timeout right away, but the slot stays taken
+  // until the scrape itself settles: its hidden window may still be loading
+  // pages, and starting the next scrape beside it would break the limits
+  // (scrapers time out their own page loads, so it does settle)
+  const scrape = platforms.scrapeFeed(job.feed);
+  Promise.race([scrape, timeout])
+    .then(job.resolve, job.reject)
+    .finally(() => clearTimeout(timer));
+  scrape
+    .catch(() => {})
+    .finally(() => {
+      running.set(platformId, running.get(platformId) - 1);
+      trackInFlight(job.feed, -1);
+      pump();
+    });
+}
+
+/**
+ * Save a platform's limits override (null restores the defaults) and let
+ * waiting jobs start if the new limits allow it.
+ */
+function setScrapeLimits(platformId, raw) {
+  const id = platforms.getPlatform(platformId).id;
+  const overrides = { ...(store.get('scrapeLimits') || {}) };
+  if (raw) {
+    overrides[id] = normalizeScrapeLimits(raw);
+  } else {
+    delete overrides[id];
+  }
+  store.set('scrapeLimits', overrides);
+  pump();
+  return getLimits(id);
+}
+
+/** Per-platform limits and current load, for the settings UI. */
+function getQueueStatus() {
+  const now = Date.now();
+  return platforms.listPlatforms().map((p) => {
+    const starts = getStarts(p.id, now);
+    return {
+      platform: p.id,
+      label: p.label,
+      limits: getLimits(p.id),
+      defaults: platforms.getScrapeLimits(p.id),
+      running: running.get(p.id) || 0,
+      queued: (queues.get(p.id) || []).length,
+      usedHour: starts.filter((t) => now - t < HOUR_MS).length,
+      usedDay: starts.length,
+      budgetWaitMs: getBudgetWaitMs(p.id, now),
+    };
+  });
+}
+
+function initScrapeQueue(appStore) {
+  store = appStore;
+  loadUsage();
+}
+
+function stopScrapeQueue() {
+  if (wakeTimer) clearTimeout(wakeTimer);
+  wakeTimer = null;
+}
+
+module.exports = {
+  initScrapeQueue,
+  stopScrapeQueue,
+  scrape,
+  canStart,
+  isInFlight,
+  getBudgetWaitMs,
+  normalizeScrapeLimits,
+  setScrapeLimits,
+  getQueueStatus,
+};
@@ -0,0 +1,172 @@
+const { fetchText } = require('./http-fetch');
+
+/**
+ * Fetch a Bluesky profile's recent posts through the public AppView's XRPC
+ * API (AT Protocol). No login required.
+ *
+ * The handle is resolved to its DID before each scrape. Feeds stay keyed by
+ * the handle they were added with, so an account that changes its handle has
+ * to be re-added (or added by DID, bsky.app/profile/did:plc:…, to begin with).
+ *
+ * Set UNSOCIAL_BSKY_APPVIEW to point at another AppView (e.g. a local mock
+ * XRPC server); it defaults to Bluesky's public one.
+ */
+const DEFAULT_APPVIEW = 'https://public.api.bsky.app';
+
+function getAppViewBase() {
+  return (process.env.UNSOCIAL_BSKY_APPVIEW || DEFAULT_APPVIEW).replace(/\/+$/, '');
+}
+
+async function xrpc(method, params) {
+  const url = `${getAppViewBase()}/xrpc/${method}?${new URLSearchParams(params)}`;
+  const text = await fetchText(url);
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw new Error(`Invalid JSON from ${method}`);
+  }
+}
+
+async function resolveActor(handle) {
+  if (handle.startsWith('did:')) return handle;
+  try {
+    const { did } = await xrpc('com.atproto.identity.resolveHandle', { handle });
+    if (!did) throw new Error('no DID returned');
+    return did;
+  } catch (err) {
+    throw new Error(`Could not resolve Bluesky handle @${handle}: ${err.message}`);
+  }
+}
+
+async function scrapeBlueskyProfile(handle) {
+  const did = await resolveActor(handle);
+  const profile = await xrpc('app.bsky.actor.getProfile', { actor: did });
+  // posts_and_author_threads: the account's posts and self-threads, no replies to others
+  const { feed = [] } = await xrpc('app.bsky.feed.getAuthorFeed', {
+    actor: did,
+    limit: 30,
+    filter: 'posts_and_author_threads',
+  });
+
+  return {
+    username: handle,
+    fullName: profile.displayName || profile.handle || handle,
+    biography: profile.description || '',
+    profilePicUrl: profile.avatar || '',
+    posts: feed.map(toPost),
+    extractionPath: 'xrpc',
+  };
+}
+
+// ── Post mapping ──────────────────────────────────────────────────────────
+
+function postUrl(post) {
+  const rkey = post.uri.split('/').pop();
+  return `https://bsky.app/profile/${post.author.handle || post.author.did}/post/${rkey}`;
+}
+
+/**
+ * Split an embed view into media and a quoted record. recordWithMedia
+ * (a quote post with its own images) carries both.
+ */
+function splitEmbed(embed) {
+  if (!embed) return { media: null, quoted: null };
+  switch (embed.$type) {
+    case 'app.bsky.embed.record#view':
+      return { media: null, quoted: embed.record };
+    case 'app.bsky.embed.recordWithMedia#view':
+      return { media: embed.media, quoted: embed.record && embed.record.record };
+    default:
+      return { media: embed, quoted: null };
+  }
+}
+
+function mediaFields(media) {
+  const fields = { imageUrl: '', images: [], isVideo: false, videoUrl: null };
+  if (!media) return fields;
+  if (media.$type === 'app.bsky.embed.images#view') {
+    fields.images = (media.images || []).map((img) => img.fullsize);
+    fields.imageUrl = fields.images[0] || '';
+  } else if (media.$type === 'app.bsky.embed.video#view') {
+    // Videos are HLS playlists, which feed readers can't play inline
+    fields.imageUrl = media.thumbnail || '';
+    fields.isVideo = true;
+  } else if (media.$type === 'app.bsky.embed.external#view' && media.external) {
+    fields.imageUrl = media.external.thumb || '';
+  }
+  return fields;
+}
+
+function toPost({ post, reason }) {
+  const record = post.record || {};
+  const { media, quoted } = splitEmbed(post.embed);
+  const reposted = reason && reason.$type === 'app.bsky.feed.defs#reasonRepost';
+
+  let caption = record.text || '';
+  if (media && media.$type === 'app.bsky.embed.external#view' && media.external) {
+    caption += `\n\n🔗 ${media.external.title || media.external.uri}\n${media.external.uri}`;
+  }
+  if (quoted && quoted.$type === 'app.bsky.embed.record#viewRecord') {
+    const quotedText = (quoted.value && quoted.value.text) || '';
+    caption += `\n\n❝ Quoting @${quoted.author.handle}: ${quotedText}\n${postUrl(quoted)}`;
+  } else if (quoted) {
+    caption += '\n\n❝ Quoted post unavailable';
+  }
+  caption = caption.trim();
+  if (reposted) caption = `🔁 Reposted @${post.author.handle}:\n${caption}`;
+
+  const fields = mediaFields(media);
+  // A quote of an image post with no media of its own shows the quoted images
+  if (!fields.imageUrl && quoted && Array.isArray(quoted.embeds)) {
+    Object.assign(fields, mediaFields(splitEmbed(quoted.embeds[0]).media));
+  }
+
+  const rkey = post.uri.split('/').pop();
+  return {
+    id: reposted ? `repost-${rkey}` : rkey,
+    shortcode: rkey,
+    caption,
+    timestamp: (reposted && reason.indexedAt) || record.createdAt || post.indexedAt || new Date().toISOString(),
+    ...fields,
+    likes: post.likeCount || 0,
+    comments: post.replyCount || 0,
+    retweets: post.repostCount || 0,
+    permalink: postUrl(post),
+  };
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'bluesky',
+  label: 'Bluesky',
+  category: 'Bluesky',
+  inputHint: 'Bluesky (bsky.app/profile/handle)',
+  favicon: 'https://bsky.app/static/favicon-32x32.png',
+  logo: 'https://bsky.app/static/apple-touch-icon.png',
+  requiresLogin: false,
+  scrapeLimits: { concurrency: 2, perHour: 300, perDay: null },
+
+  parseInput(input) {
+    // Bluesky URL: https://bsky.app/profile/handle.bsky.social or /profile/did:plc:…
+    const bskyMatch = input.match(/^(?:https?:\/\/)?(?:www\.)?bsky\.app\/profile\/([a-zA-Z0-9.:_-]+)/);
+    if (!bskyMatch) return undefined;
+    const actor = bskyMatch[1];
+    if (!actor.startsWith('did:') && !actor.includes('.')) return null;
+    return { username: actor.startsWith('did:') ? actor : actor.toLowerCase(), platform: 'bluesky' };
+  },
+
+  scrape(feed) {
+    return scrapeBlueskyProfile(feed.username);
+  },
+
+  profileUrl(feed) {
+    return `https://bsky.app/profile/${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return { siteUrl: `https://bsky.app/profile/${username}`, label: 'Bluesky' };
+  },
+};
+
+module.exports = { scrapeBlueskyProfile, platform };
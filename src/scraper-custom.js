@@ -809,7 +809,51 @@ async function injectSelector(win) {
   } catch (_) { }
 }
 
-module.exports = { startCustomWizard, scrapeCustomSiteHeadless };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'custom',
+  label: 'Custom',
+  category: 'Custom',
+  inputHint: 'any website URL',
+  favicon: 'https://cdn-icons-png.flaticon.com/512/1006/1006771.png',
+  requiresLogin: false,
+  scrapeLimits: { concurrency: 3, perHour: null, perDay: null },
+  // Catch-all: only consulted after every other platform declined the input.
+  fallback: true,
+
+  parseInput(input) {
+    // Any other URL — treat as custom website (catch-all)
+    // Also match URLs without protocol (e.g. "example.com/page")
+    const anyUrlMatch = input.match(/^(https?:\/\/.+)/i) || input.match(/^([a-zA-Z0-9][-a-zA-Z0-9]*\.[a-zA-Z]{2,}\/.+)/i);
+    if (!anyUrlMatch) return undefined;
+    const fullUrl = anyUrlMatch[1].startsWith('http') ? anyUrlMatch[1] : 'https://' + anyUrlMatch[1];
+    let siteName;
+    try {
+      const u = new URL(fullUrl);
+      const host = u.hostname.replace(/^www\./, '').replace(/\./g, '-');
+      const pathSlug = u.pathname.replace(/^\/|\/$|\.[^.]+$/g, '').replace(/\//g, '-') || '';
+      siteName = pathSlug ? `${host}-${pathSlug}` : host;
+    } catch (_) {
+      siteName = 'custom-feed';
+    }
+    return { username: siteName, platform: 'custom', fullUrl };
+  },
+
+  scrape(feed) {
+    return scrapeCustomSiteHeadless(feed.fullUrl, feed.selector, feed.alias || feed.username, feed.scrollSelector, feed.scrollCount);
+  },
+
+  profileUrl(feed) {
+    return feed.fullUrl || feed.url || '';
+  },
+
+  feedMeta(username, profileData) {
+    return { siteUrl: profileData.biography || `https://${username}`, label: 'Custom' };
+  },
+};
+
+module.exports = { startCustomWizard, scrapeCustomSiteHeadless, platform };
 
 // ── Scroll Step Injection ──────────────────────────────────────────────────
 
@@ -545,4 +545,72 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
-module.exports = { scrapeFacebookProfile };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'facebook',
+  label: 'Facebook',
+  category: 'Facebook',
+  inputHint: 'Facebook',
+  favicon: 'https://www.facebook.com/images/fb_icon_325x325.png',
+  requiresLogin: true,
+  scrapeLimits: { concurrency: 1, perHour: 15, perDay: 150 },
+  resetOrigins: ['https://www.facebook.com', 'https://facebook.com'],
+  resetCookieDomains: ['facebook.com'],
+
+  parseInput(input) {
+    // Facebook group URL: https://www.facebook.com/groups/groupname
+    // Also handles sub-pages: /groups/groupname/events, /groups/groupname/discussion, etc.
+    const fbGroupMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?facebook\.com\/(groups\/[a-zA-Z0-9._-]+)(?:\/(events|discussion|members|about|media|buy_sell_discussion))?/
+    );
+    if (fbGroupMatch) {
+      const groupPath = fbGroupMatch[1]; // e.g. "groups/CalgaryMetalSceneEvents"
+      const subTab = fbGroupMatch[2] || null; // e.g. "events" or null
+      return { username: groupPath, platform: 'facebook', subTab };
+    }
+
+    // Facebook "My Events" page (bare /events with optional query params)
+    //  e.g. https://www.facebook.com/events/?date_filter_option=ANY_DATE&...
+    const fbMyEventsMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?facebook\.com\/events\/?(?:\?.*)?$/
+    );
+    if (fbMyEventsMatch) {
+      const fullUrl = input.startsWith('http') ? input : 'https://www.facebook.com/events/';
+      return { username: 'events', platform: 'facebook', subTab: 'my_events', fullUrl };
+    }
+
+    // Facebook event URL: https://www.facebook.com/events/123456789
+    const fbEventMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?facebook\.com\/(events\/[a-zA-Z0-9._-]+)/
+    );
+    if (fbEventMatch) return { username: fbEventMatch[1], platform: 'facebook' };
+
+    // Facebook page URL: https://www.facebook.com/pagename
+    const fbMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?facebook\.com\/([a-zA-Z0-9._-]+)/
+    );
+    if (!fbMatch) return undefined;
+    const page = fbMatch[1];
+    if (['login', 'groups', 'events', 'watch', 'marketplace', 'gaming', 'pages', 'profile.php'].includes(page)) return null;
+    return { username: page, platform: 'facebook' };
+  },
+
+  scrape(feed) {
+    return scrapeFacebookProfile(feed.username, feed.subTab, feed.fullUrl);
+  },
+
+  profileUrl(feed) {
+    return `https://www.facebook.com/${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return {
+      siteUrl: `https://www.facebook.com/${username}`,
+      label: username.startsWith('groups/') ? 'Facebook Group' :
+             username.startsWith('events/') ? 'Facebook Event' : 'Facebook',
+    };
+  },
+};
+
+module.exports = { scrapeFacebookProfile, platform };
@@ -539,4 +539,59 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-module.exports = { scrapeLinkedInProfile };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+function isOrgIdentifier(username) {
+  return username.startsWith('company/') || username.startsWith('showcase/') || username.startsWith('school/');
+}
+
+const platform = {
+  id: 'linkedin',
+  label: 'LinkedIn',
+  category: 'LinkedIn',
+  inputHint: 'LinkedIn',
+  favicon: 'https://upload.wikimedia.org/wikipedia/commons/c/ca/LinkedIn_logo_initials.png',
+  requiresLogin: true,
+  scrapeLimits: { concurrency: 1, perHour: 10, perDay: 80 },
+  resetOrigins: ['https://www.linkedin.com', 'https://linkedin.com'],
+  resetCookieDomains: ['linkedin.com'],
+
+  parseInput(input) {
+    // LinkedIn profile URL: https://www.linkedin.com/in/username/
+    const liProfileMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/([a-zA-Z0-9._-]+)/
+    );
+    if (liProfileMatch) return { username: liProfileMatch[1], platform: 'linkedin' };
+
+    // LinkedIn company/showcase/school URL: https://www.linkedin.com/company/companyname/ or showcase/school
+    const liOrgMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/((?:company|showcase|school)\/[a-zA-Z0-9._-]+)/
+    );
+    if (liOrgMatch) return { username: liOrgMatch[1], platform: 'linkedin' };
+
+    return undefined;
+  },
+
+  scrape(feed) {
+    return scrapeLinkedInProfile(feed.username);
+  },
+
+  profileUrl(feed) {
+    return isOrgIdentifier(feed.username)
+      ? `https://www.linkedin.com/${feed.username}`
+      : `https://www.linkedin.com/in/${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return {
+      siteUrl: isOrgIdentifier(username)
+        ? `https://www.linkedin.com/${username}`
+        : `https://www.linkedin.com/in/${username}`,
+      label: username.startsWith('company/') ? 'LinkedIn Company' :
+             username.startsWith('showcase/') ? 'LinkedIn Showcase' :
+             username.startsWith('school/') ? 'LinkedIn School' : 'LinkedIn',
+    };
+  },
+};
+
+module.exports = { scrapeLinkedInProfile, platform };
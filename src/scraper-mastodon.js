@@ -0,0 +1,162 @@
+const { fetchText } = require('./http-fetch');
+
+/**
+ * Fetch a Mastodon account's recent public posts through its home instance's
+ * REST API. No login required — public accounts are readable anonymously.
+ *
+ * Feeds are keyed by the full handle (`user@instance`); `fullUrl` is the
+ * profile URL on the account's home instance, and its origin is the API base
+ * (so a local stand-in instance at http://127.0.0.1:PORT works too).
+ *
+ * Replies are left out. Boosts are included, captioned with the original
+ * author; favourites count as likes and boosts as retweets.
+ */
+async function scrapeMastodonAccount(feed) {
+  const { origin } = new URL(feed.fullUrl);
+  const [user] = feed.username.split('@');
+
+  let account;
+  try {
+    account = await fetchJson(`${origin}/api/v1/accounts/lookup?acct=${encodeURIComponent(user)}`);
+  } catch (err) {
+    throw new Error(`Could not find @${feed.username}: ${err.message}`);
+  }
+  const statuses = await fetchJson(
+    `${origin}/api/v1/accounts/${encodeURIComponent(account.id)}/statuses?limit=20&exclude_replies=true`
+  );
+
+  return {
+    username: feed.username,
+    fullName: account.display_name || account.username || user,
+    biography: htmlToText(account.note || ''),
+    profilePicUrl: account.avatar || '',
+    posts: (Array.isArray(statuses) ? statuses : []).map(toPost),
+    extractionPath: 'api',
+  };
+}
+
+async function fetchJson(url) {
+  const text = await fetchText(url);
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw new Error(`Invalid JSON from ${url}`);
+  }
+}
+
+function toPost(status) {
+  // A boost carries the boosted post in `reblog`; counts and media are the original's
+  const original = status.reblog || status;
+  let caption = htmlToText(original.content || '');
+  if (original.spoiler_text) caption = `CW: ${original.spoiler_text}\n\n${caption}`;
+  if (status.reblog) caption = `🔁 Boosted @${original.account.acct}:\n${caption}`;
+
+  const media = original.media_attachments || [];
+  const image = media.find((m) => m.type === 'image') || media[0];
+  const video = media.find((m) => m.type === 'video' || m.type === 'gifv');
+
+  return {
+    id: status.id,
+    shortcode: status.id,
+    caption,
+    timestamp: status.created_at || new Date().toISOString(),
+    imageUrl: image ? (image.type === 'image' ? image.url : image.preview_url) || '' : '',
+    images: media.filter((m) => m.type === 'image').map((m) => m.url),
+    isVideo: !!video,
+    videoUrl: video ? video.url : null,
+    likes: original.favourites_count || 0,
+    comments: original.replies_count || 0,
+    retweets: original.reblogs_count || 0,
+    permalink: original.url || original.uri,
+  };
+}
+
+// ── HTML → text ───────────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+
+/** Statuses and bios are HTML; captions elsewhere in the app are plain text. */
+function htmlToText(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (match, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+      }
+      return ENTITIES[name.toLowerCase()] ?? match;
+    })
+    .trim();
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+// Sites with /@user profile URLs that aren't Mastodon servers
+const NON_MASTODON_HOSTS = ['medium.com', 'tiktok.com', 'youtube.com', 'threads.net', 'threads.com'];
+
+const HOST = '[a-zA-Z0-9.-]+\\.[a-zA-Z]{2,}|localhost|\\d{1,3}(?:\\.\\d{1,3}){3}';
+const PROFILE_URL_RE = new RegExp(`^(?:(https?):\\/\\/)?(${HOST})(:\\d+)?\\/@([a-zA-Z0-9_.-]+)(?:@(${HOST}))?(?:[/?#].*)?$`);
+const HANDLE_RE = new RegExp(`^@([a-zA-Z0-9_.-]+)@(${HOST})$`);
+
+const platform = {
+  id: 'mastodon',
+  label: 'Mastodon',
+  category: 'Mastodon',
+  inputHint: 'Mastodon (https://instance/@user or @user@instance)',
+  favicon: 'https://mastodon.social/favicon.ico',
+  logo: 'https://joinmastodon.org/logos/logo-purple.svg',
+  requiresLogin: false,
+  scrapeLimits: { concurrency: 2, perHour: 120, perDay: null },
+
+  // Any host's /@user URL matches, so platforms whose own URLs use /@user
+  // must come before this one in platforms.js's MATCH_ORDER. verifyInput then checks
+  // the host really is a Mastodon-compatible server.
+  parseInput(input) {
+    const handle = input.match(HANDLE_RE);
+    if (handle) {
+      const host = handle[2].toLowerCase();
+      return { username: `${handle[1]}@${host}`, platform: 'mastodon', fullUrl: `https://${host}/@${handle[1]}` };
+    }
+
+    const m = input.match(PROFILE_URL_RE);
+    if (!m) return undefined;
+    const [, scheme = 'https', rawHost, port = '', user, remoteHost] = m;
+    const host = rawHost.toLowerCase();
+    if (NON_MASTODON_HOSTS.some((h) => host === h || host.endsWith(`.${h}`))) return undefined;
+
+    // https://instance/@user@other.host is another server's account viewed on
+    // this instance — read it from its home server
+    if (remoteHost) {
+      const home = remoteHost.toLowerCase();
+      return { username: `${user}@${home}`, platform: 'mastodon', fullUrl: `${scheme}://${home}/@${user}` };
+    }
+    return { username: `${user}@${host}`, platform: 'mastodon', fullUrl: `${scheme}://${host}${port}/@${user}` };
+  },
+
+  async verifyInput(parsed) {
+    try {
+      const instance = await fetchJson(`${new URL(parsed.fullUrl).origin}/api/v1/instance`);
+      return !!instance && typeof instance === 'object' && !!(instance.uri || instance.domain);
+    } catch (_) {
+      return false;
+    }
+  },
+
+  scrape(feed) {
+    return scrapeMastodonAccount(feed);
+  },
+
+  profileUrl(feed) {
+    return feed.fullUrl || feed.url || '';
+  },
+
+  feedMeta(username, _profileData, feed) {
+    if (feed && feed.fullUrl) return { siteUrl: feed.fullUrl, label: 'Mastodon' };
+    const [user, host] = username.split('@');
+    return { siteUrl: `https://${host}/@${user}`, label: 'Mastodon' };
+  },
+};
+
+module.exports = { scrapeMastodonAccount, platform };
@@ -0,0 +1,155 @@
+const { app } = require('electron');
+const { fetchText } = require('./http-fetch');
+
+/**
+ * Fetch a subreddit's or a Reddit user's recent posts from Reddit's public
+ * JSON listings. No login required.
+ *
+ * Feeds are keyed `r/<subreddit>` or `u/<user>`. Subreddits merge the `new`
+ * and `hot` listings, so posts that climb in score after they've left `new`
+ * still get their score updated in the archive (which the min-score filter
+ * relies on). Users use their `submitted` listing.
+ *
+ * Posts carry the Reddit score as `likes` (and `score`), the comment count,
+ * `flair`, and the preview image, gallery or video.
+ */
+
+const REDDIT = 'https://www.reddit.com';
+
+// Reddit refuses generic user agents
+function requestHeaders() {
+  return { 'User-Agent': `UnSocial/${app.getVersion()} (RSS feed reader)` };
+}
+
+async function fetchJson(url) {
+  const text = await fetchText(url, { headers: requestHeaders() });
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    throw new Error(`Invalid JSON from ${url}`);
+  }
+}
+
+function listingPosts(listing) {
+  return ((listing && listing.data && listing.data.children) || [])
+    .filter((child) => child.kind === 't3')
+    .map((child) => child.data);
+}
+
+async function scrapeRedditFeed(username) {
+  const [kind, name] = username.split('/');
+  const isUser = kind === 'u';
+  const path = isUser ? `/user/${name}` : `/r/${name}`;
+
+  let raw;
+  if (isUser) {
+    raw = listingPosts(await fetchJson(`${REDDIT}${path}/submitted.json?sort=new&limit=50&raw_json=1`));
+  } else {
+    const [newest, hot] = await Promise.all([
+      fetchJson(`${REDDIT}${path}/new.json?limit=50&raw_json=1`),
+      fetchJson(`${REDDIT}${path}/hot.json?limit=50&raw_json=1`),
+    ]);
+    const byId = new Map([...listingPosts(hot), ...listingPosts(newest)].map((p) => [p.id, p]));
+    raw = [...byId.values()].sort((a, b) => b.created_utc - a.created_utc);
+  }
+
+  // Title and description are nice to have; a failed lookup doesn't fail the scrape
+  const about = await fetchJson(`${REDDIT}${path}/about.json?raw_json=1`).catch(() => null);
+  const info = (about && about.data) || {};
+  const subreddit = info.subreddit || {};
+
+  return {
+    username,
+    fullName: isUser ? `u/${name}` : (info.title || `r/${name}`),
+    biography: (isUser ? subreddit.public_description : info.public_description) || '',
+    profilePicUrl: (isUser ? info.icon_img : info.community_icon || info.icon_img) || '',
+    posts: raw.map((p) => toPost(p, isUser)),
+    extractionPath: 'json',
+  };
+}
+
+// ── Post mapping ──────────────────────────────────────────────────────────
+
+function mediaFields(p) {
+  if (p.is_video && p.media && p.media.reddit_video) {
+    return {
+      imageUrl: p.preview?.images?.[0]?.source?.url || '',
+      images: [],
+      isVideo: true,
+      // Reddit's fallback MP4 has no audio track, but plays everywhere
+      videoUrl: p.media.reddit_video.fallback_url || null,
+    };
+  }
+  if (p.is_gallery && p.gallery_data && p.media_metadata) {
+    const images = p.gallery_data.items
+      .map((item) => p.media_metadata[item.media_id])
+      .map((m) => m && m.s && (m.s.u || m.s.gif))
+      .filter(Boolean);
+    return { imageUrl: images[0] || '', images, isVideo: false, videoUrl: null };
+  }
+  const preview = p.preview?.images?.[0]?.source?.url || '';
+  return { imageUrl: preview, images: preview ? [preview] : [], isVideo: false, videoUrl: null };
+}
+
+function toPost(p, isUser) {
+  const lines = [isUser ? `[${p.subreddit_name_prefixed}] ${p.title}` : p.title];
+  if (p.over_18) lines[0] = `[NSFW] ${lines[0]}`;
+  if (p.selftext) lines.push('', p.selftext);
+  // Link posts: keep the target, unless it's just the post itself or its media
+  if (!p.is_self && p.url && !/^https?:\/\/(www\.)?(reddit\.com|i\.redd\.it|v\.redd\.it)\//.test(p.url)) {
+    lines.push('', `🔗 ${p.url}`);
+  }
+
+  return {
+    id: p.name || p.id,
+    shortcode: p.id,
+    caption: lines.join('\n'),
+    timestamp: new Date(p.created_utc * 1000).toISOString(),
+    ...mediaFields(p),
+    likes: p.score || 0,
+    score: p.score || 0,
+    comments: p.num_comments || 0,
+    flair: p.link_flair_text || '',
+    permalink: `${REDDIT}${p.permalink}`,
+  };
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'reddit',
+  label: 'Reddit',
+  category: 'Reddit',
+  inputHint: 'Reddit (r/subreddit, u/user)',
+  favicon: 'https://www.redditstatic.com/desktop2x/img/favicon/android-icon-192x192.png',
+  requiresLogin: false,
+  scrapeLimits: { concurrency: 1, perHour: 60, perDay: null },
+
+  parseInput(input) {
+    // reddit.com/r/sub, reddit.com/user/name, or bare r/sub, u/name
+    const m = input.match(
+      /^(?:(?:https?:\/\/)?(?:www\.|old\.|new\.)?reddit\.com)?\/?(r|u|user)\/([A-Za-z0-9_-]+)(\/.*)?$/i
+    );
+    if (!m) return undefined;
+    // A single post or comment thread isn't a feed
+    if (m[3] && /\/comments\//i.test(m[3])) return null;
+    const kind = m[1].toLowerCase() === 'r' ? 'r' : 'u';
+    return { username: `${kind}/${m[2].toLowerCase()}`, platform: 'reddit' };
+  },
+
+  scrape(feed) {
+    return scrapeRedditFeed(feed.username);
+  },
+
+  profileUrl(feed) {
+    const [kind, name] = feed.username.split('/');
+    return `${REDDIT}/${kind === 'u' ? 'user' : 'r'}/${name}/`;
+  },
+
+  feedMeta(username) {
+    const [kind, name] = username.split('/');
+    return { siteUrl: `${REDDIT}/${kind === 'u' ? 'user' : 'r'}/${name}/`, label: 'Reddit' };
+  },
+};
+
+module.exports = { scrapeRedditFeed, platform };
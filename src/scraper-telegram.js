@@ -0,0 +1,165 @@
+const { fetchText } = require('./http-fetch');
+
+/**
+ * Fetch a public Telegram channel's recent posts from its web preview
+ * (t.me/s/<channel>). No login required.
+ *
+ * The preview is plain server-rendered HTML with the latest ~20 posts, so it
+ * is parsed with regexes rather than a browser window. Reactions are summed
+ * into `likes`; the view counter goes in `views`. Private channels, groups
+ * and channels with the preview turned off have no posts to read.
+ */
+async function scrapeTelegramChannel(channel) {
+  const html = await fetchText(`https://t.me/s/${channel}`);
+  // Without a web preview, t.me/s/ redirects to the plain t.me/ landing page
+  if (!html.includes('tgme_channel_info')) {
+    throw new Error(`t.me/${channel} has no public web preview (private channel, group or unknown name)`);
+  }
+
+  const posts = messageBlocks(html)
+    .map(toPost)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return {
+    username: channel,
+    fullName: htmlToText(matchGroup(html, /class="tgme_channel_info_header_title"[^>]*>([\s\S]*?)<\/div>/)) || channel,
+    biography: htmlToText(matchGroup(html, /class="tgme_channel_info_description"[^>]*>([\s\S]*?)<\/div>/)),
+    profilePicUrl: decodeEntities(matchGroup(html, /<meta property="og:image" content="([^"]*)"/)),
+    posts,
+    extractionPath: 'web-preview',
+  };
+}
+
+// ── HTML parsing ──────────────────────────────────────────────────────────
+
+function matchGroup(str, re) {
+  const m = str.match(re);
+  return m ? m[1] : '';
+}
+
+/** The HTML of each message, from its wrapper to the next one. */
+function messageBlocks(html) {
+  return html.split(/<div class="tgme_widget_message_wrap[^"]*"/).slice(1);
+}
+
+/** `background-image:url('…')` values in a chunk of HTML. */
+function backgroundImages(html) {
+  return [...html.matchAll(/background-image:url\('([^']+)'\)/g)].map((m) => decodeEntities(m[1]));
+}
+
+/** "12.3K" → 12300 */
+function parseCount(text) {
+  const m = (text || '').trim().match(/^([\d.]+)\s*([KM]?)$/i);
+  if (!m) return 0;
+  const scale = { '': 1, k: 1e3, m: 1e6 }[m[2].toLowerCase()];
+  return Math.round(parseFloat(m[1]) * scale);
+}
+
+function toPost(block) {
+  const dataPost = matchGroup(block, /data-post="([^"]+)"/);
+  // Service messages (pinned, title changed) have no data-post
+  if (!dataPost || /class="tgme_widget_message service_message/.test(block)) return null;
+  const postId = dataPost.split('/').pop();
+
+  let caption = htmlToText(matchGroup(block, /<div class="tgme_widget_message_text[^"]*"[^>]*>([\s\S]*?)<\/div>/));
+
+  const preview = matchGroup(block, /(<a class="tgme_widget_message_link_preview"[\s\S]*?<\/a>)/);
+  if (preview) {
+    const url = decodeEntities(matchGroup(preview, /href="([^"]*)"/));
+    const title = htmlToText(matchGroup(preview, /class="link_preview_title"[^>]*>([\s\S]*?)<\/div>/));
+    if (url) caption += `\n\n🔗 ${title || url}\n${url}`;
+  }
+
+  const forwardedFrom = htmlToText(matchGroup(block, /class="tgme_widget_message_forwarded_from_name"[^>]*>([\s\S]*?)<\/a>/));
+  caption = caption.trim();
+  if (forwardedFrom) caption = `🔁 Forwarded from ${forwardedFrom}:\n${caption}`;
+
+  // Albums have one photo_wrap per photo
+  const images = [...block.matchAll(/<a class="tgme_widget_message_photo_wrap[^>]*>/g)]
+    .flatMap((m) => backgroundImages(m[0]));
+  const videoUrl = decodeEntities(matchGroup(block, /<video[^>]+src="([^"]+)"/)) || null;
+  const videoThumb = backgroundImages(matchGroup(block, /(<i class="tgme_widget_message_video_thumb"[^>]*>)/))[0];
+  const previewImage = backgroundImages(matchGroup(preview, /(<i class="link_preview_(?:right_)?image"[^>]*>)/))[0];
+
+  const reactions = [...block.matchAll(/<span class="tgme_reaction[^"]*">[\s\S]*?<\/i>\s*([\d.]+[KM]?)/gi)]
+    .reduce((total, m) => total + parseCount(m[1]), 0);
+  const timestamp = matchGroup(block, /<time[^>]+datetime="([^"]+)"/);
+
+  return {
+    id: postId,
+    shortcode: postId,
+    caption,
+    timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+    timestampEstimated: !timestamp,
+    imageUrl: images[0] || videoThumb || previewImage || '',
+    images,
+    isVideo: !!videoUrl || !!videoThumb,
+    videoUrl,
+    likes: reactions,
+    comments: 0,
+    views: parseCount(htmlToText(matchGroup(block, /<span class="tgme_widget_message_views">([^<]*)<\/span>/))),
+    permalink: `https://t.me/${dataPost}`,
+  };
+}
+
+// ── HTML → text ───────────────────────────────────────────────────────────
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[name.toLowerCase()] ?? match;
+  });
+}
+
+/** Message text is HTML; custom emoji keep their fallback character. */
+function htmlToText(html) {
+  return decodeEntities(html.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).trim();
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+// t.me paths that aren't channels
+const RESERVED_PATHS = ['joinchat', 'c', 'addstickers', 'addemoji', 'addtheme', 'share', 'proxy', 'socks', 'iv', 'setlanguage', 'login'];
+
+const platform = {
+  id: 'telegram',
+  label: 'Telegram',
+  category: 'Telegram',
+  inputHint: 'Telegram public channels (t.me/channel)',
+  favicon: 'https://telegram.org/img/apple-touch-icon.png',
+  logo: 'https://telegram.org/img/t_logo.png',
+  requiresLogin: false,
+  // Channel names share a namespace with Instagram and Twitter usernames
+  feedKeyPrefix: 'telegram',
+  scrapeLimits: { concurrency: 2, perHour: 120, perDay: null },
+
+  parseInput(input) {
+    // t.me/channel, t.me/s/channel, a post link t.me/channel/123; telegram.me too
+    const m = input.match(/^(?:https?:\/\/)?(?:www\.)?(?:t|telegram)\.me\/(?:s\/)?([^/?#]+)(?:[/?#].*)?$/i);
+    if (!m) return undefined;
+    const name = m[1];
+    // Invite links (t.me/+…, joinchat) and private links (t.me/c/…) can't be read
+    if (RESERVED_PATHS.includes(name.toLowerCase()) || !/^[A-Za-z][A-Za-z0-9_]{3,31}$/.test(name)) return null;
+    return { username: name.toLowerCase(), platform: 'telegram' };
+  },
+
+  scrape(feed) {
+    return scrapeTelegramChannel(feed.username);
+  },
+
+  profileUrl(feed) {
+    return `https://t.me/s/${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return { siteUrl: `https://t.me/s/${username}`, label: 'Telegram' };
+  },
+};
+
+module.exports = { scrapeTelegramChannel, platform };
@@ -0,0 +1,289 @@
+const { BrowserWindow } = require('electron');
+
+/**
+ * Scrape a Threads profile using a hidden Electron BrowserWindow, the same
+ * way scraper.js handles Instagram. Threads signs in with the Instagram
+ * account, so the window shares the default session and its login.
+ *
+ * Posts come from the profile's embedded JSON (the `thread_items` the page
+ * is hydrated from), which has timestamps and counts. If that's missing, the
+ * rendered post list is read from the DOM instead.
+ */
+async function scrapeThreadsProfile(username) {
+  const profileUrl = `https://www.threads.net/@${username}`;
+
+  const hidden = new BrowserWindow({
+    width: 1280,
+    height: 900,
+    show: false,
+    webPreferences: {
+      contextIsolation: false,
+      nodeIntegration: false,
+    },
+  });
+
+  try {
+    const result = await loadAndExtract(hidden, profileUrl, username);
+    return result;
+  } finally {
+    if (!hidden.isDestroyed()) hidden.destroy();
+  }
+}
+
+// Runs in the page: collects everything buildProfileData needs
+const EXTRACT_SCRIPT = `
+  (function() {
+    try {
+      var embedded = [];
+      document.querySelectorAll('script[type="application/json"]').forEach(function(s) {
+        if (s.textContent.indexOf('thread_items') === -1) return;
+        try { embedded.push(JSON.parse(s.textContent)); } catch(_) {}
+      });
+
+      var domPosts = [];
+      var seen = new Set();
+      document.querySelectorAll('a[href*="/post/"]').forEach(function(a) {
+        var time = a.querySelector('time');
+        if (!time) return;
+        var match = (a.getAttribute('href') || '').match(/\\/@([^/]+)\\/post\\/([A-Za-z0-9_-]+)/);
+        if (!match || seen.has(match[2])) return;
+        seen.add(match[2]);
+
+        var container = a.closest('[data-pressable-container]') || a.parentElement.parentElement;
+        var lines = [];
+        container.querySelectorAll('span[dir="auto"]').forEach(function(span) {
+          if (span.closest('a')) return;
+          var text = (span.innerText || '').trim();
+          if (text && lines.indexOf(text) === -1) lines.push(text);
+        });
+        var img = Array.prototype.find.call(container.querySelectorAll('img'), function(i) {
+          return !/profile picture/i.test(i.alt || '');
+        });
+        domPosts.push({
+          author: match[1],
+          code: match[2],
+          caption: lines.join('\\n'),
+          timestamp: time.getAttribute('datetime') || null,
+          imageUrl: img ? img.src : '',
+          isVideo: !!container.querySelector('video'),
+        });
+      });
+
+      var meta = function(sel) {
+        var el = document.querySelector(sel);
+        return el ? el.content || '' : '';
+      };
+      return {
+        embedded: embedded,
+        domPosts: domPosts,
+        ogTitle: meta('meta[property="og:title"]'),
+        ogDesc: meta('meta[property="og:description"], meta[name="description"]'),
+        ogImage: meta('meta[property="og:image"]'),
+      };
+    } catch(e) {
+      return { error: e.message, embedded: [], domPosts: [] };
+    }
+  })();
+`;
+
+/**
+ * Navigate to the profile page, wait for it to render, then pull data out.
+ */
+function loadAndExtract(win, profileUrl, username) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error(`Timed out loading @${username}'s Threads profile`));
+    }, 30000);
+
+    let handled = false;
+    win.webContents.on('did-finish-load', async () => {
+      if (handled) return;
+      handled = true;
+      // Give the SPA time to render the post list
+      await sleep(4000);
+
+      try {
+        let profileData = buildProfileData(username, await win.webContents.executeJavaScript(EXTRACT_SCRIPT));
+
+        // If still no posts, scroll down and retry once
+        if (profileData.posts.length === 0) {
+          await win.webContents.executeJavaScript('window.scrollTo(0, document.body.scrollHeight)');
+          await sleep(2500);
+          profileData = buildProfileData(username, await win.webContents.executeJavaScript(EXTRACT_SCRIPT));
+          if (profileData.extractionPath === 'dom') profileData.extractionPath = 'dom-after-scroll';
+        }
+
+        clearTimeout(timeout);
+        resolve(profileData);
+      } catch (err) {
+        clearTimeout(timeout);
+        reject(new Error(`Failed to extract data for @${username}: ${err.message}`));
+      }
+    });
+
+    win.webContents.on('did-fail-load', (_e, code, desc) => {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to load @${username}'s Threads profile: ${desc} (${code})`));
+    });
+
+    win.loadURL(profileUrl);
+  });
+}
+
+/**
+ * Build a unified profile data object from the extraction results.
+ */
+function buildProfileData(username, data) {
+  let fullName = username;
+  if (data.ogTitle) {
+    // "Name (@username) • Threads, Say more"
+    const nameMatch = data.ogTitle.match(/^(.+?)\s*\(@/);
+    fullName = nameMatch ? nameMatch[1].trim() : data.ogTitle.split('•')[0].trim();
+  }
+  const profile = { username, fullName, biography: data.ogDesc || '', profilePicUrl: data.ogImage || '' };
+
+  // ── Try embedded JSON first (has timestamps, counts and full media) ──
+  const richPosts = extractPostsFromEmbeddedJson(data.embedded || [], username);
+  if (richPosts.length > 0) {
+    return { ...profile, posts: richPosts.slice(0, 20), extractionPath: 'embedded-json' };
+  }
+
+  // ── Fall back to the rendered post list ──
+  const now = Date.now();
+  const posts = (data.domPosts || [])
+    .filter((p) => p.author.toLowerCase() === username.toLowerCase())
+    .slice(0, 20)
+    .map((p, i) => ({
+      id: p.code,
+      shortcode: p.code,
+      caption: p.caption || '',
+      timestamp: p.timestamp || new Date(now - i * 3600000).toISOString(),
+      timestampEstimated: !p.timestamp,
+      imageUrl: p.imageUrl || '',
+      isVideo: !!p.isVideo,
+      videoUrl: null,
+      likes: 0,
+      comments: 0,
+      permalink: `https://www.threads.net/@${p.author}/post/${p.code}`,
+    }));
+  return { ...profile, posts, extractionPath: 'dom' };
+}
+
+/**
+ * Collect the profile owner's posts from every `thread_items` array in the
+ * embedded JSON. Each thread's items are the post and the author's own
+ * follow-ups; replies by others aren't part of the profile's thread list.
+ */
+function extractPostsFromEmbeddedJson(blobs, username) {
+  const posts = [];
+  const seen = new Set();
+  for (const items of blobs.flatMap((blob) => findThreadItems(blob))) {
+    for (const item of items) {
+      const post = item && item.post;
+      if (!post || !post.code || seen.has(post.code)) continue;
+      if (!post.user || String(post.user.username).toLowerCase() !== username.toLowerCase()) continue;
+      seen.add(post.code);
+      posts.push(toPost(post));
+    }
+  }
+  return posts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+/**
+ * Recursively find `thread_items` arrays.
+ */
+function findThreadItems(obj, depth = 0, found = []) {
+  if (depth > 20 || !obj || typeof obj !== 'object') return found;
+  if (Array.isArray(obj.thread_items)) {
+    found.push(obj.thread_items);
+    return found;
+  }
+  for (const value of Array.isArray(obj) ? obj : Object.values(obj)) {
+    findThreadItems(value, depth + 1, found);
+  }
+  return found;
+}
+
+function postText(post) {
+  if (post.caption && post.caption.text) return post.caption.text;
+  const fragments = post.text_post_app_info?.text_fragments?.fragments || [];
+  return fragments.map((f) => f.plaintext || '').join('');
+}
+
+function toPost(post) {
+  const info = post.text_post_app_info || {};
+  let caption = postText(post);
+
+  const link = info.link_preview_attachment;
+  if (link && link.url) caption += `\n\n🔗 ${link.title || link.display_url || link.url}\n${link.url}`;
+  const quoted = info.share_info && info.share_info.quoted_post;
+  if (quoted && quoted.user) {
+    caption += `\n\n❝ Quoting @${quoted.user.username}: ${postText(quoted)}\n` +
+      `https://www.threads.net/@${quoted.user.username}/post/${quoted.code}`;
+  }
+
+  // Carousels keep their media on the items; the first one stands in for the post
+  const media = (post.carousel_media && post.carousel_media[0]) || post;
+  const video = media.video_versions && media.video_versions[0];
+
+  return {
+    id: post.pk || post.id || post.code,
+    shortcode: post.code,
+    caption: caption.trim(),
+    timestamp: post.taken_at ? new Date(post.taken_at * 1000).toISOString() : null,
+    imageUrl: media.image_versions2?.candidates?.[0]?.url || '',
+    images: (post.carousel_media || [post])
+      .map((m) => m.image_versions2?.candidates?.[0]?.url)
+      .filter(Boolean),
+    isVideo: !!video,
+    videoUrl: video ? video.url : null,
+    likes: post.like_count || 0,
+    comments: info.direct_reply_count || 0,
+    retweets: info.repost_count || 0,
+    permalink: `https://www.threads.net/@${post.user.username}/post/${post.code}`,
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'threads',
+  label: 'Threads',
+  category: 'Threads',
+  inputHint: 'Threads',
+  favicon: 'https://www.threads.net/favicon.ico',
+  requiresLogin: true,
+  loginPlatform: 'instagram',
+  // Same usernames as Instagram, so `zuck` on both gets two separate feeds
+  feedKeyPrefix: 'threads',
+  scrapeLimits: { concurrency: 1, perHour: 20, perDay: 200 },
+  resetOrigins: ['https://www.threads.net', 'https://www.threads.com'],
+  resetCookieDomains: ['threads.net', 'threads.com'],
+
+  parseInput(input) {
+    // Threads URL: https://www.threads.net/@username (threads.com too)
+    const threadsMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?threads\.(?:net|com)\/@([a-zA-Z0-9._]+)/
+    );
+    if (!threadsMatch) return undefined;
+    return { username: threadsMatch[1], platform: 'threads' };
+  },
+
+  scrape(feed) {
+    return scrapeThreadsProfile(feed.username);
+  },
+
+  profileUrl(feed) {
+    return `https://www.threads.net/@${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return { siteUrl: `https://www.threads.net/@${username}`, label: 'Threads' };
+  },
+};
+
+module.exports = { scrapeThreadsProfile, platform };
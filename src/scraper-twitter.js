@@ -281,4 +281,41 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-module.exports = { scrapeTwitterProfile };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'twitter',
+  label: 'Twitter / X',
+  category: 'Twitter',
+  inputHint: 'Twitter/X',
+  favicon: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png',
+  requiresLogin: true,
+  scrapeLimits: { concurrency: 1, perHour: 30, perDay: 400 },
+  resetOrigins: ['https://x.com', 'https://twitter.com', 'https://api.twitter.com'],
+  resetCookieDomains: ['x.com', 'twitter.com'],
+
+  parseInput(input) {
+    // Twitter / X URL: https://x.com/username or https://twitter.com/username
+    const twitterMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?(x|twitter)\.com\/([a-zA-Z0-9_]+)/
+    );
+    if (!twitterMatch) return undefined;
+    const user = twitterMatch[2];
+    if (['i', 'home', 'explore', 'search', 'settings', 'messages'].includes(user)) return null;
+    return { username: user, platform: 'twitter' };
+  },
+
+  scrape(feed) {
+    return scrapeTwitterProfile(feed.username);
+  },
+
+  profileUrl(feed) {
+    return `https://x.com/${feed.username}`;
+  },
+
+  feedMeta(username) {
+    return { siteUrl: `https://x.com/${username}`, label: 'Twitter / X' };
+  },
+};
+
+module.exports = { scrapeTwitterProfile, platform };
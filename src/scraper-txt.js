@@ -1,4 +1,4 @@
-const { net } = require('electron');
+const { fetchText } = require('./http-fetch');
 
 /**
  * Fetch and parse a remote .txt changelog file into RSS-compatible profile data.
@@ -34,36 +34,6 @@ async function scrapeTxtFile(url) {
   };
 }
 
-// ── HTTP fetch using Electron's net module ────────────────────────────────
-
-function fetchText(url) {
-  return new Promise((resolve, reject) => {
-    try {
-      const request = net.request(url);
-      let body = '';
-
-      request.on('response', (response) => {
-        // Follow redirects are handled automatically by net.request
-        if (response.statusCode >= 400) {
-          reject(new Error(`HTTP ${response.statusCode} fetching ${url}`));
-          return;
-        }
-        response.on('data', (chunk) => {
-          body += chunk.toString('utf-8');
-        });
-        response.on('end', () => resolve(body));
-        response.on('error', (err) => reject(err));
-      });
-
-      request.on('error', (err) => reject(new Error(`Network error fetching ${url}: ${err.message}`)));
-      setTimeout(() => reject(new Error(`Timeout fetching ${url}`)), 15000);
-      request.end();
-    } catch (err) {
-      reject(err);
-    }
-  });
-}
-
 // ── Changelog parser ──────────────────────────────────────────────────────
 
 // Matches lines like:
@@ -172,4 +142,48 @@ function parseChangelog(text, sourceUrl) {
   }));
 }
 
-module.exports = { scrapeTxtFile };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'txt',
+  label: 'Text',
+  category: 'Text',
+  inputHint: '.txt URLs',
+  favicon: 'https://cdn-icons-png.flaticon.com/512/337/337956.png',
+  requiresLogin: false,
+  scrapeLimits: { concurrency: 4, perHour: null, perDay: null },
+
+  parseInput(input) {
+    // .txt URL — any http(s) URL ending in .txt
+    const txtMatch = input.match(/^(https?:\/\/.+\.txt)$/i);
+    if (!txtMatch) return undefined;
+    const fullUrl = txtMatch[1];
+    // Derive a short name from the URL path (e.g. "changelog" from changelog.txt)
+    let fileName;
+    try {
+      const u = new URL(fullUrl);
+      const pathParts = u.pathname.split('/').filter(Boolean);
+      fileName = (pathParts.pop() || 'feed').replace(/\.txt$/i, '');
+      // Prefix with hostname for uniqueness
+      const host = u.hostname.replace(/^www\./, '').replace(/\./g, '-');
+      fileName = `${host}-${fileName}`;
+    } catch (_) {
+      fileName = 'txt-feed';
+    }
+    return { username: fileName, platform: 'txt', fullUrl };
+  },
+
+  scrape(feed) {
+    return scrapeTxtFile(feed.fullUrl || feed.url);
+  },
+
+  profileUrl(feed) {
+    return feed.fullUrl || feed.url || '';
+  },
+
+  feedMeta(_username, profileData) {
+    return { siteUrl: profileData.biography || '', label: 'Text' };
+  },
+};
+
+module.exports = { scrapeTxtFile, platform };
@@ -0,0 +1,256 @@
+const { fetchText } = require('./http-fetch');
+
+/**
+ * Fetch a YouTube channel's recent uploads. No login required.
+ *
+ * The channel's own RSS feed (feeds/videos.xml) lists the latest uploads with
+ * exact publish dates and like counts, but can't tell Shorts, premieres and
+ * scheduled livestreams apart from regular videos and has no durations. So
+ * the channel's Videos, Live and Shorts tabs are read too (from the
+ * `ytInitialData` JSON they're rendered from) to fill in:
+ *
+ *   duration     – seconds, when the tab shows a length
+ *   isShort      – listed on the Shorts tab
+ *   isUpcoming   – scheduled stream or premiere that hasn't started;
+ *                  `scheduledStart` is its start time
+ *
+ * The per-feed filters can then drop Shorts and upcoming streams. Items carry
+ * an `embedUrl` so feed content includes the player. If the RSS feed is
+ * unavailable, posts are built from the tabs alone with estimated dates.
+ */
+
+// Skip the EU cookie-consent interstitial and get English relative dates
+const REQUEST_HEADERS = { Cookie: 'SOCS=CAI', 'Accept-Language': 'en-US,en;q=0.9' };
+
+function channelUrl(username) {
+  return /^(channel|c|user)\//.test(username)
+    ? `https://www.youtube.com/${username}`
+    : `https://www.youtube.com/@${username}`;
+}
+
+async function fetchInitialData(url) {
+  const html = await fetchText(url, { headers: REQUEST_HEADERS });
+  const match = html.match(/ytInitialData\s*=\s*(\{[\s\S]*?\});\s*<\/script>/);
+  if (!match) throw new Error(`No channel data found at ${url}`);
+  return JSON.parse(match[1]);
+}
+
+async function scrapeYouTubeChannel(username) {
+  const base = channelUrl(username);
+  const videosTab = await fetchInitialData(`${base}/videos`);
+  const meta = videosTab.metadata?.channelMetadataRenderer || {};
+  const channelId = meta.externalId || (username.startsWith('channel/') ? username.slice('channel/'.length) : null);
+  if (!channelId) throw new Error(`Could not find the channel ID for ${base}`);
+
+  // The Live and Shorts tabs are optional — channels without them 404 or redirect
+  const [streamsTab, shortsTab, rss] = await Promise.all([
+    fetchInitialData(`${base}/streams`).catch(() => null),
+    fetchInitialData(`${base}/shorts`).catch(() => null),
+    fetchText(`https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`).catch(() => null),
+  ]);
+
+  const tabVideos = new Map();
+  for (const tab of [videosTab, streamsTab]) {
+    for (const video of collectVideos(tab)) tabVideos.set(video.videoId, { ...tabVideos.get(video.videoId), ...video });
+  }
+  const shortIds = new Set(collectShortIds(shortsTab));
+
+  const entries = rss ? parseRssEntries(rss) : [];
+  const posts = entries.length
+    ? entries.map((entry) => toPost(entry, tabVideos.get(entry.videoId), shortIds))
+    : fallbackPosts(tabVideos, shortIds);
+
+  return {
+    username,
+    fullName: meta.title || username,
+    biography: meta.description || '',
+    profilePicUrl: meta.avatar?.thumbnails?.[0]?.url || '',
+    posts: posts.slice(0, 30),
+    extractionPath: entries.length ? 'rss' : 'page',
+  };
+}
+
+// ── ytInitialData ─────────────────────────────────────────────────────────
+
+function textOf(value) {
+  if (!value) return '';
+  if (value.simpleText) return value.simpleText;
+  return (value.runs || []).map((r) => r.text).join('');
+}
+
+/** "1:02:03" → 3723 */
+function parseDuration(text) {
+  if (!/^\d+(:\d{1,2}){1,2}$/.test(text || '')) return null;
+  return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+function walk(node, visit, depth = 0) {
+  if (depth > 40 || !node || typeof node !== 'object') return;
+  for (const [key, value] of Object.entries(node)) {
+    visit(key, value);
+    walk(value, visit, depth + 1);
+  }
+}
+
+/** Every videoRenderer on a tab, reduced to the fields the posts need. */
+function collectVideos(initialData) {
+  const videos = [];
+  walk(initialData, (key, r) => {
+    if ((key !== 'videoRenderer' && key !== 'gridVideoRenderer') || !r.videoId) return;
+    const overlay = (r.thumbnailOverlays || [])
+      .map((o) => o.thumbnailOverlayTimeStatusRenderer)
+      .find(Boolean);
+    const startTime = Number(r.upcomingEventData?.startTime);
+    videos.push({
+      videoId: r.videoId,
+      title: textOf(r.title),
+      description: textOf(r.descriptionSnippet),
+      publishedText: textOf(r.publishedTimeText),
+      duration: parseDuration(textOf(r.lengthText) || textOf(overlay?.text)),
+      isShort: overlay?.style === 'SHORTS',
+      scheduledStart: startTime ? new Date(startTime * 1000).toISOString() : null,
+    });
+  });
+  return videos;
+}
+
+function collectShortIds(initialData) {
+  const ids = [];
+  walk(initialData, (key, r) => {
+    if (key === 'reelItemRenderer' && r.videoId) ids.push(r.videoId);
+    if (key === 'shortsLockupViewModel') {
+      const id = r.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId;
+      if (id) ids.push(id);
+    }
+  });
+  return ids;
+}
+
+// ── RSS ───────────────────────────────────────────────────────────────────
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseRssEntries(xml) {
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+    return m ? decodeXml(m[1].trim()) : '';
+  };
+  const attr = (block, name, attribute) => {
+    const m = block.match(new RegExp(`<${name}\\s[^>]*${attribute}="([^"]*)"`));
+    return m ? decodeXml(m[1]) : '';
+  };
+  return (xml.match(/<entry>[\s\S]*?<\/entry>/g) || []).map((block) => ({
+    videoId: tag(block, 'yt:videoId'),
+    title: tag(block, 'title'),
+    description: tag(block, 'media:description'),
+    published: tag(block, 'published'),
+    thumbnail: attr(block, 'media:thumbnail', 'url'),
+    likes: Number(attr(block, 'media:starRating', 'count')) || 0,
+  })).filter((e) => e.videoId);
+}
+
+// ── Posts ─────────────────────────────────────────────────────────────────
+
+function buildPost({ videoId, title, description, timestamp, thumbnail, likes }, tab, shortIds) {
+  const scheduledStart = tab?.scheduledStart || null;
+  let caption = description ? `${title}\n\n${description}` : title;
+  if (scheduledStart) caption = `🔴 Upcoming — starts ${scheduledStart.replace('T', ' ').slice(0, 16)} UTC\n${caption}`;
+  return {
+    id: videoId,
+    shortcode: videoId,
+    caption,
+    timestamp,
+    imageUrl: thumbnail || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+    isVideo: true,
+    videoUrl: null,
+    embedUrl: `https://www.youtube-nocookie.com/embed/${videoId}`,
+    duration: tab?.duration ?? null,
+    isShort: shortIds.has(videoId) || !!tab?.isShort,
+    isUpcoming: !!scheduledStart && new Date(scheduledStart).getTime() > Date.now(),
+    scheduledStart,
+    likes,
+    comments: 0,
+    permalink: `https://www.youtube.com/watch?v=${videoId}`,
+  };
+}
+
+function toPost(entry, tab, shortIds) {
+  return buildPost({ ...entry, timestamp: entry.published || new Date().toISOString() }, tab, shortIds);
+}
+
+const UNIT_MS = { second: 1e3, minute: 6e4, hour: 36e5, day: 864e5, week: 6048e5, month: 2592e6, year: 31536e6 };
+
+/** "3 days ago" / "Streamed 2 weeks ago" → ISO date, or null */
+function parseRelativeTime(text, now = Date.now()) {
+  const m = (text || '').match(/(\d+)\s+(second|minute|hour|day|week|month|year)s?\s+ago/);
+  return m ? new Date(now - Number(m[1]) * UNIT_MS[m[2]]).toISOString() : null;
+}
+
+/** Posts from the tabs alone when the RSS feed can't be fetched. */
+function fallbackPosts(tabVideos, shortIds) {
+  const now = Date.now();
+  return [...tabVideos.values()].map((video, i) => {
+    const published = parseRelativeTime(video.publishedText, now);
+    return {
+      ...buildPost({
+        videoId: video.videoId,
+        title: video.title,
+        description: video.description,
+        timestamp: published || video.scheduledStart || new Date(now - i * 3600000).toISOString(),
+        likes: 0,
+      }, video, shortIds),
+      timestampEstimated: true,
+    };
+  });
+}
+
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'youtube',
+  label: 'YouTube',
+  category: 'YouTube',
+  inputHint: 'YouTube channels (@handle, /channel/UC…, /c/…)',
+  favicon: 'https://www.youtube.com/s/desktop/favicon_144x144.png',
+  logo: 'https://www.youtube.com/favicon.ico',
+  requiresLogin: false,
+  // @handles share a namespace with Instagram and Twitter usernames
+  feedKeyPrefix: 'youtube',
+  scrapeLimits: { concurrency: 2, perHour: 60, perDay: null },
+
+  parseInput(input) {
+    // Channel URLs: youtube.com/@handle, /channel/UC…, /c/name, /user/name
+    const ytMatch = input.match(
+      /^(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/(@[\w.-]+|channel\/UC[\w-]{22}|c\/[\w.-]+|user\/[\w.-]+)(?:[/?#].*)?$/
+    );
+    if (!ytMatch) {
+      // Any other youtube.com page (a video, a playlist) isn't a channel
+      return /^(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com|youtu\.be)\//.test(input) ? null : undefined;
+    }
+    return { username: ytMatch[1].replace(/^@/, ''), platform: 'youtube' };
+  },
+
+  scrape(feed) {
+    return scrapeYouTubeChannel(feed.username);
+  },
+
+  profileUrl(feed) {
+    return channelUrl(feed.username);
+  },
+
+  feedMeta(username) {
+    return { siteUrl: channelUrl(username), label: 'YouTube' };
+  },
+};
+
+module.exports = { scrapeYouTubeChannel, platform };
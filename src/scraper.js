@@ -181,6 +181,7 @@ function loadAndExtract(win, profileUrl, username) {
               comments: 0,
               permalink: `https://www.instagram.com/p/${p.shortcode}/`,
             }));
+            profileData.extractionPath = 'dom-after-scroll';
             await enrichPostDetails(win, profileData.posts.slice(0, 12));
           }
         }
@@ -220,13 +221,13 @@ function buildProfileData(username, data) {
   // ── Try embedded JSON first (has rich data with timestamps, likes, etc.) ──
   const richPosts = extractPostsFromEmbeddedJson(data.embeddedPosts || []);
   if (richPosts.length > 0) {
-    return { username, fullName, biography, profilePicUrl, posts: richPosts.slice(0, 20) };
+    return { username, fullName, biography, profilePicUrl, posts: richPosts.slice(0, 20), extractionPath: 'embedded-json' };
   }
 
   // ── Try sharedData / additionalData ──
   const sharedPosts = extractFromSharedData(data.sharedData, data.additionalData);
   if (sharedPosts.length > 0) {
-    return { username, fullName, biography, profilePicUrl, posts: sharedPosts.slice(0, 20) };
+    return { username, fullName, biography, profilePicUrl, posts: sharedPosts.slice(0, 20), extractionPath: 'shared-data' };
   }
 
   // ── Fall back to DOM-scraped post links ──
@@ -248,7 +249,7 @@ function buildProfileData(username, data) {
     }
   }
 
-  return { username, fullName, biography, profilePicUrl, posts };
+  return { username, fullName, biography, profilePicUrl, posts, extractionPath: 'dom' };
 }
 
 /**
@@ -407,4 +408,45 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-module.exports = { scrapeInstagramProfile };
+// ── Platform registration (see platforms.js) ──────────────────────────────
+
+const platform = {
+  id: 'instagram',
+  label: 'Instagram',
+  category: 'Instagram',
+  inputHint: 'Instagram',
+  favicon: 'https://www.instagram.com/static/images/ico/favicon-192.png/68d99ba29cc8.png',
+  logo: 'https://cdn-icons-png.flaticon.com/512/2111/2111463.png',
+  requiresLogin: true,
+  scrapeLimits: { concurrency: 1, perHour: 20, perDay: 200 },
+  resetOrigins: ['https://www.instagram.com', 'https://instagram.com'],
+  resetCookieDomains: ['instagram.com'],
+
+  parseInput(input) {
+    // Instagram URL: https://www.instagram.com/username/
+    const igMatch = input.match(
+      /(?:https?:\/\/)?(?:www\.)?instagram\.com\/([a-zA-Z0-9._]+)/
+    );
+    if (igMatch) return { username: igMatch[1], platform: 'instagram' };
+
+    // Bare @username or username — default to Instagram
+    const bare = input.replace(/^@/, '');
+    if (/^[a-zA-Z0-9._]{1,30}$/.test(bare)) return { username: bare, platform: 'instagram' };
+
+    return undefined;
+  },
+
+  scrape(feed) {
+    return scrapeInstagramProfile(feed.username);
+  },
+
+  profileUrl(feed) {
+    return `https://www.instagram.com/${feed.username}/`;
+  },
+
+  feedMeta(username) {
+    return { siteUrl: `https://www.instagram.com/${username}/`, label: 'Instagram' };
+  },
+};
+
+module.exports = { scrapeInstagramProfile, platform };
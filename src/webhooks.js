@@ -0,0 +1,362 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+const { postText } = require('./http-fetch');
+const { applyFilters } = require('./feed-filters');
+const { getMediaBase } = require('./rss-generator');
+const { resolveFeedBaseUrl } = require('./feed-url-base');
+const platforms = require('./platforms');
+
+/**
+ * Outbound webhooks for newly archived posts.
+ *
+ * Webhooks live in the store as
+ *
+ *   webhooks: [{ id, label, url, secret, scope, enabled }]
+ *
+ * where `scope` is 'all' or an array of `{ username, platform }` feeds. Each
+ * refresh that archives new posts queues one delivery per matching webhook.
+ * Deliveries are retried with backoff and kept, with their outcome, in
+ * `userData/webhooks.json` so the queue and the log survive restarts.
+ *
+ * Bodies are signed with HMAC-SHA256 of the raw JSON using the webhook's
+ * secret, sent as `X-UnSocial-Signature-256: sha256=<hex>`.
+ */
+
+// Wait after the 1st, 2nd, … failed attempt; a delivery gives up after the last one
+const RETRY_DELAYS_MS = [30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3, 2 * 3600e3, 6 * 3600e3];
+const MAX_LOG_ENTRIES = 200;
+const MAX_ITEMS_PER_DELIVERY = 50;
+
+let deliveries = [];          // newest first
+let timer = null;
+let timers = { setTimeout, clearTimeout }; // replaced in tests
+let processing = false;
+let notifyChange = () => {};
+
+function getStatePath() {
+  return path.join(app.getPath('userData'), 'webhooks.json');
+}
+
+function loadState() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getStatePath(), 'utf-8'));
+    deliveries = Array.isArray(data.deliveries) ? data.deliveries : [];
+  } catch (_) {
+    deliveries = [];
+  }
+}
+
+function saveState() {
+  const filePath = getStatePath();
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, JSON.stringify({ deliveries }), 'utf-8');
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    console.error('[Webhooks] Failed to save delivery log:', err.message);
+  }
+}
+
+function changed() {
+  saveState();
+  notifyChange();
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function inScope(webhook, feed) {
+  if (webhook.scope === 'all') return true;
+  const platform = feed.platform || 'instagram';
+  return Array.isArray(webhook.scope) &&
+    webhook.scope.some((m) => m.username === feed.username && (m.platform || 'instagram') === platform);
+}
+
+// ── Configuration ─────────────────────────────────────────────────────────
+
+/**
+ * Validate a webhook coming from the renderer. `existingId` is the webhook
+ * being edited (null when creating); a blank secret keeps the old one.
+ */
+function normalizeWebhook(store, raw, existingId) {
+  const url = String((raw && raw.url) || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    throw new Error('Enter a valid webhook URL');
+  }
+  if (!/^https?:$/.test(parsed.protocol)) throw new Error('Webhook URL must be http or https');
+
+  const existing = existingId ? (store.get('webhooks') || []).find((w) => w.id === existingId) : null;
+  if (existingId && !existing) throw new Error('Webhook not found');
+
+  let scope = 'all';
+  if (Array.isArray(raw.scope)) {
+    scope = raw.scope
+      .map((m) => ({ username: m.username, platform: m.platform || 'instagram' }))
+      .filter((m) => store.get('feeds').some((f) => f.username === m.username &&
+        (f.platform || 'instagram') === m.platform));
+    if (scope.length === 0) throw new Error('Pick at least one feed, or send all feeds');
+  }
+
+  return {
+    id: existing ? existing.id : crypto.randomBytes(8).toString('hex'),
+    label: String(raw.label || '').trim() || parsed.host,
+    url,
+    secret: String(raw.secret || '').trim() || (existing ? existing.secret : generateSecret()),
+    scope,
+    enabled: raw.enabled !== false,
+  };
+}
+
+// ── Payloads ──────────────────────────────────────────────────────────────
+
+function describeFeed(store, feed) {
+  const feedKey = platforms.feedKeyOf(feed);
+  return {
+    username: feed.username,
+    platform: feed.platform || 'instagram',
+    alias: feed.alias || feed.username,
+    feedKey,
+    profileUrl: platforms.getProfileUrl(feed) || null,
+    feedUrl: `${resolveFeedBaseUrl(store)}/feed/${feedKey}`,
+  };
+}
+
+function describeItem(post, mediaBase) {
+  const media = [];
+  if (post.imageUrl) {
+    media.push({
+      type: 'image',
+      url: post.imageUrl,
+      cachedUrl: post.cachedImage && mediaBase ? `${mediaBase}/media/${post.cachedImage}` : null,
+    });
+  }
+  if (post.isVideo && post.videoUrl) media.push({ type: 'video', url: post.videoUrl });
+  return {
+    id: post.id,
+    permalink: post.permalink || null,
+    caption: post.caption || '',
+    timestamp: post.timestamp || post.firstSeen,
+    isVideo: !!post.isVideo,
+    likes: post.likes ?? null,
+    comments: post.comments ?? null,
+    media,
+  };
+}
+
+function enqueue(webhook, event, summary, payload) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const body = JSON.stringify({ event, deliveryId: id, createdAt: new Date().toISOString(), ...payload });
+  deliveries.unshift({
+    id,
+    webhookId: webhook.id,
+    label: webhook.label,
+    url: webhook.url,
+    event,
+    summary,
+    status: 'pending',
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastAttemptAt: null,
+    nextAttemptAt: new Date().toISOString(),
+    responseStatus: null,
+    lastError: null,
+    body,
+  });
+}
+
+/**
+ * Queue deliveries for posts a refresh archived for the first time.
+ * The feed's own filters apply, so webhooks only see what the feed publishes.
+ */
+function dispatchNewPosts(store, feed, newItems) {
+  const items = applyFilters(newItems || [], feed.filters);
+  if (items.length === 0) return 0;
+  const hooks = (store.get('webhooks') || []).filter((w) => w.enabled && inScope(w, feed));
+  if (hooks.length === 0) return 0;
+
+  const mediaBase = getMediaBase(store);
+  const payload = {
+    feed: describeFeed(store, feed),
+    items: items.slice(0, MAX_ITEMS_PER_DELIVERY).map((post) => describeItem(post, mediaBase)),
+  };
+  const summary = `${payload.items.length} new post${payload.items.length === 1 ? '' : 's'} from @${feed.username}`;
+  for (const webhook of hooks) {
+    enqueue(webhook, 'new-posts', summary, payload);
+  }
+  changed();
+  processQueue(store);
+  return hooks.length;
+}
+
+/** Queue a `ping` delivery so a receiver can be checked without waiting for posts. */
+function sendTestDelivery(store, webhookId) {
+  const webhook = (store.get('webhooks') || []).find((w) => w.id === webhookId);
+  if (!webhook) throw new Error('Webhook not found');
+  enqueue(webhook, 'ping', 'Test delivery', { message: 'Webhook test from UnSocial' });
+  changed();
+  processQueue(store);
+}
+
+// ── Delivery queue ────────────────────────────────────────────────────────
+
+async function attempt(store, delivery) {
+  const webhook = (store.get('webhooks') || []).find((w) => w.id === delivery.webhookId);
+  delivery.attempts++;
+  delivery.lastAttemptAt = new Date().toISOString();
+
+  if (!webhook) {
+    finish(delivery, 'failed', 'Webhook was deleted');
+    return;
+  }
+  // Queued retries stop with the webhook; the body is kept, so they can be retried by hand
+  if (!webhook.enabled) {
+    finish(delivery, 'failed', 'Webhook is disabled');
+    return;
+  }
+
+  // Sent to the webhook's current URL and secret, so fixing a typo rescues queued retries
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': `UnSocial-Webhook/${app.getVersion()}`,
+    'X-UnSocial-Event': delivery.event,
+    'X-UnSocial-Delivery': delivery.id,
+  };
+  if (webhook.secret) headers['X-UnSocial-Signature-256'] = sign(webhook.secret, delivery.body);
+  delivery.url = webhook.url;
+
+  let retryable = true;
+  let error;
+  try {
+    const res = await postText(webhook.url, delivery.body, { headers });
+    delivery.responseStatus = res.statusCode;
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      finish(delivery, 'delivered', null);
+      return;
+    }
+    error = `HTTP ${res.statusCode}${res.body ? `: ${res.body.slice(0, 200)}` : ''}`;
+    // Other client errors mean the request itself is wrong; retrying won't help
+    retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+  } catch (err) {
+    delivery.responseStatus = null;
+    error = err.message;
+  }
+
+  const delay = RETRY_DELAYS_MS[delivery.attempts - 1];
+  if (retryable && delay !== undefined) {
+    delivery.status = 'retrying';
+    delivery.lastError = error;
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  } else {
+    finish(delivery, 'failed', error);
+  }
+}
+
+function finish(delivery, status, error) {
+  delivery.status = status;
+  delivery.lastError = error;
+  delivery.nextAttemptAt = null;
+  // Failed bodies are kept so they can be retried by hand
+  if (status === 'delivered') delete delivery.body;
+}
+
+function isQueued(d) {
+  return d.status === 'pending' || d.status === 'retrying';
+}
+
+function trimLog() {
+  let finished = 0;
+  deliveries = deliveries.filter((d) => isQueued(d) || ++finished <= MAX_LOG_ENTRIES);
+}
+
+async function processQueue(store) {
+  if (processing) return;
+  processing = true;
+  if (timer) {
+    timers.clearTimeout(timer);
+    timer = null;
+  }
+  try {
+    // Oldest first; re-check after each send since new deliveries may arrive
+    for (;;) {
+      const now = Date.now();
+      const due = deliveries
+        .filter((d) => isQueued(d) && new Date(d.nextAttemptAt).getTime() <= now)
+        .pop();
+      if (!due) break;
+      await attempt(store, due);
+      trimLog();
+      changed();
+    }
+  } finally {
+    processing = false;
+    scheduleNext(store);
+  }
+}
+
+function scheduleNext(store) {
+  const next = deliveries
+    .filter(isQueued)
+    .map((d) => new Date(d.nextAttemptAt).getTime())
+    .sort((a, b) => a - b)[0];
+  if (next === undefined) return;
+  if (timer) timers.clearTimeout(timer);
+  timer = timers.setTimeout(() => processQueue(store), Math.max(next - Date.now(), 1000));
+}
+
+/** Send a failed or retrying delivery again right away. */
+function retryDelivery(store, id) {
+  const delivery = deliveries.find((d) => d.id === id);
+  if (!delivery || !delivery.body) throw new Error('Delivery can no longer be retried');
+  delivery.status = 'pending';
+  delivery.nextAttemptAt = new Date().toISOString();
+  changed();
+  processQueue(store);
+}
+
+/** Delivery log for the UI, without payload bodies. */
+function getDeliveries() {
+  return deliveries.map(({ body, ...rest }) => ({ ...rest, retryable: !!body }));
+}
+
+function clearDeliveryLog() {
+  deliveries = deliveries.filter(isQueued);
+  changed();
+}
+
+/**
+ * Load the persisted queue and resume pending deliveries. `timers` swaps the
+ * setTimeout/clearTimeout pair that wakes the queue (tests drive it by hand).
+ */
+function initWebhooks(store, { onChange, timers: queueTimers } = {}) {
+  if (onChange) notifyChange = onChange;
+  if (queueTimers) timers = queueTimers;
+  loadState();
+  scheduleNext(store);
+}
+
+function stopWebhooks() {
+  if (timer) timers.clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  initWebhooks,
+  stopWebhooks,
+  generateSecret,
+  normalizeWebhook,
+  dispatchNewPosts,
+  sendTestDelivery,
+  retryDelivery,
+  getDeliveries,
+  clearDeliveryLog,
+};
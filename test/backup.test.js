@@ -0,0 +1,48 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { removeUserData } = require('./support/electron').stubElectron();
+const backup = require('../src/backup');
+
+after(removeUserData);
+
+function memoryStore(data) {
+  return { get: (key) => data[key], set: (key, value) => { data[key] = value; } };
+}
+
+const feeds = [{ username: 'natgeo', platform: 'instagram' }];
+const webhook = { id: 'w1', label: 'Chat', url: 'https://example.com/hook', secret: 's3cret', scope: 'all', enabled: true };
+
+test('webhooks survive a backup and a replace restore', () => {
+  const data = JSON.parse(JSON.stringify(
+    backup.createBackup(memoryStore({ feeds, bundles: [], feedTokens: [], webhooks: [webhook] }))
+  ));
+  const target = memoryStore({ feeds: [], bundles: [], feedTokens: [], webhooks: [] });
+
+  assert.strictEqual(backup.validateBackup(target, data).summary.webhooks, 1);
+  backup.applyBackup(target, data, { mode: 'replace' });
+  assert.deepStrictEqual(target.get('webhooks'), [webhook]);
+});
+
+test('a merge restore keeps the current webhook on an id conflict', () => {
+  const data = JSON.parse(JSON.stringify(
+    backup.createBackup(memoryStore({ feeds, bundles: [], feedTokens: [], webhooks: [webhook] }))
+  ));
+  const mine = { ...webhook, url: 'https://example.com/mine' };
+  const target = memoryStore({ feeds, bundles: [], feedTokens: [], webhooks: [mine] });
+
+  backup.applyBackup(target, data, { mode: 'merge' });
+  assert.deepStrictEqual(target.get('webhooks'), [mine]);
+  backup.applyBackup(target, data, { mode: 'merge', overwriteConflicts: true });
+  assert.deepStrictEqual(target.get('webhooks'), [webhook]);
+});
+
+test('a replace restore from an older backup leaves webhooks alone', () => {
+  const data = JSON.parse(JSON.stringify(
+    backup.createBackup(memoryStore({ feeds, bundles: [], feedTokens: [], webhooks: [] }))
+  ));
+  delete data.webhooks;
+  const target = memoryStore({ feeds, bundles: [], feedTokens: [], webhooks: [webhook] });
+
+  backup.applyBackup(target, data, { mode: 'replace' });
+  assert.deepStrictEqual(target.get('webhooks'), [webhook]);
+});
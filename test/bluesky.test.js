@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { removeUserData } = require('./support/electron').stubElectron();
+
+const { scrapeBlueskyProfile } = require('../src/scraper-bluesky');
+
+const DID = 'did:plc:alice123';
+const alice = { did: DID, handle: 'alice.bsky.social' };
+const bob = { did: 'did:plc:bob456', handle: 'bob.bsky.social' };
+
+const feed = [
+  {
+    post: {
+      uri: `at://${DID}/app.bsky.feed.post/3kquote`,
+      author: alice,
+      record: { text: 'Worth a read', createdAt: '2024-05-03T10:00:00.000Z' },
+      embed: {
+        $type: 'app.bsky.embed.record#view',
+        record: {
+          $type: 'app.bsky.embed.record#viewRecord',
+          uri: `at://${bob.did}/app.bsky.feed.post/3kbobpost`,
+          author: bob,
+          value: { text: 'My essay' },
+          embeds: [{
+            $type: 'app.bsky.embed.images#view',
+            images: [{ fullsize: 'https://cdn.example/essay.jpg', thumb: 'https://cdn.example/essay-s.jpg' }],
+          }],
+        },
+      },
+      likeCount: 7,
+      replyCount: 2,
+      repostCount: 3,
+      indexedAt: '2024-05-03T10:00:01.000Z',
+    },
+  },
+  {
+    post: {
+      uri: `at://${bob.did}/app.bsky.feed.post/3krepost`,
+      author: bob,
+      record: { text: 'Reposted words', createdAt: '2024-04-30T08:00:00.000Z' },
+      embed: {
+        $type: 'app.bsky.embed.images#view',
+        images: [{ fullsize: 'https://cdn.example/a.jpg' }, { fullsize: 'https://cdn.example/b.jpg' }],
+      },
+      likeCount: 100,
+      replyCount: 10,
+      repostCount: 20,
+    },
+    reason: { $type: 'app.bsky.feed.defs#reasonRepost', by: alice, indexedAt: '2024-05-02T09:00:00.000Z' },
+  },
+];
+
+// A mock AppView; the handle only resolves through resolveHandle
+const requests = [];
+const appView = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  requests.push(url);
+  const q = url.searchParams;
+  let body = null;
+  if (url.pathname === '/xrpc/com.atproto.identity.resolveHandle' && q.get('handle') === alice.handle) {
+    body = { did: DID };
+  } else if (url.pathname === '/xrpc/app.bsky.actor.getProfile' && q.get('actor') === DID) {
+    body = { ...alice, displayName: 'Alice', description: 'Writes things', avatar: 'https://cdn.example/alice.jpg' };
+  } else if (url.pathname === '/xrpc/app.bsky.feed.getAuthorFeed' && q.get('actor') === DID) {
+    body = { feed };
+  }
+  res.writeHead(body ? 200 : 400, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body || { error: 'InvalidRequest', message: 'Unable to resolve handle' }));
+});
+
+before(async () => {
+  await new Promise((resolve) => appView.listen(0, '127.0.0.1', resolve));
+  process.env.UNSOCIAL_BSKY_APPVIEW = `http://127.0.0.1:${appView.address().port}/`;
+});
+
+after(() => {
+  delete process.env.UNSOCIAL_BSKY_APPVIEW;
+  appView.close();
+  removeUserData();
+});
+
+test('the handle is resolved to a DID before the profile and feed are read', async () => {
+  requests.length = 0;
+  const profile = await scrapeBlueskyProfile(alice.handle);
+  assert.deepStrictEqual(requests.map((u) => u.pathname), [
+    '/xrpc/com.atproto.identity.resolveHandle',
+    '/xrpc/app.bsky.actor.getProfile',
+    '/xrpc/app.bsky.feed.getAuthorFeed',
+  ]);
+  assert.strictEqual(requests[2].searchParams.get('filter'), 'posts_and_author_threads');
+  assert.strictEqual(profile.username, alice.handle);
+  assert.strictEqual(profile.fullName, 'Alice');
+  assert.strictEqual(profile.biography, 'Writes things');
+  assert.strictEqual(profile.extractionPath, 'xrpc');
+});
+
+test('an unknown handle fails with a readable error', async () => {
+  await assert.rejects(scrapeBlueskyProfile('nobody.bsky.social'), /Could not resolve Bluesky handle @nobody\.bsky\.social/);
+});
+
+test('quote posts link the quoted post and borrow its images', async () => {
+  const [quote] = (await scrapeBlueskyProfile(alice.handle)).posts;
+  assert.strictEqual(quote.id, '3kquote');
+  assert.strictEqual(quote.caption,
+    'Worth a read\n\n❝ Quoting @bob.bsky.social: My essay\nhttps://bsky.app/profile/bob.bsky.social/post/3kbobpost');
+  assert.strictEqual(quote.imageUrl, 'https://cdn.example/essay.jpg');
+  assert.strictEqual(quote.permalink, 'https://bsky.app/profile/alice.bsky.social/post/3kquote');
+  assert.deepStrictEqual([quote.likes, quote.comments, quote.retweets], [7, 2, 3]);
+});
+
+test('reposts keep the original counts and are dated when reposted', async () => {
+  const repost = (await scrapeBlueskyProfile(alice.handle)).posts[1];
+  assert.strictEqual(repost.id, 'repost-3krepost');
+  assert.strictEqual(repost.caption, '🔁 Reposted @bob.bsky.social:\nReposted words');
+  assert.strictEqual(repost.timestamp, '2024-05-02T09:00:00.000Z');
+  assert.deepStrictEqual(repost.images, ['https://cdn.example/a.jpg', 'https://cdn.example/b.jpg']);
+  assert.deepStrictEqual([repost.likes, repost.comments, repost.retweets], [100, 10, 20]);
+});
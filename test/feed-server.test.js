@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { userData, removeUserData } = require('./support/electron').stubElectron();
+
+const { startFeedServer, stopFeedServer } = require('../src/feed-server');
+
+const settings = {
+  serverPort: 0,
+  feeds: [{ username: 'natgeo', platform: 'instagram', feedKey: 'natgeo' }],
+  bundles: [],
+  feedTokens: [],
+};
+const store = {
+  get: (key) => settings[key],
+  set: (key, value) => { settings[key] = value; },
+};
+
+let baseUrl;
+
+before(async () => {
+  fs.writeFileSync(path.join(userData, 'config.json'), JSON.stringify({ apiToken: 'secret' }));
+  fs.mkdirSync(path.join(userData, 'feeds'));
+  fs.writeFileSync(path.join(userData, 'feeds', 'natgeo.json'), '{"items":[]}');
+  fs.writeFileSync(path.join(userData, 'feeds', 'removed.json'), '{"items":[]}');
+
+  const server = startFeedServer(store);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stopFeedServer();
+  removeUserData();
+});
+
+test('serves a tracked feed', async () => {
+  const res = await fetch(`${baseUrl}/feed/natgeo?format=json`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(await res.text(), '{"items":[]}');
+});
+
+test('does not serve files outside the feed directory', async () => {
+  for (const key of ['..%2Fconfig', '..%5Cconfig', '%2E%2E%2Fconfig']) {
+    const res = await fetch(`${baseUrl}/feed/${key}?format=json`);
+    assert.strictEqual(res.status, 404, key);
+    assert.doesNotMatch(await res.text(), /secret/);
+  }
+});
+
+test('does not serve feed files left behind by untracked feeds', async () => {
+  const res = await fetch(`${baseUrl}/feed/removed?format=json`);
+  assert.strictEqual(res.status, 404);
+});
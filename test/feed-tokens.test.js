@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const feedTokens = require('../src/feed-tokens');
+
+function memoryStore(data) {
+  return { get: (key) => data[key], set: (key, value) => { data[key] = value; } };
+}
+
+test('renaming a feed keeps limited tokens covering it', () => {
+  const store = memoryStore({
+    feedTokens: [
+      { id: 'a', token: 'x', scope: ['natgeo', 'nasa'] },
+      { id: 'b', token: 'y', scope: 'all' },
+      { id: 'c', token: 'z', scope: ['nasa'] },
+    ],
+  });
+  feedTokens.renameScopeKey(store, 'natgeo', 'nat-geo');
+
+  const [a, b, c] = feedTokens.getTokens(store);
+  assert.ok(feedTokens.inScope(a, 'nat-geo'));
+  assert.ok(!feedTokens.inScope(a, 'natgeo'));
+  assert.strictEqual(b.scope, 'all');
+  assert.deepStrictEqual(c.scope, ['nasa']);
+});
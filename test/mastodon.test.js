@@ -0,0 +1,151 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { removeUserData } = require('./support/electron').stubElectron();
+
+const { scrapeMastodonAccount } = require('../src/scraper-mastodon');
+const platforms = require('../src/platforms');
+const opmlImport = require('../src/opml-import');
+
+const account = {
+  id: '42',
+  username: 'alice',
+  display_name: 'Alice',
+  note: '<p>Cats &amp; code</p>',
+  avatar: 'https://files.example/alice.png',
+};
+
+const statuses = [
+  {
+    id: '103',
+    created_at: '2024-05-03T10:00:00.000Z',
+    content: '<p>Tom &amp; Jerry&#39;s &lt;3</p><p>Second<br>line</p>',
+    spoiler_text: '',
+    url: 'https://social.example/@alice/103',
+    favourites_count: 5,
+    replies_count: 2,
+    reblogs_count: 1,
+    media_attachments: [
+      { type: 'image', url: 'https://files.example/1.jpg', preview_url: 'https://files.example/1s.jpg' },
+      { type: 'image', url: 'https://files.example/2.jpg', preview_url: 'https://files.example/2s.jpg' },
+    ],
+    reblog: null,
+  },
+  {
+    id: '102',
+    created_at: '2024-05-02T10:00:00.000Z',
+    content: '',
+    spoiler_text: '',
+    url: null,
+    favourites_count: 0,
+    replies_count: 0,
+    reblogs_count: 0,
+    media_attachments: [],
+    reblog: {
+      id: '900',
+      account: { acct: 'bob@other.example' },
+      content: '<p>Boosted post</p>',
+      spoiler_text: '',
+      url: 'https://other.example/@bob/900',
+      favourites_count: 40,
+      replies_count: 3,
+      reblogs_count: 12,
+      media_attachments: [{ type: 'video', url: 'https://files.example/v.mp4', preview_url: 'https://files.example/v.jpg' }],
+    },
+  },
+  {
+    id: '101',
+    created_at: '2024-05-01T10:00:00.000Z',
+    content: '<p>The ending</p>',
+    spoiler_text: 'Film spoilers',
+    url: 'https://social.example/@alice/101',
+    favourites_count: 1,
+    replies_count: 0,
+    reblogs_count: 0,
+    media_attachments: [],
+    reblog: null,
+  },
+];
+
+// A Mastodon stand-in, and a server that isn't one
+const routes = {
+  '/api/v1/instance': { uri: 'social.example' },
+  '/api/v1/accounts/lookup?acct=alice': account,
+  '/api/v1/accounts/42/statuses?limit=20&exclude_replies=true': statuses,
+};
+const mastodon = http.createServer((req, res) => {
+  const body = routes[req.url];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body || { error: 'Record not found' }));
+});
+const plainSite = http.createServer((_req, res) => {
+  res.writeHead(404, { 'Content-Type': 'text/html' });
+  res.end('<h1>Not found</h1>');
+});
+
+let origin;
+let plainOrigin;
+
+const listen = (server) => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+before(async () => {
+  origin = await listen(mastodon);
+  plainOrigin = await listen(plainSite);
+});
+
+after(() => {
+  mastodon.close();
+  plainSite.close();
+  removeUserData();
+});
+
+test('statuses become posts with text captions, media and counts', async () => {
+  const profile = await scrapeMastodonAccount({ username: 'alice@127.0.0.1', fullUrl: `${origin}/@alice` });
+  assert.strictEqual(profile.fullName, 'Alice');
+  assert.strictEqual(profile.biography, 'Cats & code');
+  assert.strictEqual(profile.extractionPath, 'api');
+
+  const [post] = profile.posts;
+  assert.strictEqual(post.caption, "Tom & Jerry's <3\n\nSecond\nline");
+  assert.strictEqual(post.permalink, 'https://social.example/@alice/103');
+  assert.strictEqual(post.imageUrl, 'https://files.example/1.jpg');
+  assert.deepStrictEqual(post.images, ['https://files.example/1.jpg', 'https://files.example/2.jpg']);
+  assert.strictEqual(post.isVideo, false);
+  assert.deepStrictEqual([post.likes, post.comments, post.retweets], [5, 2, 1]);
+});
+
+test('boosts carry the original post, author and counts', async () => {
+  const profile = await scrapeMastodonAccount({ username: 'alice@127.0.0.1', fullUrl: `${origin}/@alice` });
+  const boost = profile.posts[1];
+  assert.strictEqual(boost.id, '102');
+  assert.strictEqual(boost.caption, '🔁 Boosted @bob@other.example:\nBoosted post');
+  assert.strictEqual(boost.permalink, 'https://other.example/@bob/900');
+  assert.strictEqual(boost.isVideo, true);
+  assert.strictEqual(boost.videoUrl, 'https://files.example/v.mp4');
+  assert.strictEqual(boost.imageUrl, 'https://files.example/v.jpg');
+  assert.deepStrictEqual([boost.likes, boost.comments, boost.retweets], [40, 3, 12]);
+});
+
+test('content warnings lead the caption', async () => {
+  const profile = await scrapeMastodonAccount({ username: 'alice@127.0.0.1', fullUrl: `${origin}/@alice` });
+  assert.strictEqual(profile.posts[2].caption, 'CW: Film spoilers\n\nThe ending');
+});
+
+test('/@user URLs are only claimed for servers that answer the instance API', async () => {
+  assert.strictEqual((await platforms.resolveProfileInput(`${origin}/@alice`)).platform, 'mastodon');
+  assert.strictEqual((await platforms.resolveProfileInput(`${plainOrigin}/@alice`)).platform, 'custom');
+});
+
+test('OPML review resolves Mastodon outlines the same way', async () => {
+  const review = await opmlImport.reviewOutlines([
+    { title: 'Alice', htmlUrl: `${origin}/@alice`, xmlUrl: '', category: null },
+    { title: 'Blog', htmlUrl: `${plainOrigin}/@alice`, xmlUrl: '', category: null },
+  ], []);
+  assert.strictEqual(review[0].status, 'new');
+  assert.deepStrictEqual(review[0].feed, {
+    username: 'alice@127.0.0.1', platform: 'mastodon', subTab: null, fullUrl: `${origin}/@alice`,
+  });
+  assert.strictEqual(review[1].status, 'unsupported');
+});
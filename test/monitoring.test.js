@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { userData, removeUserData } = require('./support/electron').stubElectron();
+
+const { startFeedServer, stopFeedServer } = require('../src/feed-server');
+const postArchive = require('../src/post-archive');
+
+const settings = {
+  serverPort: 0,
+  feeds: [{ username: 'natgeo', platform: 'instagram', feedKey: 'natgeo' }],
+  bundles: [],
+  // Two tokens with the same label
+  feedTokens: [
+    { id: 'a1', label: 'Reader', token: 'token-a', scope: 'all' },
+    { id: 'b2', label: 'Reader', token: 'token-b', scope: 'all' },
+  ],
+};
+const store = {
+  get: (key) => settings[key],
+  set: (key, value) => { settings[key] = value; },
+};
+const actions = {
+  getTunnelState: async () => ({ provider: 'cloudflare', status: 'stopped' }),
+  isOnline: () => true,
+};
+
+let baseUrl;
+
+before(async () => {
+  fs.mkdirSync(path.join(userData, 'feeds'));
+  fs.writeFileSync(path.join(userData, 'feeds', 'natgeo.json'), '{"items":[]}');
+  postArchive.saveArchive('natgeo', { profile: {}, items: [{ id: '1' }] });
+  const server = startFeedServer(store, actions);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stopFeedServer();
+  removeUserData();
+});
+
+const metrics = async () => (await fetch(`${baseUrl}/metrics`)).text();
+
+test('feed requests are counted per token, not per token label', async () => {
+  for (const token of ['token-a', 'token-a', 'token-b']) {
+    const res = await fetch(`${baseUrl}/feed/natgeo?format=json&token=${token}`);
+    assert.strictEqual(res.status, 200);
+  }
+  const body = await metrics();
+  assert.match(body, /^unsocial_feed_requests_total\{feed="natgeo",token_id="a1",token_label="Reader"\} 2$/m);
+  assert.match(body, /^unsocial_feed_requests_total\{feed="natgeo",token_id="b2",token_label="Reader"\} 1$/m);
+});
+
+test('archive sizes are re-read once the archive changes', async () => {
+  assert.match(await metrics(), /^unsocial_feed_archived_items\{feed="natgeo",platform="instagram"\} 1$/m);
+  postArchive.saveArchive('natgeo', { profile: {}, items: [{ id: '1' }, { id: '2' }] });
+  assert.match(await metrics(), /^unsocial_feed_archived_items\{feed="natgeo",platform="instagram"\} 2$/m);
+});
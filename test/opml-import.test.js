@@ -0,0 +1,21 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { removeUserData } = require('./support/electron').stubElectron();
+const opmlImport = require('../src/opml-import');
+
+after(removeUserData);
+
+test('feed keys exported with a platform prefix resolve to the bare username', async () => {
+  const outlines = [
+    { title: 'NatGeo', htmlUrl: '', xmlUrl: 'https://feeds.example/feed/youtube-natgeo', category: 'YouTube' },
+    { title: 'Durov', htmlUrl: '', xmlUrl: 'https://feeds.example/feed/telegram-durov', category: 'Telegram' },
+    { title: 'NatGeo', htmlUrl: '', xmlUrl: 'https://feeds.example/feed/natgeo', category: 'Instagram' },
+  ];
+  const review = await opmlImport.reviewOutlines(outlines, []);
+  assert.deepStrictEqual(review.map((entry) => entry.status), ['new', 'new', 'new']);
+  assert.deepStrictEqual(review.map(({ feed }) => [feed.platform, feed.username]), [
+    ['youtube', 'natgeo'],
+    ['telegram', 'durov'],
+    ['instagram', 'natgeo'],
+  ]);
+});
@@ -0,0 +1,47 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { removeUserData } = require('./support/electron').stubElectron();
+const platforms = require('../src/platforms');
+
+after(removeUserData);
+
+test('Mastodon profile URLs keep their scheme and may leave it out', () => {
+  assert.deepStrictEqual(platforms.parseProfileInput('mastodon.social/@Gargron'), {
+    username: 'Gargron@mastodon.social', platform: 'mastodon', fullUrl: 'https://mastodon.social/@Gargron',
+  });
+  assert.strictEqual(platforms.parseProfileInput('http://127.0.0.1:3000/@bob').fullUrl, 'http://127.0.0.1:3000/@bob');
+  assert.strictEqual(
+    platforms.getFeedMeta('mastodon', 'bob@127.0.0.1', {}, { fullUrl: 'http://127.0.0.1:3000/@bob' }).siteUrl,
+    'http://127.0.0.1:3000/@bob'
+  );
+});
+
+test('a /@user page on a host that is not a Mastodon server goes to the custom wizard', async () => {
+  const mastodon = platforms.getPlatform('mastodon');
+  const { verifyInput } = mastodon;
+  mastodon.verifyInput = async (parsed) => parsed.fullUrl.startsWith('https://mastodon.social/');
+  try {
+    assert.strictEqual((await platforms.resolveProfileInput('https://mastodon.social/@Gargron')).platform, 'mastodon');
+    assert.strictEqual((await platforms.resolveProfileInput('https://github.com/@octocat')).platform, 'custom');
+  } finally {
+    mastodon.verifyInput = verifyInput;
+  }
+});
+
+test('input is matched in the same order as before the platform registry', () => {
+  const platformOf = (input) => (platforms.parseProfileInput(input) || {}).platform;
+  // Instagram's unanchored instagram.com/ match doesn't beat a more specific URL
+  assert.strictEqual(platformOf('https://www.facebook.com/groups/knitters?ref=instagram.com/x'), 'facebook');
+  assert.strictEqual(platformOf('https://x.com/nasa?s=instagram.com/nasa'), 'twitter');
+  assert.strictEqual(platformOf('https://www.linkedin.com/in/jane?from=instagram.com/jane'), 'linkedin');
+  assert.strictEqual(platformOf('https://t.me/durov?via=instagram.com/durov'), 'telegram');
+  assert.strictEqual(platformOf('https://www.instagram.com/natgeo/'), 'instagram');
+  assert.strictEqual(platformOf('@natgeo'), 'instagram');
+  assert.strictEqual(platformOf('https://example.com/changelog.txt'), 'txt');
+  assert.strictEqual(platformOf('https://example.com/blog'), 'custom');
+});
+
+test('feedKeyOf replaces slashes and prefers a stored key', () => {
+  assert.strictEqual(platforms.feedKeyOf({ username: 'groups/knitters' }), 'groups-knitters');
+  assert.strictEqual(platforms.feedKeyOf({ username: 'zuck', feedKey: 'threads-zuck' }), 'threads-zuck');
+});
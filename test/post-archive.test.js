@@ -0,0 +1,24 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { removeUserData } = require('./support/electron').stubElectron();
+const postArchive = require('../src/post-archive');
+
+after(removeUserData);
+
+const post = (id) => ({ id, caption: `Post ${id}`, timestamp: new Date(Date.UTC(2024, 0, id)).toISOString() });
+
+test('merging into an empty archive is flagged as seeding it', () => {
+  const first = postArchive.mergeIntoArchive('natgeo', [post(1), post(2)]);
+  assert.strictEqual(first.seeded, true);
+  assert.strictEqual(first.newItems.length, 2);
+
+  const second = postArchive.mergeIntoArchive('natgeo', [post(2), post(3)]);
+  assert.strictEqual(second.seeded, false);
+  assert.deepStrictEqual(second.newItems.map((item) => item.id), ['3']);
+});
+
+test('an archive deleted after its feed was added seeds again', () => {
+  postArchive.mergeIntoArchive('nasa', [post(1)]);
+  postArchive.deleteArchive('nasa');
+  assert.strictEqual(postArchive.mergeIntoArchive('nasa', [post(1), post(2)]).seeded, true);
+});
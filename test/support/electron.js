@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+/**
+ * Electron's net.request on top of Node's http module, for suites that fetch
+ * from a local fixture server. Only what http-fetch.js uses is implemented;
+ * redirects aren't followed.
+ */
+function request(options) {
+  const { url, method = 'GET' } = typeof options === 'string' ? { url: options } : options;
+  const emitter = new EventEmitter();
+  const headers = {};
+  let req = null;
+  emitter.setHeader = (name, value) => { headers[name] = value; };
+  emitter.abort = () => { if (req) req.destroy(); };
+  emitter.end = (body) => {
+    req = http.request(url, { method, headers }, (res) => emitter.emit('response', res));
+    req.on('error', (err) => emitter.emit('error', err));
+    req.end(body);
+  };
+  return emitter;
+}
+
+/**
+ * Call before requiring any src/ module. The modules under test only need
+ * app.getPath/getVersion and net.request from Electron, so a plain object
+ * stands in for it and the suites run under Node. Returns a fresh temp
+ * userData dir and a function that deletes it.
+ */
+function stubElectron() {
+  const userData = fs.mkdtempSync(path.join(os.tmpdir(), 'unsocial-test-'));
+  const electronPath = require.resolve('electron');
+  require.cache[electronPath] = {
+    id: electronPath,
+    filename: electronPath,
+    loaded: true,
+    exports: {
+      app: { getPath: () => userData, getVersion: () => '0.0.0' },
+      net: { request },
+    },
+  };
+  return { userData, removeUserData: () => fs.rmSync(userData, { recursive: true, force: true }) };
+}
+
+module.exports = { stubElectron };
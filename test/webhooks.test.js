@@ -0,0 +1,40 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { userData, removeUserData } = require('./support/electron').stubElectron();
+const webhooks = require('../src/webhooks');
+
+after(() => {
+  webhooks.stopWebhooks();
+  removeUserData();
+});
+
+test('queued retries for a disabled webhook are not sent', async () => {
+  const store = {
+    get: (key) => ({
+      webhooks: [{ id: 'w1', label: 'Chat', url: 'http://127.0.0.1:9/hook', secret: '', scope: 'all', enabled: false }],
+    })[key],
+  };
+  fs.writeFileSync(path.join(userData, 'webhooks.json'), JSON.stringify({
+    deliveries: [{
+      id: 'd1', webhookId: 'w1', label: 'Chat', url: 'http://127.0.0.1:9/hook', event: 'ping',
+      summary: 'Test delivery', status: 'retrying', attempts: 1, createdAt: new Date().toISOString(),
+      lastAttemptAt: null, nextAttemptAt: new Date(0).toISOString(), responseStatus: null, lastError: null,
+      body: '{}',
+    }],
+  }));
+
+  // Capture the queue's wake-up instead of waiting for it
+  const scheduled = [];
+  webhooks.initWebhooks(store, {
+    timers: { setTimeout: (fn, ms) => scheduled.push({ fn, ms }), clearTimeout: () => {} },
+  });
+  assert.strictEqual(scheduled.length, 1);
+  await scheduled[0].fn();
+
+  const [delivery] = webhooks.getDeliveries();
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.lastError, 'Webhook is disabled');
+  assert.ok(delivery.retryable);
+});